@@ -76,41 +76,82 @@ async function collectOnPage(siteId, site = {}, collectContext = {}) {
   };
 }
 
-// Service Workerからのメッセージを受信して抽出処理を実行
-// return trueで非同期応答を保持（sendResponseが非同期で呼ばれる場合に必要）
-// 同一ドキュメントへ executeScript を重ねたときだけ二重登録を防ぐ（遷移後は window が新しくなる）
-if (!window.__PERIODIC_SITE_WATCHER_COLLECT_LISTENER__) {
-  window.__PERIODIC_SITE_WATCHER_COLLECT_LISTENER__ = true;
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'COLLECT') {
-      if (message.mockMode !== undefined) {
-        window.__COLLECT_MOCK_MODE__ = message.mockMode;
+/**
+ * 収集中の進捗を Service Worker へ送る（サイトアダプタから呼ぶ。収集 RPC 外では何もしない）
+ *
+ * @param {string} step - ページ側の手順名（例: 'scroll', 'parse'）
+ * @param {Object} [detail] - 件数など（JSON 化できる値のみ）
+ */
+function reportCollectProgress(step, detail = {}) {
+  const port = window.__COLLECT_PORT__;
+  if (!port) return;
+  try {
+    port.postMessage({ type: 'PROGRESS', step, detail });
+  } catch (_) {
+    // ポート切断後（SW 側の打ち切り・キャンセル）は無視
+  }
+}
+
+/**
+ * Service Worker から収集のキャンセルを受けたか（長いループを持つアダプタが途中で抜けるため）
+ *
+ * @returns {boolean}
+ */
+function isCollectCancelled() {
+  return window.__COLLECT_CANCELLED__ === true;
+}
+
+// Service Worker の injectAndCollect から呼ばれ、収集用ポートを張って COLLECT を待つ
+// ポート上で COLLECT → PROGRESS* → RESULT をやり取りし、CANCEL で isCollectCancelled() を立てる
+// ポートが切れた（Service Worker の停止・打ち切り）ときも結果の受け手がいないため isCollectCancelled() を立てる
+window.__PERIODIC_SITE_WATCHER_CONNECT_COLLECT__ = (requestId) => {
+  const port = chrome.runtime.connect({ name: `collect:${requestId}` });
+  port.onDisconnect.addListener(() => {
+    window.__COLLECT_CANCELLED__ = true;
+  });
+  port.onMessage.addListener((message) => {
+    if (message.type === 'CANCEL') {
+      window.__COLLECT_CANCELLED__ = true;
+      return;
+    }
+    if (message.type !== 'COLLECT') {
+      return;
+    }
+    if (message.mockMode !== undefined) {
+      window.__COLLECT_MOCK_MODE__ = message.mockMode;
+    }
+    if (message.localMode !== undefined) {
+      window.__COLLECT_LOCAL_MODE__ = message.localMode;
+    }
+    window.__COLLECT_PORT__ = port;
+    window.__COLLECT_CANCELLED__ = false;
+    (async () => {
+      let response;
+      try {
+        const site =
+          message.effectiveSite && typeof message.effectiveSite === 'object'
+            ? message.effectiveSite
+            : {};
+        const collectContext =
+          message.collectContext !== undefined &&
+          message.collectContext !== null &&
+          typeof message.collectContext === 'object'
+            ? message.collectContext
+            : {};
+        const result = await collectOnPage(message.siteId, site, collectContext);
+        response = { type: 'RESULT', payload: result };
+      } catch (error) {
+        response = { type: 'RESULT', error: error.message };
+      } finally {
+        delete window.__COLLECT_MOCK_MODE__;
+        delete window.__COLLECT_LOCAL_MODE__;
+        delete window.__COLLECT_PORT__;
       }
-      if (message.localMode !== undefined) {
-        window.__COLLECT_LOCAL_MODE__ = message.localMode;
+      try {
+        port.postMessage(response);
+      } catch (_) {
+        // SW 側が先に打ち切った場合は送れない
       }
-      (async () => {
-        try {
-          const site =
-            message.effectiveSite && typeof message.effectiveSite === 'object'
-              ? message.effectiveSite
-              : {};
-          const collectContext =
-            message.collectContext !== undefined &&
-            message.collectContext !== null &&
-            typeof message.collectContext === 'object'
-              ? message.collectContext
-              : {};
-          const result = await collectOnPage(message.siteId, site, collectContext);
-          sendResponse({ type: 'COLLECT_RESULT', payload: result });
-        } catch (error) {
-          sendResponse({ type: 'COLLECT_RESULT', error: error.message });
-        } finally {
-          delete window.__COLLECT_MOCK_MODE__;
-          delete window.__COLLECT_LOCAL_MODE__;
-        }
-      })();
-      return true;
-    }
+    })();
   });
-}
+};
@@ -41,7 +41,7 @@ async function refreshOptionsApiLog() {
 /**
  * x-bookmarks の処理済みポスト一覧 HTML を生成する
  *
- * @param {Record<string, { processedAt?: number, conversationUrl?: string|null, title?: string|null }>} processedTweetIds
+ * @param {Record<string, { processedAt?: number, conversationUrl?: string|null, title?: string|null, needsReview?: boolean }>} processedTweetIds
  * @returns {string}
  */
 function renderProcessedTweetIdsTableHtml(processedTweetIds) {
@@ -58,9 +58,12 @@ function renderProcessedTweetIdsTableHtml(processedTweetIds) {
         : '-';
       const title = escapeHtml(meta.title || '-');
       const conversationUrl = (meta.conversationUrl || '').trim();
+      // 送信中に途切れたポストは送信済みか分からないため、ChatGPT 側の確認を促す
       const chatgptCell = conversationUrl
         ? `<a href="${escapeHtml(conversationUrl)}" target="_blank" rel="noopener noreferrer">ChatGPT</a>`
-        : '-';
+        : meta.needsReview
+          ? '<span title="送信中に実行が途切れました。ChatGPT の会話を確認してください">要確認</span>'
+          : '-';
       return `
         <tr>
           <td>${escapeHtml(tweetId)}</td>
@@ -181,6 +184,7 @@ function loadSiteOptionsScript(siteId) {
  * @returns {Promise<{ settings: Object, state: Object }>}
  */
 async function ensureNormalizedStorage(settings, state) {
+  await loadJpHolidayTable();
   const normalized = normalizeBuiltinSites(settings, state);
   if (normalized.changed) {
     await chrome.storage.local.set({
@@ -349,8 +353,21 @@ async function loadSites() {
       </div>
       
       <div class="form-group">
-        <label>タイムアウト（秒）:</label>
+        <label>タイムアウト（秒。待ち1回ごと）:</label>
         <input type="number" id="${siteId}-timeoutSec" value="${site.timeoutSec}" min="1" max="300">
+        <small style="color: #666; font-size: 12px;">タブ読み込み・ログイン・画面表示待ち・収集の各段階を、それぞれこの秒数で打ち切ります（収集は後始末分を引いた秒数）。</small>
+      </div>
+      
+      <div class="form-group">
+        <label for="${siteId}-runDeadlineSec">実行全体の上限（秒）:</label>
+        <input type="number" id="${siteId}-runDeadlineSec" value="${getSiteRunDeadlineSec(site, siteId)}" min="${RUN_DEADLINE_MIN_SEC}" max="${RUN_DEADLINE_MAX_SEC}">
+        <small style="color: #666; font-size: 12px;">各段階の合計がこれを超えたら、途中でもタブを閉じて失敗として打ち切ります（後続サイトの実行を止めないため）。</small>
+      </div>
+      
+      <div class="form-group">
+        <label for="${siteId}-jitterMinutes">開始時刻の揺らぎ（分。0で揺らぎなし）:</label>
+        <input type="number" id="${siteId}-jitterMinutes" value="${normalizeJitterMinutes(site.jitterMinutes)}" min="0" max="${JITTER_MAX_MINUTES}">
+        <small style="color: #666; font-size: 12px;">スロットごとに 0〜指定分のずれを足して実行します（同じスロットなら常に同じずれ）。</small>
       </div>
       
       <div class="form-group">
@@ -359,6 +376,8 @@ async function loadSites() {
           <option value="hourly" ${site.schedule.type === 'hourly' ? 'selected' : ''}>毎時</option>
           <option value="daily" ${site.schedule.type === 'daily' ? 'selected' : ''}>毎日</option>
           <option value="weekly" ${site.schedule.type === 'weekly' ? 'selected' : ''}>毎週</option>
+          <option value="monthly" ${site.schedule.type === 'monthly' ? 'selected' : ''}>毎月</option>
+          <option value="cron" ${site.schedule.type === 'cron' ? 'selected' : ''}>cron 式</option>
         </select>
       </div>
       
@@ -366,6 +385,18 @@ async function loadSites() {
         ${renderScheduleFields(siteId, site.schedule)}
       </div>
       
+      ${renderBusinessDayFields(siteId, site.schedule)}
+      
+      ${renderRetryFields(siteId, site.retry)}
+      
+      ${renderRunWindowFields(siteId, site)}
+      
+      ${renderDependencyFields(siteId, site)}
+      
+      ${renderSiteSinkFields(siteId, site, settings)}
+      
+      ${renderCatchUpFields(siteId, site.catchUp)}
+      
       <div class="site-options" id="${siteId}-site-options"></div>
       
       <div class="state-display">
@@ -374,13 +405,15 @@ async function loadSites() {
           ${escapeHtml(getBuiltinSiteUrl(siteId))}
           <button type="button" class="open-site-url" data-site-id="${escapeHtml(siteId)}" title="このURLを新しいタブで開く">開く</button>
         </div>
+        <div class="state-item run-status" id="${siteId}-run-status" hidden></div>
         <div class="state-item">
           <span class="state-label">次回実行:</span>
           ${siteState.nextRun ? new Date(siteState.nextRun).toLocaleString('ja-JP') : '未設定'}
+          ${formatNextRunDetail(siteState)}
         </div>
         <div class="state-item">
           <span class="state-label">最終ステータス:</span>
-          <span class="${siteState.lastStatus === 'ok' ? 'status-ok' : 'status-fail'}">
+          <span class="${siteState.lastStatus === 'ok' ? 'status-ok' : (siteState.lastStatus === 'cancelled' ? 'status-cancelled' : 'status-fail')}">
             ${siteState.lastStatus || '未実行'}
           </span>
         </div>
@@ -388,6 +421,16 @@ async function loadSites() {
           <span class="state-label">失敗回数:</span>
           ${siteState.failCount || 0}
         </div>
+        ${siteState.autoPaused ? `
+          <div class="state-item">
+            <span class="state-label">自動停止:</span>
+            <span class="status-fail">停止中（${siteState.autoPausedAt ? new Date(siteState.autoPausedAt).toLocaleString('ja-JP') : '—'}〜）</span>
+            <button type="button" class="resume-site" data-site-id="${escapeHtml(siteId)}">再開</button>
+          </div>
+        ` : ''}
+        ${renderPauseStateItem(siteId, siteState)}
+        ${renderMissedSlotsStateItem(siteState.missedSlots)}
+        ${renderRunTraceStateItem(siteState.lastTrace)}
         <div class="state-item">
           <span class="state-label">最終実行:</span>
           ${siteState.lastRun ? new Date(siteState.lastRun).toLocaleString('ja-JP') : '未実行'}
@@ -449,6 +492,7 @@ async function loadSites() {
     }
 
     attachScheduleEveryListeners(siteId);
+    attachScheduleCronListeners(siteId);
     
     // URL「開く」ボタン
     const openUrlButton = siteDiv.querySelector('.open-site-url');
@@ -465,6 +509,33 @@ async function loadSites() {
       });
     }
 
+    // 「再開」ボタン（自動停止・一時停止の解除）
+    siteDiv.querySelectorAll('.resume-site').forEach((resumeButton) => {
+      resumeButton.addEventListener('click', async () => {
+        await resumeSiteFromOptions(resumeButton.getAttribute('data-site-id'));
+      });
+    });
+
+    // 「一時停止」ボタン（1日 / 1週間 / 指定日時まで）
+    siteDiv.querySelectorAll('.pause-site').forEach((pauseButton) => {
+      pauseButton.addEventListener('click', async () => {
+        const siteId = pauseButton.getAttribute('data-site-id');
+        const days = pauseButton.getAttribute('data-pause-days');
+        let until;
+        if (days) {
+          until = Date.now() + Number(days) * 24 * 60 * 60 * 1000;
+        } else {
+          const value = document.getElementById(`${siteId}-pause-until`)?.value;
+          until = value ? new Date(value).getTime() : NaN;
+          if (!Number.isFinite(until)) {
+            alert('停止期限の日時を入力してください。');
+            return;
+          }
+        }
+        await pauseSiteFromOptions(siteId, until);
+      });
+    });
+
     // 「保存」ボタンのイベントリスナーを設定
     const saveButton = siteDiv.querySelector('.save-site');
     if (saveButton) {
@@ -498,6 +569,9 @@ async function loadSites() {
           
           if (!response) {
             alert('実行中にエラーが発生しました: Service Worker が応答しませんでした。');
+          } else if (response.cancelled) {
+            alert('実行を中止しました。');
+            await loadSites();
           } else if (response.success) {
             if (localMode) {
               alert('ローカル実行が完了しました。');
@@ -519,6 +593,145 @@ async function loadSites() {
       });
     });
   }
+
+  await refreshRunQueueStatus();
+  await renderScheduleTimeline();
+}
+
+/**
+ * 実行中・待機中（順番）を各サイトの状態欄に表示する
+ *
+ * @param {Object|null} lock - storage の runLock
+ * @param {Object[]|undefined} queue - storage の runQueue
+ */
+function renderRunQueueStatus(lock, queue) {
+  const entries = Array.isArray(queue) ? queue : [];
+  for (const siteId of BUILTIN_SITE_IDS) {
+    const el = document.getElementById(`${siteId}-run-status`);
+    if (!el) continue;
+    const parts = [];
+    if (lock?.siteId === siteId) {
+      const label = INVOKED_BY_LABELS[lock.invokedBy] || lock.invokedBy;
+      const stale = isRunLockStale(lock) ? '・応答なし（引き継ぎ待ち）' : '';
+      parts.push(`実行中（${label}、${new Date(lock.acquiredAt).toLocaleTimeString('ja-JP')}〜${stale}）`);
+      if (lock.progress?.step) {
+        const detail = Object.entries(lock.progress.detail || {})
+          .map(([k, v]) => `${k}=${v}`)
+          .join(', ');
+        parts.push(escapeHtml(`進捗: ${lock.progress.collectSiteId} ${lock.progress.step}${detail ? `（${detail}）` : ''}`));
+      }
+      parts.push(`<button type="button" class="cancel-run" data-site-id="${escapeHtml(siteId)}">中止</button>`);
+    }
+    entries.forEach((entry, index) => {
+      if (entry.siteId !== siteId) return;
+      const label = INVOKED_BY_LABELS[entry.invokedBy] || entry.invokedBy;
+      const running = lock ? `${escapeHtml(lock.siteId)} の完了待ち` : '開始待ち';
+      parts.push(`待機中（${label}、${index + 1}番目・${running}）`);
+    });
+    el.hidden = parts.length === 0;
+    el.innerHTML = parts.length
+      ? `<span class="state-label">実行状況:</span> ${parts.join(' / ')}`
+      : '';
+    el.querySelectorAll('.cancel-run').forEach((cancelButton) => {
+      cancelButton.addEventListener('click', async () => {
+        cancelButton.disabled = true;
+        await cancelRunFromOptions(cancelButton.getAttribute('data-site-id'));
+      });
+    });
+  }
+}
+
+/**
+ * 実行中のサイトを中止する（タブを閉じ、結果は cancelled として記録される）
+ *
+ * @param {string} siteId
+ * @returns {Promise<void>}
+ */
+async function cancelRunFromOptions(siteId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CANCEL_RUN', siteId });
+    if (!response?.success) {
+      alert('中止に失敗しました: ' + (response?.error || '不明なエラー'));
+    }
+  } catch (err) {
+    alert('中止に失敗しました: ' + err.message);
+  }
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+async function refreshRunQueueStatus() {
+  const got = await chrome.storage.local.get([RUN_LOCK_STORAGE_KEY, RUN_QUEUE_STORAGE_KEY]);
+  renderRunQueueStatus(got[RUN_LOCK_STORAGE_KEY] || null, got[RUN_QUEUE_STORAGE_KEY]);
+}
+
+/**
+ * 一時停止の状態表示と操作（1日 / 1週間 / 指定日時まで / 今すぐ再開）
+ *
+ * @param {string} siteId
+ * @param {Object} siteState
+ * @returns {string}
+ */
+function renderPauseStateItem(siteId, siteState) {
+  const id = escapeHtml(siteId);
+  if (isSitePausedUntil(siteState)) {
+    return `
+        <div class="state-item">
+          <span class="state-label">一時停止:</span>
+          <span class="status-fail">${new Date(siteState.pausedUntil).toLocaleString('ja-JP')} まで停止中</span>
+          <button type="button" class="resume-site" data-site-id="${id}">今すぐ再開</button>
+        </div>
+    `;
+  }
+  return `
+        <div class="state-item">
+          <span class="state-label">一時停止:</span>
+          <button type="button" class="pause-site secondary" data-site-id="${id}" data-pause-days="1">1日</button>
+          <button type="button" class="pause-site secondary" data-site-id="${id}" data-pause-days="7">1週間</button>
+          <input type="datetime-local" id="${id}-pause-until" style="width: auto;">
+          <button type="button" class="pause-site secondary" data-site-id="${id}">この日時まで</button>
+        </div>
+  `;
+}
+
+/**
+ * サイトを一時停止する（Service Worker 側で state とアラームを更新）
+ *
+ * @param {string} siteId
+ * @param {number} until - 停止を解除する時刻（epoch ms）
+ */
+async function pauseSiteFromOptions(siteId, until) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'PAUSE_SITE', siteId, until });
+    if (!response?.success) {
+      alert('一時停止に失敗しました: ' + (response?.error || '不明なエラー'));
+      return;
+    }
+  } catch (err) {
+    alert('一時停止に失敗しました: ' + err.message);
+    return;
+  }
+  await loadSites();
+}
+
+/**
+ * 自動停止中・一時停止中のサイトを再開する（Service Worker 側で state を更新）
+ *
+ * @param {string} siteId
+ */
+async function resumeSiteFromOptions(siteId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'RESUME_SITE', siteId });
+    if (!response?.success) {
+      alert('再開に失敗しました: ' + (response?.error || '不明なエラー'));
+      return;
+    }
+  } catch (err) {
+    alert('再開に失敗しました: ' + err.message);
+    return;
+  }
+  await loadSites();
 }
 
 /**
@@ -534,6 +747,12 @@ function getScheduleEveryUnitLabel(type) {
   if (type === 'daily') {
     return '日ごと';
   }
+  if (type === 'monthly') {
+    return 'か月ごと';
+  }
+  if (type === 'cron') {
+    return '回の一致ごと';
+  }
   return '週ごと';
 }
 
@@ -613,6 +832,18 @@ function buildScheduleFromForm(siteId, scheduleType) {
 
   const schedule = { type: scheduleType, every };
 
+  if (document.getElementById(`${siteId}-schedule-businessDaysOnly`)?.checked) {
+    const shift = document.getElementById(`${siteId}-schedule-businessDayShift`)?.value;
+    if (!BUSINESS_DAY_SHIFT_POLICIES.includes(shift)) {
+      return { error: `サイト "${siteId}" の非営業日の扱いが正しくありません。` };
+    }
+    if (shift === 'previous' && !BUSINESS_DAY_PREVIOUS_SCHEDULE_TYPES.includes(scheduleType)) {
+      return { error: `サイト "${siteId}" の「前営業日へずらす」は週次・月次のスケジュールでのみ使えます。` };
+    }
+    schedule.businessDaysOnly = true;
+    schedule.businessDayShift = shift;
+  }
+
   if (scheduleType === 'hourly') {
     const minuteValue = document.getElementById(`${siteId}-schedule-minute`).value;
     const minute = parseInt(minuteValue, 10);
@@ -638,15 +869,162 @@ function buildScheduleFromForm(siteId, scheduleType) {
     }
     schedule.dow = dow;
     schedule.at = at;
+  } else if (scheduleType === 'monthly') {
+    const domValue = document.getElementById(`${siteId}-schedule-dayOfMonth`).value;
+    const dom = domValue === 'last' ? 'last' : parseInt(domValue, 10);
+    if (dom !== 'last' && (isNaN(dom) || dom < 1 || dom > 31)) {
+      return { error: `サイト "${siteId}" の日付は1-31または末日を選択してください。` };
+    }
+    const at = document.getElementById(`${siteId}-schedule-at`).value.trim();
+    if (!isValidTimeFormat(at)) {
+      return { error: `サイト "${siteId}" の時刻形式が正しくありません。HH:MM形式で入力してください。` };
+    }
+    schedule.dayOfMonth = dom;
+    schedule.at = at;
+  } else if (scheduleType === 'cron') {
+    const cron = document.getElementById(`${siteId}-schedule-cron`).value.trim().replace(/\s+/g, ' ');
+    try {
+      parseCronExpression(cron);
+    } catch (e) {
+      return { error: `サイト "${siteId}" の cron 式が正しくありません: ${e.message}` };
+    }
+    schedule.cron = cron;
   }
 
   return { schedule };
 }
 
+/** 非営業日スロットの扱いの表示ラベル */
+const BUSINESS_DAY_SHIFT_LABELS = Object.freeze({
+  skip: '実行しない（スキップ）',
+  next: '翌営業日へずらす',
+  previous: '前営業日へずらす（週次・月次のみ）'
+});
+
+/**
+ * 営業日のみ実行の入力欄（スケジュールタイプ変更では作り直さない）
+ *
+ * @param {string} siteId
+ * @param {Object} schedule
+ * @returns {string}
+ */
+function renderBusinessDayFields(siteId, schedule) {
+  const enabled = schedule?.businessDaysOnly === true;
+  const current = schedule?.businessDayShift || 'skip';
+  const options = BUSINESS_DAY_SHIFT_POLICIES.map(
+    (p) => `<option value="${p}" ${current === p ? 'selected' : ''}>${BUSINESS_DAY_SHIFT_LABELS[p]}</option>`
+  ).join('');
+  return `
+    <div class="schedule-fields">
+      <div class="form-group">
+        <label>
+          <input type="checkbox" id="${siteId}-schedule-businessDaysOnly" ${enabled ? 'checked' : ''}>
+          営業日のみ実行（土日祝・年末年始を除く）
+        </label>
+      </div>
+      <div class="form-group">
+        <label for="${siteId}-schedule-businessDayShift">非営業日の扱い:</label>
+        <select id="${siteId}-schedule-businessDayShift">${options}</select>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * 祝日表の取得状況を表示する
+ *
+ * @param {Object|null} table - storage の jpHolidayTable
+ */
+function renderJpHolidayMeta(table) {
+  const el = document.getElementById('jp-holiday-meta');
+  if (!el) return;
+  const bundledYears = Array.from(
+    new Set(Object.keys(JP_PUBLIC_HOLIDAYS_BUNDLED).map((k) => k.slice(0, 4)))
+  );
+  const bundled = `同梱: ${bundledYears[0]}〜${bundledYears[bundledYears.length - 1]}年`;
+  if (!table || !table.fetchedAt) {
+    el.textContent = `${bundled} / 取得: （未取得）`;
+    return;
+  }
+  const keys = Object.keys(table.holidays || {}).sort();
+  const range = keys.length ? `${keys[0]}〜${keys[keys.length - 1]}` : '—';
+  const fetched = new Date(table.fetchedAt).toLocaleString('ja-JP');
+  el.textContent = `${bundled} / 取得: ${fetched}（${keys.length}件・${range}）`;
+}
+
+async function refreshJpHolidaySection() {
+  renderJpHolidayMeta(await loadJpHolidayTable());
+}
+
+async function updateJpHolidayTableFromOptions() {
+  const button = document.getElementById('update-jp-holidays-button');
+  const defaultLabel = '祝日表を更新';
+  if (button) {
+    button.disabled = true;
+    button.textContent = '取得中...';
+  }
+  try {
+    const table = await fetchAndSaveJpHolidayTable();
+    renderJpHolidayMeta(table);
+    alert('祝日表を更新しました。次回の実行時刻計算から反映されます。');
+  } catch (err) {
+    alert('祝日表の更新に失敗しました: ' + err.message);
+  } finally {
+    if (button) {
+      button.disabled = false;
+      button.textContent = defaultLabel;
+    }
+  }
+}
+
+/**
+ * cron 式の次回5件のプレビュー HTML
+ *
+ * @param {string} expression
+ * @returns {string}
+ */
+function renderCronPreviewHtml(expression) {
+  let times;
+  try {
+    parseCronExpression(expression);
+    times = listNextCronTimes(expression, 5);
+  } catch (e) {
+    return `<span class="status-fail">${escapeHtml(e.message)}</span>`;
+  }
+  const items = times
+    .map((t) => `<li>${escapeHtml(new Date(t).toLocaleString('ja-JP'))}</li>`)
+    .join('');
+  return `<ol class="cron-preview-list">${items}</ol>`;
+}
+
+/**
+ * cron 式の入力に合わせて次回実行プレビューを更新する
+ *
+ * @param {string} siteId
+ */
+function updateScheduleCronPreview(siteId) {
+  const input = document.getElementById(`${siteId}-schedule-cron`);
+  const preview = document.getElementById(`${siteId}-schedule-cron-preview`);
+  if (!input || !preview) {
+    return;
+  }
+  preview.innerHTML = renderCronPreviewHtml(input.value.trim());
+}
+
+/**
+ * @param {string} siteId
+ */
+function attachScheduleCronListeners(siteId) {
+  const input = document.getElementById(`${siteId}-schedule-cron`);
+  if (input) {
+    input.addEventListener('input', () => updateScheduleCronPreview(siteId));
+  }
+}
+
 /**
  * スケジュールタイプに応じた入力フィールドを生成する
  * 
- * スケジュールタイプ（hourly/daily/weekly）に応じて、
+ * スケジュールタイプ（hourly/daily/weekly/monthly/cron）に応じて、
  * 必要な入力フィールドのみを表示する。
  * 
  * @param {string} siteId - サイトID（要素IDの生成に使用）
@@ -689,6 +1067,37 @@ function renderScheduleFields(siteId, schedule) {
         <input type="text" id="${siteId}-schedule-at" value="${schedule.at || '00:00'}" pattern="[0-9]{2}:[0-9]{2}" placeholder="HH:MM">
       </div>
     `;
+  } else if (schedule.type === 'monthly') {
+    const dayOptions = Array.from({ length: 31 }, (_, i) => i + 1)
+      .map((d) => `<option value="${d}" ${schedule.dayOfMonth === d ? 'selected' : ''}>${d}日</option>`)
+      .join('');
+    return `
+      ${everyField}
+      <div class="form-group">
+        <label>日付（短い月は月末に繰り上げ）:</label>
+        <select id="${siteId}-schedule-dayOfMonth">
+          ${dayOptions}
+          <option value="last" ${schedule.dayOfMonth === 'last' ? 'selected' : ''}>末日</option>
+        </select>
+      </div>
+      <div class="form-group">
+        <label>時刻（HH:MM）:</label>
+        <input type="text" id="${siteId}-schedule-at" value="${schedule.at || '00:00'}" pattern="[0-9]{2}:[0-9]{2}" placeholder="HH:MM">
+      </div>
+    `;
+  } else if (schedule.type === 'cron') {
+    const cron = schedule.cron || '';
+    return `
+      ${everyField}
+      <div class="form-group">
+        <label for="${siteId}-schedule-cron">cron 式（分 時 日 月 曜日）:</label>
+        <input type="text" id="${siteId}-schedule-cron" value="${escapeHtml(cron)}" placeholder="30 7,19 * * 1-5">
+      </div>
+      <div class="form-group schedule-cron-preview-group">
+        <label>次回5件:</label>
+        <div id="${siteId}-schedule-cron-preview">${renderCronPreviewHtml(cron)}</div>
+      </div>
+    `;
   }
   return everyField;
 }
@@ -715,90 +1124,633 @@ function updateScheduleFields(siteId) {
   } else if (type === 'weekly') {
     schedule.dow = 0;
     schedule.at = '00:00';
+  } else if (type === 'monthly') {
+    schedule.dayOfMonth = 1;
+    schedule.at = '00:00';
+  } else if (type === 'cron') {
+    schedule.cron = '0 * * * *';
   }
 
   fieldsDiv.innerHTML = renderScheduleFields(siteId, schedule);
   attachScheduleEveryListeners(siteId);
+  attachScheduleCronListeners(siteId);
 }
 
 /**
- * 指定されたサイトの設定を保存する
- * 
- * フォームから設定を読み取り、バリデーションを実施してからstorageに保存する。
- * バリデーションエラーがある場合は保存せず、ユーザーに通知する。
- * 
- * 保存後、初回登場サイトの nextRun を初期化する。
- * 既存サイトのnextRunは変更しない（スケジュール変更時も次回実行時刻は保持）。
- * 
- * @param {string} siteId - 保存対象のサイトID
+ * リトライ設定をフォームから読み取る
+ *
+ * @param {string} siteId
+ * @returns {{ retry?: Object, error?: string }}
  */
-async function saveSite(siteId) {
-  if (!isBuiltinSiteId(siteId)) {
-    alert(`サイト "${siteId}" は組み込みサイトではありません。`);
-    return;
+function buildRetryPolicyFromForm(siteId) {
+  const read = (key) => document.getElementById(`${siteId}-retry-${key}`)?.value.trim() ?? '';
+  const fields = [
+    { key: 'initialDelayMinutes', label: '初回リトライ待ち（分）', min: 1, max: 1440 },
+    { key: 'maxDelayMinutes', label: 'リトライ間隔の上限（分）', min: 1, max: 7 * 1440 },
+    { key: 'maxAttempts', label: '最大試行回数', min: 0, max: 100 },
+    { key: 'pauseAfterFailures', label: '自動停止までの連続失敗回数', min: 0, max: 100 }
+  ];
+  const retry = {};
+  for (const f of fields) {
+    const n = parseInt(read(f.key), 10);
+    if (!Number.isInteger(n) || n < f.min || n > f.max) {
+      return { error: `サイト "${siteId}" の${f.label}は ${f.min}〜${f.max} の整数で入力してください。` };
+    }
+    retry[f.key] = n;
   }
-
-  const result = await chrome.storage.local.get(['settings', 'state']);
-  const { settings } = await ensureNormalizedStorage(result.settings, result.state);
-  
-  if (!settings.sites[siteId]) {
-    alert(`サイト "${siteId}" が見つかりません。`);
-    return;
+  const multiplier = parseFloat(read('backoffMultiplier'));
+  if (!Number.isFinite(multiplier) || multiplier < 1 || multiplier > 10) {
+    return { error: `サイト "${siteId}" のバックオフ倍率は 1〜10 で入力してください。` };
   }
-  
-  const enabled = document.getElementById(`${siteId}-enabled`).checked;
-  const url = getBuiltinSiteUrl(siteId);
-  const timeoutSecValue = document.getElementById(`${siteId}-timeoutSec`).value;
-  const scheduleType = document.getElementById(`${siteId}-schedule-type`).value;
-
-  // タイムアウトは1-300秒の範囲に制限
-  // 短すぎるとタイムアウトが頻発し、長すぎるとリソースを消費しすぎる
-  const timeoutSec = parseInt(timeoutSecValue, 10);
-  if (isNaN(timeoutSec) || timeoutSec < 1 || timeoutSec > 300) {
-    alert(`サイト "${siteId}" のタイムアウトは1-300秒の範囲で入力してください。`);
-    return;
+  retry.backoffMultiplier = multiplier;
+  if (retry.maxDelayMinutes < retry.initialDelayMinutes) {
+    return { error: `サイト "${siteId}" のリトライ間隔の上限は初回リトライ待ち以上にしてください。` };
   }
+  return { retry };
+}
 
-  const built = buildScheduleFromForm(siteId, scheduleType);
-  if (built.error) {
-    alert(built.error);
-    return;
-  }
-  const schedule = built.schedule;
-  
-  const siteData = {
-    url,
-    enabled,
-    timeoutSec,
-    schedule
-  };
-  
-  // サイト単位オプション（スキーマで定義された項目）をフォームから読み取り保存
-  const schema = (window.__SITE_OPTIONS__ || {})[siteId];
-  if (schema && schema.length > 0) {
-    for (const opt of schema) {
-      const el = document.getElementById(`${siteId}-${opt.key}`);
-      if (el) {
-        const value = el.value.trim();
-        if (opt.type === 'url' && value && !isValidApiUrl(value)) {
-          alert(`サイト "${siteId}" の${opt.label}の形式が正しくありません。http:// または https:// で始まるURLを入力してください。`);
-          return;
-        }
-        if (opt.type === 'number' && value) {
-          const n = parseInt(value, 10);
-          const min = opt.min != null ? opt.min : 1;
-          const max = opt.max != null ? opt.max : Number.MAX_SAFE_INTEGER;
+/**
+ * リトライ設定の入力欄
+ *
+ * @param {string} siteId
+ * @param {Object} [retryPolicy]
+ * @returns {string}
+ */
+function renderRetryFields(siteId, retryPolicy) {
+  const retry = normalizeRetryPolicy(retryPolicy);
+  const field = (key, label, value, attrs) => `
+      <div class="form-group">
+        <label for="${siteId}-retry-${key}">${label}:</label>
+        <input type="number" id="${siteId}-retry-${key}" value="${value}" ${attrs}>
+      </div>
+  `;
+  return `
+    <h3 class="site-subheading">失敗時のリトライ</h3>
+    <div class="schedule-fields">
+      ${field('initialDelayMinutes', '初回リトライ待ち（分）', retry.initialDelayMinutes, 'min="1" max="1440"')}
+      ${field('backoffMultiplier', 'バックオフ倍率（1で固定間隔）', retry.backoffMultiplier, 'min="1" max="10" step="0.5"')}
+      ${field('maxDelayMinutes', 'リトライ間隔の上限（分）', retry.maxDelayMinutes, 'min="1" max="10080"')}
+      ${field('maxAttempts', '最大試行回数（0で無制限。到達後は次の通常スロットまで待つ）', retry.maxAttempts, 'min="0" max="100"')}
+      ${field('pauseAfterFailures', '自動停止までの連続失敗回数（0で停止しない）', retry.pauseAfterFailures, 'min="0" max="100"')}
+    </div>
+  `;
+}
+
+/**
+ * 実行許可時間帯・停止期間の入力欄（1行1ルール）
+ *
+ * @param {string} siteId
+ * @param {Object} site
+ * @returns {string}
+ */
+function renderRunWindowFields(siteId, site) {
+  return `
+    <h3 class="site-subheading">実行時間帯</h3>
+    <div class="schedule-fields">
+      <div class="form-group">
+        <label for="${siteId}-allowedWindows">実行を許可する時間帯（空なら常に許可）:</label>
+        <textarea class="run-window-rules" id="${siteId}-allowedWindows" placeholder="06:00-23:30">${escapeHtml(formatRunWindowRules(site.allowedWindows))}</textarea>
+      </div>
+      <div class="form-group">
+        <label for="${siteId}-blackouts">実行しない時間帯（メンテナンス等）:</label>
+        <textarea class="run-window-rules" id="${siteId}-blackouts" placeholder="23:30-06:00&#10;day=1">${escapeHtml(formatRunWindowRules(site.blackouts))}</textarea>
+      </div>
+    </div>
+    <small style="color: #666; font-size: 12px;">1行1ルール。<code>HH:MM-HH:MM</code>（日付またぎ可）、<code>day=1,15</code>（日指定・終日）、<code>day=1 00:00-06:00</code>。時間帯外に実行時刻が来たサイトは次の許可時刻まで延期します（手動実行は対象外）。</small>
+  `;
+}
+
+/**
+ * @param {string} siteId
+ * @returns {{ allowedWindows?: Object[], blackouts?: Object[], error?: string }}
+ */
+function buildRunWindowsFromForm(siteId) {
+  const allowed = parseRunWindowRules(document.getElementById(`${siteId}-allowedWindows`)?.value);
+  if (allowed.error) {
+    return { error: `サイト "${siteId}" の実行を許可する時間帯: ${allowed.error}` };
+  }
+  const blackouts = parseRunWindowRules(document.getElementById(`${siteId}-blackouts`)?.value);
+  if (blackouts.error) {
+    return { error: `サイト "${siteId}" の実行しない時間帯: ${blackouts.error}` };
+  }
+  const site = { allowedWindows: allowed.rules, blackouts: blackouts.rules };
+  if (computeNextAllowedRunTime(Date.now(), site) == null) {
+    return { error: `サイト "${siteId}" の実行時間帯の設定では、${RUN_WINDOW_SEARCH_MAX_DAYS}日以内に実行できる時刻がありません。` };
+  }
+  return site;
+}
+
+/**
+ * 依存関係（runAfter / onlyIfUpstreamOk）の入力欄
+ *
+ * @param {string} siteId
+ * @param {Object} site
+ * @returns {string}
+ */
+function renderDependencyFields(siteId, site) {
+  const runAfter = getSiteRunAfter(site, siteId);
+  const upstreams = BUILTIN_SITE_IDS.filter((id) => id !== siteId).map((upstreamId) => `
+        <label>
+          <input type="checkbox" id="${siteId}-runAfter-${upstreamId}" ${runAfter.includes(upstreamId) ? 'checked' : ''}>
+          ${escapeHtml(upstreamId)}
+        </label>
+  `).join('');
+  return `
+    <h3 class="site-subheading">依存関係</h3>
+    <div class="schedule-fields">
+      <div class="form-group">
+        <label>このサイトの前に実行するサイト（実行されたら直後に連動実行）:</label>
+        ${upstreams}
+      </div>
+      <div class="form-group">
+        <label>
+          <input type="checkbox" id="${siteId}-onlyIfUpstreamOk" ${site.onlyIfUpstreamOk ? 'checked' : ''}>
+          上流がすべて成功したときだけ実行する
+        </label>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * @param {string} siteId
+ * @returns {{ runAfter: string[], onlyIfUpstreamOk: boolean }}
+ */
+function buildDependencyFromForm(siteId) {
+  return {
+    runAfter: BUILTIN_SITE_IDS.filter(
+      (upstreamId) => document.getElementById(`${siteId}-runAfter-${upstreamId}`)?.checked
+    ),
+    onlyIfUpstreamOk: document.getElementById(`${siteId}-onlyIfUpstreamOk`)?.checked === true
+  };
+}
+
+/**
+ * 収集結果の送信先シンク（サイトの送る形と同じ形のシンクだけ選べる）
+ *
+ * @param {string} siteId
+ * @param {Object} site
+ * @param {Object} settings
+ * @returns {string}
+ */
+function renderSiteSinkFields(siteId, site, settings) {
+  const format = getBuiltinSiteFlow(siteId)?.sinkFormat;
+  if (!format) {
+    return '';
+  }
+  const selected = getSiteSinkNames(site, siteId);
+  const choices = Object.entries(getHttpSinks(settings))
+    .filter(([, sink]) => sink.format === format)
+    .map(([name, sink]) => `
+        <label>
+          <input type="checkbox" class="site-sink" data-site-id="${escapeHtml(siteId)}" value="${escapeHtml(name)}" ${selected.includes(name) ? 'checked' : ''}>
+          ${escapeHtml(name)}${sink.builtin ? '' : `（${escapeHtml(sink.url)}）`}
+        </label>
+  `).join('');
+  return `
+    <h3 class="site-subheading">送信先</h3>
+    <div class="schedule-fields">
+      <div class="form-group">
+        <label>収集結果を送るシンク（${escapeHtml(format)}。追加は「送信先（HTTP シンク）」で定義）:</label>
+        ${choices}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * @param {string} siteId
+ * @returns {{ sinks?: string[] }} 送信先の無いサイトは空
+ */
+function buildSiteSinksFromForm(siteId) {
+  if (!getBuiltinSiteFlow(siteId)?.sinkFormat) {
+    return {};
+  }
+  return {
+    sinks: Array.from(document.querySelectorAll(`.site-sink[data-site-id="${siteId}"]:checked`))
+      .map((input) => input.value)
+  };
+}
+
+/**
+ * runAfter が循環していればエラー文言を返す
+ *
+ * @param {Object} sites - 保存予定の settings.sites
+ * @returns {string|null}
+ */
+function validateSiteDependencies(sites) {
+  const cycle = findSiteDependencyCycle(sites);
+  return cycle ? `依存関係が循環しています: ${cycle.join(' → ')}` : null;
+}
+
+/** @readonly 取りこぼしポリシーの表示名 */
+const CATCH_UP_POLICY_LABELS = Object.freeze({
+  skip: '実行しない（記録のみ）',
+  'run-once': '1回だけ実行',
+  'run-each-missed-slot': '過ぎたスロットの数だけ実行'
+});
+
+/**
+ * スリープ・ブラウザ停止中に過ぎたスロットの扱い
+ *
+ * @param {string} siteId
+ * @param {Object} catchUp
+ * @returns {string}
+ */
+function renderCatchUpFields(siteId, catchUp) {
+  const current = normalizeCatchUp(catchUp);
+  const options = CATCH_UP_POLICIES.map(
+    (p) => `<option value="${p}" ${current.policy === p ? 'selected' : ''}>${CATCH_UP_POLICY_LABELS[p]}</option>`
+  ).join('');
+  return `
+    <h3 class="site-subheading">取りこぼし（スリープ・停止中に過ぎた実行）</h3>
+    <div class="schedule-fields">
+      <div class="form-group">
+        <label for="${siteId}-catchUp-policy">過ぎたスロットの扱い:</label>
+        <select id="${siteId}-catchUp-policy">${options}</select>
+      </div>
+      <div class="form-group">
+        <label for="${siteId}-catchUp-maxRuns">まとめて実行する上限回数（スロットの数だけ実行する場合）:</label>
+        <input type="number" id="${siteId}-catchUp-maxRuns" value="${current.maxRuns}" min="1" max="24">
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * @param {string} siteId
+ * @returns {{ catchUp?: Object, error?: string }}
+ */
+function buildCatchUpFromForm(siteId) {
+  const policy = document.getElementById(`${siteId}-catchUp-policy`).value;
+  const maxRuns = parseInt(document.getElementById(`${siteId}-catchUp-maxRuns`).value, 10);
+  if (!CATCH_UP_POLICIES.includes(policy)) {
+    return { error: `サイト "${siteId}" の取りこぼしの扱いが不正です。` };
+  }
+  if (!Number.isInteger(maxRuns) || maxRuns < 1 || maxRuns > 24) {
+    return { error: `サイト "${siteId}" のまとめて実行する上限回数は 1〜24 の整数で入力してください。` };
+  }
+  return { catchUp: { policy, maxRuns } };
+}
+
+/**
+ * 次回実行がスロット本来の時刻からずれている場合の内訳（営業日調整・揺らぎ・延期）
+ *
+ * @param {Object} siteState
+ * @returns {string}
+ */
+function formatNextRunDetail(siteState) {
+  const { nextRun, nextSlot } = siteState || {};
+  if (typeof nextRun !== 'number' || typeof nextSlot !== 'number' || nextRun === nextSlot) {
+    return '';
+  }
+  const diffMinutes = Math.round((nextRun - nextSlot) / 60000);
+  const sign = diffMinutes >= 0 ? '+' : '−';
+  return `<span style="color: #666;">（スロット ${new Date(nextSlot).toLocaleString('ja-JP')} ${sign}${Math.abs(diffMinutes)}分）</span>`;
+}
+
+/**
+ * タイムラインの「実行結果のシナリオ」入力を解釈する
+ *
+ * @param {string} text - 例: 'ok, fail, fail'
+ * @returns {{ outcomes?: Array<'ok'|'fail'>, error?: string }}
+ */
+function parseTimelineOutcomes(text) {
+  const outcomes = String(text || '')
+    .split(',')
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = outcomes.find((v) => v !== 'ok' && v !== 'fail');
+  if (invalid) {
+    return { error: `実行結果のシナリオは ok / fail のカンマ区切りで入力してください（「${invalid}」）` };
+  }
+  return { outcomes };
+}
+
+/**
+ * 有効なサイトの実行予定をまとめたタイムラインを描画する（フォームの未保存値を使う）
+ */
+async function renderScheduleTimeline() {
+  const container = document.getElementById('schedule-timeline');
+  if (!container) return;
+
+  const count = parseInt(document.getElementById('schedule-timeline-count')?.value, 10);
+  const parsed = parseTimelineOutcomes(document.getElementById('schedule-timeline-outcomes')?.value);
+  if (parsed.error) {
+    container.innerHTML = `<p class="status-fail">${escapeHtml(parsed.error)}</p>`;
+    return;
+  }
+
+  const { state } = await chrome.storage.local.get('state');
+  const now = Date.now();
+  const rows = [];
+  const notes = [];
+  for (const siteId of BUILTIN_SITE_IDS) {
+    if (!document.getElementById(`${siteId}-enabled`)?.checked) continue;
+    const built = buildSiteDataFromForm(siteId);
+    if (built.error) {
+      notes.push(built.error);
+      continue;
+    }
+    const site = built.siteData;
+    const siteState = state?.bySite?.[siteId] || {};
+    if (siteState.autoPaused) {
+      notes.push(`サイト "${siteId}" は自動停止中のため表示しません。`);
+      continue;
+    }
+    if (isSitePausedUntil(siteState, now)) {
+      notes.push(`サイト "${siteId}" は ${new Date(siteState.pausedUntil).toLocaleString('ja-JP')} まで一時停止中です。`);
+    }
+    const result = simulateScheduleRuns({
+      now,
+      schedule: site.schedule,
+      retry: site.retry,
+      site,
+      siteId,
+      siteState,
+      outcomes: parsed.outcomes,
+      count: Number.isInteger(count) && count > 0 ? Math.min(count, 50) : 5
+    });
+    for (const run of result.runs) {
+      rows.push({ siteId, ...run });
+    }
+    if (result.runs.length === 0 && result.autoPausedAt == null) {
+      notes.push(`サイト "${siteId}" はスケジュールに一致する実行時刻がありません。`);
+    }
+    if (result.autoPausedAt != null) {
+      notes.push(`サイト "${siteId}" は ${new Date(result.autoPausedAt).toLocaleString('ja-JP')} の失敗で自動停止します。`);
+    }
+  }
+
+  rows.sort((a, b) => a.runAt - b.runAt);
+  const body = rows.map((row) => {
+    const detail = [];
+    if (row.retry) {
+      detail.push('失敗リトライ');
+    } else if (row.slot != null && row.slot !== row.runAt && row.deferredFrom == null) {
+      detail.push(`スロット ${new Date(row.slot).toLocaleString('ja-JP')}`);
+    }
+    if (row.deferredFrom != null) {
+      detail.push(`${new Date(row.deferredFrom).toLocaleString('ja-JP')} から延期（時間帯外）`);
+    }
+    const result = row.outcome === 'ok'
+      ? '<span class="status-ok">成功</span>'
+      : `<span class="status-fail">失敗（連続${row.failCount}回）</span>`;
+    return `
+      <tr>
+        <td>${new Date(row.runAt).toLocaleString('ja-JP', { weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })}</td>
+        <td>${escapeHtml(row.siteId)}</td>
+        <td>${result}</td>
+        <td>${escapeHtml(detail.join(' / '))}</td>
+      </tr>
+    `;
+  }).join('');
+
+  const notesHtml = notes.map((n) => `<p class="doppler-meta">${escapeHtml(n)}</p>`).join('');
+  container.innerHTML = rows.length === 0
+    ? `${notesHtml}<p class="processed-tweets-empty">有効なサイトがありません。</p>`
+    : `${notesHtml}
+      <table class="schedule-timeline-table">
+        <thead><tr><th>実行予定</th><th>サイト</th><th>想定結果</th><th>備考</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>`;
+}
+
+/**
+ * 取りこぼしたスロットの状態表示（新しい順に最大5件）
+ *
+ * @param {Object[]|undefined} missedSlots - state.bySite[siteId].missedSlots
+ * @returns {string}
+ */
+function renderMissedSlotsStateItem(missedSlots) {
+  if (!Array.isArray(missedSlots) || missedSlots.length === 0) {
+    return '';
+  }
+  const items = missedSlots.slice(0, 5).map((m) => `
+            <li>${new Date(m.slot).toLocaleString('ja-JP')}（${escapeHtml(CATCH_UP_POLICY_LABELS[m.policy] || m.policy)}・検出 ${new Date(m.detectedAt).toLocaleString('ja-JP')}）</li>
+  `).join('');
+  return `
+        <div class="state-item">
+          <span class="state-label">取りこぼし（${missedSlots.length}件）:</span>
+          <ul class="cron-preview-list">${items}</ul>
+        </div>
+  `;
+}
+
+/** 実行トレースの手順名ラベル */
+const RUN_TRACE_STEP_LABELS = Object.freeze({
+  'tab-create': 'タブ作成',
+  'tab-load': '読み込み完了待ち',
+  login: 'ログイン判定・送信',
+  'login-redirect': 'ログイン後のリダイレクト待ち',
+  'login-settle': 'ログイン後の待機',
+  'navigate-site': '対象ページへ移動',
+  'statement-dom': '明細 DOM 待ち',
+  'latest-month': '最新月へ移動',
+  'resume-month': '途切れた月から再開',
+  'collect-month': '月ページ収集',
+  'navigate-prev-month': '前月へ移動',
+  'vault-dom': 'Vault DOM 待ち',
+  collect: '収集',
+  'collect-article': '記事収集',
+  'chatgpt-send': 'ChatGPT 送信',
+  'outbox-enqueue': '送信待ちへ保存',
+  'api-send': 'API 送信'
+});
+
+/** 実行トレースの結果ラベル */
+const RUN_TRACE_OUTCOME_LABELS = Object.freeze({
+  ok: '成功',
+  fail: '失敗',
+  cancelled: '中断'
+});
+
+/**
+ * 直近の実行トレース（手順ごとの所要時間と結果）
+ *
+ * @param {Object|undefined} lastTrace - state.bySite[siteId].lastTrace
+ * @returns {string}
+ */
+function renderRunTraceStateItem(lastTrace) {
+  if (!lastTrace || !Array.isArray(lastTrace.steps)) {
+    return '';
+  }
+  const outcomeClass = (outcome) =>
+    outcome === 'ok' ? 'status-ok' : (outcome === 'cancelled' ? 'status-cancelled' : 'status-fail');
+  const rows = lastTrace.steps.map((step) => {
+    const detail = Object.entries(step.detail || {})
+      .map(([k, v]) => `${k}=${v}`)
+      .join(', ');
+    const note = [detail, step.error].filter(Boolean).join(' / ');
+    return `
+              <tr>
+                <td>${escapeHtml(RUN_TRACE_STEP_LABELS[step.name] || step.name)}</td>
+                <td>${new Date(step.startedAt).toLocaleTimeString('ja-JP')}</td>
+                <td>${formatRunTraceDuration(step.endedAt - step.startedAt)}</td>
+                <td class="${outcomeClass(step.outcome)}">${escapeHtml(RUN_TRACE_OUTCOME_LABELS[step.outcome] || step.outcome)}</td>
+                <td>${escapeHtml(note)}</td>
+              </tr>`;
+  }).join('');
+  const dropped = lastTrace.droppedSteps ? `（ほか ${lastTrace.droppedSteps} 手順は省略）` : '';
+  return `
+        <div class="state-item">
+          <details>
+            <summary>
+              <span class="state-label">実行トレース:</span>
+              ${new Date(lastTrace.startedAt).toLocaleString('ja-JP')}・${formatRunTraceDuration(lastTrace.endedAt - lastTrace.startedAt)}・<span class="${outcomeClass(lastTrace.outcome)}">${escapeHtml(RUN_TRACE_OUTCOME_LABELS[lastTrace.outcome] || lastTrace.outcome)}</span>${dropped}
+            </summary>
+            <table class="schedule-timeline-table run-trace-table">
+              <thead>
+                <tr><th>手順</th><th>開始</th><th>所要</th><th>結果</th><th>詳細</th></tr>
+              </thead>
+              <tbody>${rows || '<tr><td colspan="5">記録された手順はありません</td></tr>'}</tbody>
+            </table>
+          </details>
+        </div>
+  `;
+}
+
+/**
+ * 1サイト分の設定をフォームから読み取り、バリデーションする
+ *
+ * @param {string} siteId
+ * @returns {{ siteData?: Object, error?: string }}
+ */
+function buildSiteDataFromForm(siteId) {
+  const enabled = document.getElementById(`${siteId}-enabled`).checked;
+  const url = getBuiltinSiteUrl(siteId);
+  const timeoutSecValue = document.getElementById(`${siteId}-timeoutSec`).value;
+  const scheduleType = document.getElementById(`${siteId}-schedule-type`).value;
+
+  // タイムアウトは1-300秒の範囲に制限
+  // 短すぎるとタイムアウトが頻発し、長すぎるとリソースを消費しすぎる
+  const timeoutSec = parseInt(timeoutSecValue, 10);
+  if (isNaN(timeoutSec) || timeoutSec < 1 || timeoutSec > 300) {
+    return { error: `サイト "${siteId}" のタイムアウトは1-300秒の範囲で入力してください。` };
+  }
+
+  const runDeadlineSec = parseInt(document.getElementById(`${siteId}-runDeadlineSec`).value, 10);
+  if (
+    !Number.isInteger(runDeadlineSec) ||
+    runDeadlineSec < RUN_DEADLINE_MIN_SEC ||
+    runDeadlineSec > RUN_DEADLINE_MAX_SEC
+  ) {
+    return { error: `サイト "${siteId}" の実行全体の上限は ${RUN_DEADLINE_MIN_SEC}〜${RUN_DEADLINE_MAX_SEC} 秒の整数で入力してください。` };
+  }
+  if (runDeadlineSec < timeoutSec) {
+    return { error: `サイト "${siteId}" の実行全体の上限はタイムアウト（${timeoutSec}秒）以上にしてください。` };
+  }
+
+  const jitterMinutes = parseInt(document.getElementById(`${siteId}-jitterMinutes`).value, 10);
+  if (!Number.isInteger(jitterMinutes) || jitterMinutes < 0 || jitterMinutes > JITTER_MAX_MINUTES) {
+    return { error: `サイト "${siteId}" の開始時刻の揺らぎは 0〜${JITTER_MAX_MINUTES} 分の整数で入力してください。` };
+  }
+
+  const built = buildScheduleFromForm(siteId, scheduleType);
+  if (built.error) {
+    return { error: built.error };
+  }
+  const schedule = built.schedule;
+
+  const builtRetry = buildRetryPolicyFromForm(siteId);
+  if (builtRetry.error) {
+    return { error: builtRetry.error };
+  }
+
+  const builtWindows = buildRunWindowsFromForm(siteId);
+  if (builtWindows.error) {
+    return { error: builtWindows.error };
+  }
+
+  const builtCatchUp = buildCatchUpFromForm(siteId);
+  if (builtCatchUp.error) {
+    return { error: builtCatchUp.error };
+  }
+
+  const siteData = {
+    url,
+    enabled,
+    timeoutSec,
+    runDeadlineSec,
+    jitterMinutes,
+    schedule,
+    retry: builtRetry.retry,
+    allowedWindows: builtWindows.allowedWindows,
+    blackouts: builtWindows.blackouts,
+    catchUp: builtCatchUp.catchUp,
+    ...buildDependencyFromForm(siteId),
+    ...buildSiteSinksFromForm(siteId)
+  };
+
+  // サイト単位オプション（スキーマで定義された項目）をフォームから読み取り保存
+  const schema = (window.__SITE_OPTIONS__ || {})[siteId];
+  if (schema && schema.length > 0) {
+    for (const opt of schema) {
+      const el = document.getElementById(`${siteId}-${opt.key}`);
+      if (el) {
+        const value = el.value.trim();
+        if (opt.type === 'url' && value && !isValidApiUrl(value)) {
+          return { error: `サイト "${siteId}" の${opt.label}の形式が正しくありません。http:// または https:// で始まるURLを入力してください。` };
+        }
+        if (opt.type === 'number' && value) {
+          const n = parseInt(value, 10);
+          const min = opt.min != null ? opt.min : 1;
+          const max = opt.max != null ? opt.max : Number.MAX_SAFE_INTEGER;
           if (!Number.isFinite(n) || n < min || n > max) {
-            alert(`サイト "${siteId}" の${opt.label}は ${min}〜${max} の整数で入力してください。`);
-            return;
+            return { error: `サイト "${siteId}" の${opt.label}は ${min}〜${max} の整数で入力してください。` };
           }
         }
         siteData[opt.key] = value;
       }
     }
   }
+
+  return { siteData };
+}
+
+/**
+ * 指定されたサイトの設定を保存する
+ * 
+ * フォームから設定を読み取り、バリデーションを実施してからstorageに保存する。
+ * バリデーションエラーがある場合は保存せず、ユーザーに通知する。
+ * 
+ * 保存後、初回登場サイトの nextRun を初期化する。
+ * 既存サイトのnextRunは変更しない（スケジュール変更時も次回実行時刻は保持）。
+ * 
+ * @param {string} siteId - 保存対象のサイトID
+ */
+async function saveSite(siteId) {
+  if (!isBuiltinSiteId(siteId)) {
+    alert(`サイト "${siteId}" は組み込みサイトではありません。`);
+    return;
+  }
+
+  const result = await chrome.storage.local.get(['settings', 'state']);
+  const { settings } = await ensureNormalizedStorage(result.settings, result.state);
+  
+  if (!settings.sites[siteId]) {
+    alert(`サイト "${siteId}" が見つかりません。`);
+    return;
+  }
+
+  const built = buildSiteDataFromForm(siteId);
+  if (built.error) {
+    alert(built.error);
+    return;
+  }
+  const siteData = built.siteData;
   
   settings.sites[siteId] = siteData;
+  const dependencyError = validateSiteDependencies(settings.sites);
+  if (dependencyError) {
+    alert(dependencyError);
+    return;
+  }
+  const sinkError = validateSiteSinks(settings);
+  if (sinkError) {
+    alert(sinkError);
+    return;
+  }
   await chrome.storage.local.set({ settings });
   
   // 初回登場サイトの nextRun を初期化
@@ -810,8 +1762,13 @@ async function saveSite(siteId) {
   }
 
   if (!state.bySite[siteId]) {
+    const next = computeNextScheduledRun(now, siteData.schedule, {
+      mode: 'initial',
+      ...getScheduleJitterContext(siteData, siteId)
+    });
     state.bySite[siteId] = {
-      nextRun: computeNextRunAfterSuccess(now, siteData.schedule, { mode: 'initial' })
+      nextRun: next.nextRun,
+      nextSlot: next.slot
     };
     await chrome.storage.local.set({ state });
   }
@@ -834,59 +1791,23 @@ async function saveAllSites() {
   const { settings } = await ensureNormalizedStorage(result.settings, result.state);
 
   for (const siteId of BUILTIN_SITE_IDS) {
-    const enabled = document.getElementById(`${siteId}-enabled`).checked;
-    const url = getBuiltinSiteUrl(siteId);
-    const timeoutSecValue = document.getElementById(`${siteId}-timeoutSec`).value;
-    const scheduleType = document.getElementById(`${siteId}-schedule-type`).value;
-
-    // タイムアウトは1-300秒の範囲に制限
-    // 短すぎるとタイムアウトが頻発し、長すぎるとリソースを消費しすぎる
-    const timeoutSec = parseInt(timeoutSecValue, 10);
-    if (isNaN(timeoutSec) || timeoutSec < 1 || timeoutSec > 300) {
-      alert(`サイト "${siteId}" のタイムアウトは1-300秒の範囲で入力してください。`);
-      return;
-    }
-
-    const built = buildScheduleFromForm(siteId, scheduleType);
+    const built = buildSiteDataFromForm(siteId);
     if (built.error) {
       alert(built.error);
       return;
     }
-    const schedule = built.schedule;
-    
-    const siteData = {
-      url,
-      enabled,
-      timeoutSec,
-      schedule
-    };
-    
-    // サイト単位オプション（スキーマで定義された項目）をフォームから読み取り保存
-    const schema = (window.__SITE_OPTIONS__ || {})[siteId];
-    if (schema && schema.length > 0) {
-      for (const opt of schema) {
-        const el = document.getElementById(`${siteId}-${opt.key}`);
-        if (el) {
-          const value = el.value.trim();
-          if (opt.type === 'url' && value && !isValidApiUrl(value)) {
-            alert(`サイト "${siteId}" の${opt.label}の形式が正しくありません。http:// または https:// で始まるURLを入力してください。`);
-            return;
-          }
-          if (opt.type === 'number' && value) {
-            const n = parseInt(value, 10);
-            const min = opt.min != null ? opt.min : 1;
-            const max = opt.max != null ? opt.max : Number.MAX_SAFE_INTEGER;
-            if (!Number.isFinite(n) || n < min || n > max) {
-              alert(`サイト "${siteId}" の${opt.label}は ${min}〜${max} の整数で入力してください。`);
-              return;
-            }
-          }
-          siteData[opt.key] = value;
-        }
-      }
-    }
-    
-    settings.sites[siteId] = siteData;
+    settings.sites[siteId] = built.siteData;
+  }
+
+  const dependencyError = validateSiteDependencies(settings.sites);
+  if (dependencyError) {
+    alert(dependencyError);
+    return;
+  }
+  const sinkError = validateSiteSinks(settings);
+  if (sinkError) {
+    alert(sinkError);
+    return;
   }
   
   await chrome.storage.local.set({ settings });
@@ -902,8 +1823,13 @@ async function saveAllSites() {
   for (const siteId of BUILTIN_SITE_IDS) {
     if (!state.bySite[siteId]) {
       const site = settings.sites[siteId];
+      const next = computeNextScheduledRun(now, site.schedule, {
+        mode: 'initial',
+        ...getScheduleJitterContext(site, siteId)
+      });
       state.bySite[siteId] = {
-        nextRun: computeNextRunAfterSuccess(now, site.schedule, { mode: 'initial' })
+        nextRun: next.nextRun,
+        nextSlot: next.slot
       };
     }
   }
@@ -931,10 +1857,428 @@ function escapeHtml(text) {
 
 
 // ページ読み込み時にサイト一覧を表示し、イベントリスナーを設定
+/**
+ * 「専用ウィンドウで実行する」の表示を settings に合わせる
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshRunWindowSection() {
+  const checkbox = document.getElementById('dedicated-run-window');
+  if (!checkbox) return;
+  const { settings } = await chrome.storage.local.get('settings');
+  checkbox.checked = settings?.dedicatedRunWindow === true;
+}
+
+/**
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ */
+async function saveDedicatedRunWindow(enabled) {
+  const result = await chrome.storage.local.get('settings');
+  const settings = result.settings || { sites: {} };
+  settings.dedicatedRunWindow = enabled;
+  await chrome.storage.local.set({ settings });
+}
+
+/** SW が残した失敗タブの一覧（service-worker.js の KEPT_FAILED_TABS_STORAGE_KEY と同じ） */
+const KEPT_FAILED_TABS_STORAGE_KEY = 'keptFailedTabs';
+
+/**
+ * 「失敗したタブを残す」の表示と、残っている失敗タブへのリンクを描画する
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshDebugSection() {
+  const got = await chrome.storage.local.get(['settings', KEPT_FAILED_TABS_STORAGE_KEY]);
+  const checkbox = document.getElementById('debug-keep-tab-on-failure');
+  if (checkbox) {
+    checkbox.checked = got.settings?.debugKeepTabOnFailure === true;
+  }
+  const container = document.getElementById('kept-failed-tabs');
+  if (!container) return;
+  const kept = Array.isArray(got[KEPT_FAILED_TABS_STORAGE_KEY]) ? got[KEPT_FAILED_TABS_STORAGE_KEY] : [];
+  if (kept.length === 0) {
+    container.innerHTML = '<p class="doppler-meta">残っている失敗タブはありません。</p>';
+    return;
+  }
+  container.innerHTML = `
+    <ul class="cron-preview-list">
+      ${kept.map((entry) => `
+        <li>
+          <a href="#" class="open-kept-tab" data-tab-id="${entry.tabId}" data-window-id="${entry.windowId}">${escapeHtml(entry.siteId)}：${escapeHtml(entry.url)}</a>
+          （${new Date(entry.keptAt).toLocaleString('ja-JP')}・<span class="status-fail">${escapeHtml(entry.error)}</span>）
+        </li>
+      `).join('')}
+    </ul>
+  `;
+  container.querySelectorAll('.open-kept-tab').forEach((link) => {
+    link.addEventListener('click', async (e) => {
+      e.preventDefault();
+      const tabId = Number(link.getAttribute('data-tab-id'));
+      try {
+        const tab = await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+      } catch (err) {
+        alert('タブを開けませんでした（既に閉じられています）: ' + err.message);
+      }
+    });
+  });
+}
+
+/**
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ */
+async function saveDebugKeepTabOnFailure(enabled) {
+  const result = await chrome.storage.local.get('settings');
+  const settings = result.settings || { sites: {} };
+  settings.debugKeepTabOnFailure = enabled;
+  await chrome.storage.local.set({ settings });
+}
+
+/**
+ * 実行履歴の絞り込み欄と保持設定を初期化する
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshRunHistorySection() {
+  const siteSelect = document.getElementById('run-history-site');
+  if (siteSelect && siteSelect.options.length === 0) {
+    siteSelect.innerHTML = ['<option value="">すべて</option>']
+      .concat(BUILTIN_SITE_IDS.map((id) => `<option value="${escapeHtml(id)}">${escapeHtml(id)}</option>`))
+      .join('');
+  }
+  const { settings } = await chrome.storage.local.get('settings');
+  const retention = normalizeRunHistoryRetention(settings?.runHistory);
+  const maxDaysInput = document.getElementById('run-history-max-days');
+  const maxRowsInput = document.getElementById('run-history-max-rows');
+  if (maxDaysInput) maxDaysInput.value = retention.maxDays;
+  if (maxRowsInput) maxRowsInput.value = retention.maxRows;
+  await renderRunHistory();
+}
+
+/**
+ * 実行履歴を絞り込み条件で表示する（新しい順）
+ *
+ * @returns {Promise<void>}
+ */
+async function renderRunHistory() {
+  const container = document.getElementById('run-history');
+  if (!container) return;
+  const limit = parseInt(document.getElementById('run-history-limit')?.value, 10);
+  let rows;
+  try {
+    rows = await listRunHistory({
+      siteId: document.getElementById('run-history-site')?.value || '',
+      status: document.getElementById('run-history-status')?.value || '',
+      sentOnly: document.getElementById('run-history-sent-only')?.checked === true,
+      limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, 1000) : 100
+    });
+  } catch (err) {
+    container.innerHTML = `<p class="status-fail">実行履歴を読み込めませんでした: ${escapeHtml(err.message)}</p>`;
+    return;
+  }
+  if (rows.length === 0) {
+    container.innerHTML = '<p class="doppler-meta">該当する実行はありません。</p>';
+    return;
+  }
+  const outcomeClass = (status) =>
+    status === 'ok' ? 'status-ok' : (status === 'cancelled' ? 'status-cancelled' : 'status-fail');
+  const body = rows.map((row) => {
+    const mode = row.localMode ? 'ローカル' : (row.mockMode ? 'モック' : '通常');
+    const endpoints = (row.endpoints || [])
+      .map((e) => {
+        const count = e.items ?? e.batches;
+        return `${e.api}${count != null ? `（${count}）` : ''}`;
+      })
+      .join(', ');
+    return `
+        <tr>
+          <td>${new Date(row.startedAt).toLocaleString('ja-JP')}</td>
+          <td>${escapeHtml(row.siteId)}</td>
+          <td>${escapeHtml(INVOKED_BY_LABELS[row.invokedBy] || row.invokedBy)}</td>
+          <td>${mode}</td>
+          <td>${formatRunTraceDuration(row.endedAt - row.startedAt)}</td>
+          <td class="${outcomeClass(row.status)}">${escapeHtml(RUN_TRACE_OUTCOME_LABELS[row.status] || row.status)}</td>
+          <td>${row.recordCount ?? '—'}</td>
+          <td>${escapeHtml(endpoints || '—')}</td>
+          <td>${escapeHtml(row.error || '')}</td>
+          <td>${(row.evidenceIds || []).map((id) => `
+            <button type="button" class="secondary download-evidence" data-evidence-id="${id}" data-kind="screenshot">画像</button>
+            <button type="button" class="secondary download-evidence" data-evidence-id="${id}" data-kind="html">HTML</button>
+          `).join('<br>')}</td>
+        </tr>`;
+  }).join('');
+  container.innerHTML = `
+    <table class="schedule-timeline-table">
+      <thead>
+        <tr><th>開始</th><th>サイト</th><th>起動</th><th>モード</th><th>所要</th><th>結果</th><th>件数</th><th>送信先</th><th>エラー</th><th>証跡</th></tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+  container.querySelectorAll('.download-evidence').forEach((button) => {
+    button.addEventListener('click', () =>
+      downloadRunEvidence(Number(button.getAttribute('data-evidence-id')), button.getAttribute('data-kind'))
+    );
+  });
+}
+
+/**
+ * 失敗時の証跡（スクリーンショット / サニタイズ済み HTML）をファイルとして保存する
+ *
+ * @param {number} evidenceId
+ * @param {'screenshot'|'html'} kind
+ * @returns {Promise<void>}
+ */
+async function downloadRunEvidence(evidenceId, kind) {
+  const evidence = await getRunEvidence(evidenceId);
+  if (!evidence) {
+    alert('証跡は保持件数を超えたため削除されています。');
+    return;
+  }
+  const stamp = new Date(evidence.capturedAt).toISOString().replace(/[:.]/g, '-');
+  let href;
+  let filename;
+  if (kind === 'screenshot') {
+    if (!evidence.screenshot) {
+      alert('この証跡にはスクリーンショットがありません（取得に失敗しました）。');
+      return;
+    }
+    href = evidence.screenshot;
+    filename = `${evidence.siteId}-${stamp}.jpg`;
+  } else {
+    if (!evidence.html) {
+      alert('この証跡には HTML がありません（取得に失敗しました）。');
+      return;
+    }
+    href = URL.createObjectURL(new Blob([evidence.html], { type: 'text/html' }));
+    filename = `${evidence.siteId}-${stamp}.html`;
+  }
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  link.click();
+  if (href.startsWith('blob:')) {
+    setTimeout(() => URL.revokeObjectURL(href), 1000);
+  }
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+async function saveRunHistoryRetention() {
+  const maxDays = Number(document.getElementById('run-history-max-days')?.value);
+  const maxRows = Number(document.getElementById('run-history-max-rows')?.value);
+  if (!Number.isInteger(maxDays) || maxDays < 1 || maxDays > RUN_HISTORY_MAX_DAYS_LIMIT) {
+    alert(`保持日数は 1〜${RUN_HISTORY_MAX_DAYS_LIMIT} の整数で入力してください。`);
+    return;
+  }
+  if (!Number.isInteger(maxRows) || maxRows < 1 || maxRows > RUN_HISTORY_MAX_ROWS_LIMIT) {
+    alert(`保持件数は 1〜${RUN_HISTORY_MAX_ROWS_LIMIT} の整数で入力してください。`);
+    return;
+  }
+  const result = await chrome.storage.local.get('settings');
+  const settings = result.settings || { sites: {} };
+  settings.runHistory = { maxDays, maxRows };
+  await chrome.storage.local.set({ settings });
+  await pruneRunHistory(settings.runHistory);
+  alert('実行履歴の保持設定を保存しました');
+  await renderRunHistory();
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+async function clearRunHistoryFromOptions() {
+  if (!confirm('実行履歴をすべて消去しますか？')) {
+    return;
+  }
+  await clearRunHistory();
+  await renderRunHistory();
+}
+
+/** シンクの認証方式ラベル */
+const HTTP_SINK_AUTH_LABELS = Object.freeze({
+  'api-key': 'API_KEY（Bearer）',
+  'bearer-secret': 'Doppler secret（Bearer）',
+  none: 'なし'
+});
+
+/**
+ * 送信先（HTTP シンク）セクションを settings に合わせる
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshHttpSinksSection() {
+  const { settings } = await chrome.storage.local.get('settings');
+  const builtin = document.getElementById('http-sinks-builtin');
+  if (builtin) {
+    const body = Object.entries(getHttpSinks(settings)).map(([name, sink]) => `
+        <tr>
+          <td>${escapeHtml(name)}${sink.builtin ? '' : '（追加）'}</td>
+          <td>${escapeHtml(sink.format)}</td>
+          <td>${escapeHtml(sink.url)}</td>
+          <td>${escapeHtml(sink.auth === 'bearer-secret' ? `${HTTP_SINK_AUTH_LABELS[sink.auth]}: ${sink.secretName}` : HTTP_SINK_AUTH_LABELS[sink.auth])}</td>
+          <td>${escapeHtml(sink.response)}</td>
+        </tr>`).join('');
+    builtin.innerHTML = `
+      <table class="schedule-timeline-table">
+        <thead>
+          <tr><th>名前</th><th>形</th><th>URL</th><th>認証</th><th>応答</th></tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+  const textarea = document.getElementById('http-sinks-json');
+  if (textarea) {
+    textarea.value = settings?.httpSinks && Object.keys(settings.httpSinks).length > 0
+      ? JSON.stringify(settings.httpSinks, null, 2)
+      : '';
+  }
+}
+
+/**
+ * 追加シンクを保存する（使っているサイトがあるシンクは消せない）
+ *
+ * @returns {Promise<void>}
+ */
+async function saveHttpSinksFromOptions() {
+  const text = document.getElementById('http-sinks-json')?.value.trim() || '';
+  let httpSinks = {};
+  if (text) {
+    try {
+      httpSinks = JSON.parse(text);
+    } catch (err) {
+      alert('送信先の JSON を読み取れませんでした: ' + err.message);
+      return;
+    }
+  }
+  const configError = validateHttpSinkConfigs(httpSinks);
+  if (configError) {
+    alert(configError);
+    return;
+  }
+  const result = await chrome.storage.local.get(['settings', 'state']);
+  const { settings } = await ensureNormalizedStorage(result.settings, result.state);
+  settings.httpSinks = httpSinks;
+  const sinkError = validateSiteSinks(settings);
+  if (sinkError) {
+    alert(sinkError);
+    return;
+  }
+  await chrome.storage.local.set({ settings });
+  alert('送信先を保存しました');
+  await refreshHttpSinksSection();
+  await loadSites();
+}
+
+/** 送信待ちの状態ラベル */
+const OUTBOX_STATUS_LABELS = Object.freeze({
+  pending: '送信待ち',
+  dead: '送信中止'
+});
+
+/**
+ * 送信待ち（pending）と送信を諦めた行（dead）を古い順に表示する
+ *
+ * @returns {Promise<void>}
+ */
+async function renderOutbox() {
+  const container = document.getElementById('outbox');
+  if (!container) return;
+  let rows;
+  try {
+    rows = await listOutbox();
+  } catch (err) {
+    container.innerHTML = `<p class="status-fail">送信待ちを読み込めませんでした: ${escapeHtml(err.message)}</p>`;
+    return;
+  }
+  if (rows.length === 0) {
+    container.innerHTML = '<p class="doppler-meta">送信待ちはありません。</p>';
+    return;
+  }
+  const body = rows.map((row) => `
+        <tr>
+          <td>${new Date(row.createdAt).toLocaleString('ja-JP')}</td>
+          <td>${escapeHtml(row.siteId)}</td>
+          <td>${escapeHtml(row.sink)}${row.localMode ? '（ローカル）' : ''}</td>
+          <td class="${row.status === 'dead' ? 'status-fail' : ''}">${escapeHtml(OUTBOX_STATUS_LABELS[row.status] || row.status)}</td>
+          <td>${row.attempts}</td>
+          <td>${row.status === 'pending' ? new Date(row.nextAttemptAt).toLocaleString('ja-JP') : '—'}</td>
+          <td>${escapeHtml(row.lastError || '')}</td>
+          <td>
+            <button type="button" class="secondary outbox-retry" data-outbox-id="${row.id}">再送</button>
+            <button type="button" class="delete outbox-delete" data-outbox-id="${row.id}">削除</button>
+          </td>
+        </tr>`).join('');
+  container.innerHTML = `
+    <table class="schedule-timeline-table">
+      <thead>
+        <tr><th>保存</th><th>サイト</th><th>送信先</th><th>状態</th><th>試行</th><th>次の再送</th><th>最後のエラー</th><th></th></tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+  container.querySelectorAll('.outbox-retry').forEach((button) => {
+    button.addEventListener('click', () => retryOutboxFromOptions(Number(button.getAttribute('data-outbox-id'))));
+  });
+  container.querySelectorAll('.outbox-delete').forEach((button) => {
+    button.addEventListener('click', () => deleteOutboxFromOptions(Number(button.getAttribute('data-outbox-id'))));
+  });
+}
+
+/**
+ * 送信待ちを今すぐ再送する（Service Worker 側で送る。id 省略時は pending すべて）
+ *
+ * @param {number} [id]
+ * @returns {Promise<void>}
+ */
+async function retryOutboxFromOptions(id) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'OUTBOX_RETRY', id });
+    if (!response?.success) {
+      alert('再送に失敗しました: ' + (response?.error || '不明なエラー'));
+    } else if (response.pending > 0 || response.dead > 0) {
+      const authNote = response.authError ? `\n認証エラー: ${response.authError}（資格情報を確認してください）` : '';
+      alert(`送信できなかったものがあります（成功: ${response.delivered} / 送信待ち: ${response.pending} / 送信中止: ${response.dead}）${authNote}`);
+    }
+  } catch (err) {
+    alert('再送に失敗しました: ' + err.message);
+  }
+  await renderOutbox();
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function deleteOutboxFromOptions(id) {
+  if (!confirm('この送信内容を削除しますか？（外部 API へは送られません）')) {
+    return;
+  }
+  await deleteOutboxEntry(id);
+  await renderOutbox();
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   loadSites();
   refreshDopplerSection();
   refreshOptionsApiLog();
+  refreshJpHolidaySection();
+  refreshRunHistorySection();
+  refreshHttpSinksSection();
+  renderOutbox();
+  refreshRunWindowSection();
+  refreshDebugSection();
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes[KEPT_FAILED_TABS_STORAGE_KEY]) {
+      return;
+    }
+    refreshDebugSection();
+  });
 
   chrome.storage.onChanged.addListener((changes, area) => {
     if (area !== 'local' || !changes[OPTIONS_API_LOG_STORAGE_KEY]) {
@@ -943,6 +2287,13 @@ document.addEventListener('DOMContentLoaded', () => {
     renderOptionsApiLog(changes[OPTIONS_API_LOG_STORAGE_KEY].newValue);
   });
 
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || (!changes[RUN_LOCK_STORAGE_KEY] && !changes[RUN_QUEUE_STORAGE_KEY])) {
+      return;
+    }
+    refreshRunQueueStatus();
+  });
+
   const logRefresh = document.getElementById('options-api-log-refresh');
   if (logRefresh) {
     logRefresh.addEventListener('click', () => refreshOptionsApiLog());
@@ -966,5 +2317,48 @@ document.addEventListener('DOMContentLoaded', () => {
   if (fetchDopplerButton) {
     fetchDopplerButton.addEventListener('click', fetchDopplerSecretsFromOptions);
   }
+  const timelineRefresh = document.getElementById('schedule-timeline-refresh');
+  if (timelineRefresh) {
+    timelineRefresh.addEventListener('click', () => renderScheduleTimeline());
+  }
+  const dedicatedRunWindow = document.getElementById('dedicated-run-window');
+  if (dedicatedRunWindow) {
+    dedicatedRunWindow.addEventListener('change', () => saveDedicatedRunWindow(dedicatedRunWindow.checked));
+  }
+  const debugKeepTab = document.getElementById('debug-keep-tab-on-failure');
+  if (debugKeepTab) {
+    debugKeepTab.addEventListener('change', () => saveDebugKeepTabOnFailure(debugKeepTab.checked));
+  }
+  const runHistoryRefresh = document.getElementById('run-history-refresh');
+  if (runHistoryRefresh) {
+    runHistoryRefresh.addEventListener('click', () => renderRunHistory());
+  }
+  ['run-history-site', 'run-history-status', 'run-history-sent-only'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('change', () => renderRunHistory());
+  });
+  const runHistorySaveRetention = document.getElementById('run-history-save-retention');
+  if (runHistorySaveRetention) {
+    runHistorySaveRetention.addEventListener('click', saveRunHistoryRetention);
+  }
+  const runHistoryClear = document.getElementById('run-history-clear');
+  if (runHistoryClear) {
+    runHistoryClear.addEventListener('click', clearRunHistoryFromOptions);
+  }
+  const httpSinksSave = document.getElementById('http-sinks-save');
+  if (httpSinksSave) {
+    httpSinksSave.addEventListener('click', saveHttpSinksFromOptions);
+  }
+  const outboxRefresh = document.getElementById('outbox-refresh');
+  if (outboxRefresh) {
+    outboxRefresh.addEventListener('click', () => renderOutbox());
+  }
+  const outboxRetryAll = document.getElementById('outbox-retry-all');
+  if (outboxRetryAll) {
+    outboxRetryAll.addEventListener('click', () => retryOutboxFromOptions());
+  }
+  const updateJpHolidaysButton = document.getElementById('update-jp-holidays-button');
+  if (updateJpHolidaysButton) {
+    updateJpHolidaysButton.addEventListener('click', updateJpHolidayTableFromOptions);
+  }
 });
 
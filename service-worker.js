@@ -1,27 +1,145 @@
 // 共通ユーティリティを読み込む（Service WorkerではimportScriptsを使用）
 importScripts(
+  'utils/jp-holidays.js',
   'utils/schedule.js',
+  'utils/run-window.js',
   'utils/validation.js',
   'utils/doppler-secrets.js',
   'utils/builtin-sites.js',
   'utils/external-api-urls.js',
+  'utils/http-sinks.js',
   'utils/slack.js',
-  'utils/options-api-log.js'
+  'utils/options-api-log.js',
+  'utils/run-lock.js',
+  'utils/run-checkpoint.js',
+  'utils/run-trace.js',
+  'utils/run-history.js',
+  'utils/outbox.js'
 );
 
 /** ログ出力の統一プレフィックス（SW・sites/共通で利用） */
 const LOG_PREFIX = '[サイト巡回]';
 
+/** state.bySite[siteId].missedSlots に残す件数 */
+const MISSED_SLOTS_MAX = 20;
+
+/** siteId → 実行中の AbortController（オプション画面の CANCEL_RUN で中断する） */
+const activeRunControllers = new Map();
+
+/** siteId → 実行中に取った失敗時の証跡（runSite の終了時に実行履歴へ保存する） */
+const pendingRunEvidence = new Map();
+
+/** 1回の実行で保存する証跡の上限 */
+const RUN_EVIDENCE_MAX_PER_RUN = 3;
+
+/** 証跡 HTML の保存上限（文字） */
+const RUN_EVIDENCE_HTML_MAX_CHARS = 2 * 1000 * 1000;
+
+/** 中断で打ち切った待ちのエラーメッセージ */
+const RUN_CANCELLED_MESSAGE = 'Run cancelled';
+
+/** 実行全体の上限（site.runDeadlineSec）を超えて打ち切ったときのエラーメッセージ */
+const RUN_DEADLINE_EXCEEDED_MESSAGE = 'Run deadline exceeded';
+
+/**
+ * 上限超過で abort した後、runSiteWithSignal が片付くのを待つ時間。
+ * 中断に反応しない待ち（executeScript 等）で止まっていたら、これを過ぎた時点で見捨てて次のサイトへ進む
+ */
+const RUN_WATCHDOG_GRACE_MS = 15 * 1000;
+
+/** 見捨てた実行の signal（後から catch に来ても state を二重に更新しない） */
+const abandonedRunSignals = new WeakSet();
+
+/** signal → その実行で createRunTab が開いたタブ（見捨てるときに閉じる） */
+const runTabsBySignal = new WeakMap();
+
+/** signal → 実行中の siteId（createRunTab が開いたタブをチェックポイントに残すため） */
+const runSiteIdsBySignal = new WeakMap();
+
+/** Service Worker の終了で途切れた実行のエラーメッセージ */
+const RUN_INTERRUPTED_MESSAGE = 'Run interrupted (service worker stopped)';
+
+/** 途切れた実行を続きから再開する上限（同じ実行が何度も途切れるなら失敗として記録する） */
+const RUN_RESUME_MAX = 2;
+
+/**
+ * 上限超過の abort か（CANCEL_RUN の中断と区別する。上限超過は失敗として扱う）
+ *
+ * @param {AbortSignal} [signal]
+ * @returns {boolean}
+ */
+function isRunDeadlineExceeded(signal) {
+  return signal?.aborted === true && signal.reason?.runDeadline === true;
+}
+
+/**
+ * @param {AbortSignal} [signal] - abort 済み
+ * @param {string} [cancelledMessage] - CANCEL_RUN による中断のときのメッセージ
+ * @returns {Error & { runCancelled?: true }} CANCEL_RUN による中断なら runCancelled 付き
+ */
+function createRunAbortError(signal, cancelledMessage = RUN_CANCELLED_MESSAGE) {
+  if (isRunDeadlineExceeded(signal)) {
+    return new Error(signal.reason.message);
+  }
+  return Object.assign(new Error(cancelledMessage), { runCancelled: true });
+}
+
+/**
+ * 実行の catch に来たエラーが中断そのものか（中断後に起きた別のエラーは失敗として記録する）
+ *
+ * 送信を始めた後は中断しないため、送信中に中断が届いても送信のエラーは失敗のまま残す。
+ *
+ * @param {*} error
+ * @param {AbortSignal} [signal]
+ * @returns {boolean}
+ */
+function isRunCancelledError(error, signal) {
+  return signal?.aborted === true && !isRunDeadlineExceeded(signal) && error?.runCancelled === true;
+}
+
+/**
+ * @param {AbortSignal} [signal]
+ * @throws {Error} 中断済み・上限超過のとき
+ */
+function throwIfRunCancelled(signal) {
+  if (signal?.aborted) {
+    throw createRunAbortError(signal);
+  }
+}
+
+/**
+ * 待ちを中断可能にする（中断時は元の待ちを放置して即座に reject する。元の待ちは自身のタイムアウトで片付く）
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+function raceRunSignal(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createRunAbortError(signal));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
 /**
  * サイト巡回ログ用のメタ情報行を組み立てる
  * @param {string} siteId - サイトID
- * @param {'schedule'|'manual'} invokedBy - 起動経路（省略時は 'schedule'）
+ * @param {'schedule'|'manual'|'dependency'|'catch-up'} invokedBy - 起動経路（省略時は 'schedule'）
  * @param {boolean} mockMode - モックモード
  * @param {boolean} localMode - ローカル手動（localMode時はmockModeはfalse扱い）
  * @returns {string} ログ用の識別行（例: "[サイト巡回] moneyforward (スケジュール/モック)"）
  */
 function formatSiteLogMeta(siteId, invokedBy, mockMode, localMode) {
-  const invoked = invokedBy === 'manual' ? '手動' : 'スケジュール';
+  const invoked = INVOKED_BY_LABELS[invokedBy] || INVOKED_BY_LABELS.schedule;
   const mode = localMode ? 'ローカル' : (mockMode ? 'モック' : '通常');
   return `${LOG_PREFIX} ${siteId} (${invoked}/${mode})`;
 }
@@ -50,7 +168,7 @@ function emitCollectLogsAndStrip(siteId, envelope) {
       }
     }
   } else if (
-    siteId === 'rakuten-card' &&
+    getBuiltinSiteFlow(siteId)?.expectsCollectLogs === true &&
     Array.isArray(logs) &&
     logs.length === 0
   ) {
@@ -98,6 +216,7 @@ function logSiteRunSuccess(meta, siteId, envelope, mockMode) {
 async function initializeStorage() {
   const result = await chrome.storage.local.get(['settings', 'state']);
   const now = Date.now();
+  await loadJpHolidayTable();
 
   const normalized = normalizeBuiltinSites(result.settings, result.state, now);
   if (normalized.removedSiteIds.length > 0) {
@@ -123,22 +242,37 @@ function slackWebhookFromSiteOrGlobal(site, settings) {
   return (settings?.slackWebhookUrl || '').trim();
 }
 
+/**
+ * 保存・通知するエラーメッセージから資格情報らしき語を伏せる
+ *
+ * @param {string} message
+ * @returns {string}
+ */
+function redactErrorMessage(message) {
+  return String(message).replace(/password|token|secret|key|api[_-]?key/gi, '[REDACTED]');
+}
+
 async function persistSiteRunFailure(siteId, settings, site, now, error) {
   const currentState = await chrome.storage.local.get('state');
   if (!currentState.state) currentState.state = { bySite: {} };
   if (!currentState.state.bySite) currentState.state.bySite = {};
   const currentSiteState = currentState.state.bySite[siteId] || {};
-  let errorMessage = error.message || String(error);
-  errorMessage = errorMessage.replace(/password|token|secret|key|api[_-]?key/gi, '[REDACTED]');
+  let errorMessage = redactErrorMessage(error.message || String(error));
   errorMessage = errorMessage.substring(0, 100);
   const failCount = (currentSiteState.failCount || 0) + 1;
+  const autoPause = !currentSiteState.autoPaused && shouldAutoPauseAfterFail(site?.retry, failCount);
   currentState.state.bySite[siteId] = {
     ...currentSiteState,
-    nextRun: computeNextRunAfterFail(now),
+    nextRun: computeNextRunAfterFail(now, site?.retry, {
+      failCount,
+      schedule: site?.schedule,
+      ...getScheduleJitterContext(site, siteId)
+    }),
     lastStatus: 'fail',
     failCount,
     lastRun: now,
-    lastError: errorMessage
+    lastError: errorMessage,
+    ...(autoPause ? { autoPaused: true, autoPausedAt: now } : {})
   };
   await chrome.storage.local.set({ state: currentState.state });
   const hook = slackWebhookFromSiteOrGlobal(site, settings);
@@ -148,11 +282,211 @@ async function persistSiteRunFailure(siteId, settings, site, now, error) {
       error: errorMessage,
       failCount
     });
+    if (autoPause) {
+      await notifySlackOnAutoPause(hook, {
+        siteId,
+        error: errorMessage,
+        failCount
+      });
+    }
+  }
+  if (autoPause) {
+    console.warn(`${LOG_PREFIX} ${siteId} 連続${failCount}回失敗のため自動停止しました`);
   }
 }
 
-function waitUntilTabComplete(tabId, timeoutSec) {
-  return new Promise((resolve, reject) => {
+/**
+ * 中断した実行を記録する（失敗扱いにしない：failCount・Slack 通知・リトライは変えない）
+ *
+ * - 手動実行の中断はスケジュールを動かさない
+ * - スケジュール・連動・取りこぼし実行の中断はそのスロットを消化済みとして次のスロットへ進める
+ *
+ * @param {string} siteId
+ * @param {Object} site
+ * @param {number} now
+ * @param {{ invokedBy?: string, previousNextRun?: number, previousSlot?: number, resyncSlot?: boolean }} [runContext]
+ * @returns {Promise<void>}
+ */
+async function persistSiteRunCancelled(siteId, site, now, runContext = {}) {
+  const { invokedBy = 'schedule', previousNextRun, previousSlot, resyncSlot = false } = runContext;
+  const gotten = await chrome.storage.local.get('state');
+  const state = gotten.state && typeof gotten.state === 'object' ? gotten.state : { bySite: {} };
+  if (!state.bySite) state.bySite = {};
+  const prev = state.bySite[siteId] || {};
+  const next =
+    invokedBy === 'manual' && typeof prev.nextRun === 'number'
+      ? { nextRun: prev.nextRun, slot: prev.nextSlot }
+      : computeNextScheduledRun(now, site?.schedule, {
+        mode: 'after-success',
+        previousNextRun,
+        previousSlot,
+        invokedBy,
+        resyncSlot,
+        ...getScheduleJitterContext(site, siteId)
+      });
+  state.bySite[siteId] = {
+    ...prev,
+    nextRun: next.nextRun,
+    nextSlot: next.slot,
+    lastStatus: 'cancelled',
+    lastRun: now,
+    lastError: RUN_CANCELLED_MESSAGE
+  };
+  await chrome.storage.local.set({ state });
+  console.log(`${LOG_PREFIX} ${siteId} 中断しました（${INVOKED_BY_LABELS[invokedBy] || invokedBy}）`);
+}
+
+/**
+ * 自動停止中・一時停止中のサイトを再開する（失敗回数をリセットし、次の通常スロットから再開）
+ *
+ * @param {string} siteId
+ * @returns {Promise<void>}
+ */
+async function resumeSite(siteId) {
+  const { settings, state } = await initializeStorage();
+  const site = settings.sites[siteId];
+  if (!site) {
+    throw new Error(`サイト "${siteId}" が見つかりません`);
+  }
+  const now = Date.now();
+  const next = computeNextScheduledRun(now, site.schedule, {
+    mode: 'initial',
+    ...getScheduleJitterContext(site, siteId)
+  });
+  const prev = { ...(state.bySite[siteId] || {}) };
+  delete prev.autoPaused;
+  delete prev.autoPausedAt;
+  delete prev.pausedUntil;
+  delete prev.pausedAt;
+  state.bySite[siteId] = {
+    ...prev,
+    failCount: 0,
+    nextRun: next.nextRun,
+    nextSlot: next.slot
+  };
+  await chrome.storage.local.set({ state });
+  console.log(`${LOG_PREFIX} ${siteId} 再開しました（次回: ${new Date(next.nextRun).toLocaleString('ja-JP')}）`);
+}
+
+/**
+ * サイトを指定時刻まで一時停止する（失敗扱いにはしない）
+ *
+ * nextRun は停止明け以降の最初のスロットへ移す（停止中のスロットは取りこぼしとして記録しない）。
+ *
+ * @param {string} siteId
+ * @param {number} until - 停止を解除する時刻（epoch ms）
+ * @returns {Promise<void>}
+ */
+async function pauseSite(siteId, until) {
+  const { settings, state } = await initializeStorage();
+  const site = settings.sites[siteId];
+  if (!site) {
+    throw new Error(`サイト "${siteId}" が見つかりません`);
+  }
+  const now = Date.now();
+  if (typeof until !== 'number' || !Number.isFinite(until) || until <= now) {
+    throw new Error('停止期限は現在より後の日時を指定してください');
+  }
+  const next = computeNextScheduledRun(until, site.schedule, {
+    mode: 'initial',
+    ...getScheduleJitterContext(site, siteId)
+  });
+  state.bySite[siteId] = {
+    ...(state.bySite[siteId] || {}),
+    pausedUntil: until,
+    pausedAt: now,
+    nextRun: next.nextRun,
+    nextSlot: next.slot
+  };
+  await chrome.storage.local.set({ state });
+  console.log(`${LOG_PREFIX} ${siteId} ${new Date(until).toLocaleString('ja-JP')} まで一時停止（次回: ${new Date(next.nextRun).toLocaleString('ja-JP')}）`);
+}
+
+/**
+ * 実行時刻が許可時間帯外（停止期間中）のサイトを、次の許可時刻まで延期する
+ *
+ * 失敗扱いにはしない（failCount・Slack 通知は変えない）。nextSlot は据え置き、
+ * 次回のスロット計算はもとのスケジュールに沿う。
+ *
+ * @param {string} siteId
+ * @param {number} now
+ * @returns {Promise<void>}
+ */
+async function deferSiteToRunWindow(siteId, now) {
+  const { settings, state } = await initializeStorage();
+  const site = settings.sites[siteId];
+  const allowedAt = computeNextAllowedRunTime(now, site);
+  // 許可時間帯が見つからない設定では1日後に見直す（毎起床で空回りしないため）
+  const nextRun = allowedAt ?? now + 24 * 60 * 60 * 1000;
+  state.bySite[siteId] = {
+    ...(state.bySite[siteId] || {}),
+    nextRun
+  };
+  await chrome.storage.local.set({ state });
+  if (allowedAt == null) {
+    console.warn(`${LOG_PREFIX} ${siteId} 許可時間帯が見つかりません。設定を確認してください（次回確認: ${new Date(nextRun).toLocaleString('ja-JP')}）`);
+  } else {
+    console.log(`${LOG_PREFIX} ${siteId} 許可時間帯外のため延期（次回: ${new Date(nextRun).toLocaleString('ja-JP')}）`);
+  }
+}
+
+/**
+ * 実行しなかったサイトの過ぎたスロットを飛ばし、次の将来スロットへ進める
+ *
+ * 失敗扱いにはしない（上流の失敗・取りこぼし skip）。
+ *
+ * @param {string} siteId
+ * @param {number} now
+ * @param {string} reason - ログ用の理由
+ * @returns {Promise<void>}
+ */
+async function skipSiteSlot(siteId, now, reason) {
+  const { settings, state } = await initializeStorage();
+  const prev = state.bySite[siteId] || {};
+  const site = settings.sites[siteId];
+  const next = computeNextScheduledRun(now, site.schedule, {
+    mode: 'after-success',
+    previousNextRun: prev.nextRun,
+    previousSlot: prev.nextSlot,
+    ...getScheduleJitterContext(site, siteId)
+  });
+  state.bySite[siteId] = {
+    ...prev,
+    nextRun: next.nextRun,
+    nextSlot: next.slot
+  };
+  await chrome.storage.local.set({ state });
+  console.log(`${LOG_PREFIX} ${siteId} ${reason}のためスキップ（次回: ${new Date(next.nextRun).toLocaleString('ja-JP')}）`);
+}
+
+/**
+ * 取りこぼしたスロットを state に記録する（新しい順に MISSED_SLOTS_MAX 件まで）
+ *
+ * @param {string} siteId
+ * @param {number[]} slots
+ * @param {string} policy - 記録時の catchUp.policy
+ * @param {number} now
+ * @returns {Promise<void>}
+ */
+async function recordMissedSlots(siteId, slots, policy, now) {
+  if (slots.length === 0) return;
+  const { state } = await initializeStorage();
+  const prev = state.bySite[siteId] || {};
+  const existing = Array.isArray(prev.missedSlots) ? prev.missedSlots : [];
+  const known = new Set(existing.map((m) => m.slot));
+  const added = slots
+    .filter((slot) => !known.has(slot))
+    .map((slot) => ({ slot, detectedAt: now, policy }));
+  state.bySite[siteId] = {
+    ...prev,
+    missedSlots: [...existing, ...added].sort((a, b) => b.slot - a.slot).slice(0, MISSED_SLOTS_MAX)
+  };
+  await chrome.storage.local.set({ state });
+  console.warn(`${LOG_PREFIX} ${siteId} 取りこぼし ${slots.length} 件: ${slots.map((t) => new Date(t).toLocaleString('ja-JP')).join(', ')}`);
+}
+
+function waitUntilTabComplete(tabId, timeoutSec, signal) {
+  return raceRunSignal(new Promise((resolve, reject) => {
     let resolved = false;
     const timeout = setTimeout(() => {
       if (!resolved) {
@@ -181,7 +515,7 @@ function waitUntilTabComplete(tabId, timeoutSec) {
         }
       })
       .catch(() => {});
-  });
+  }), signal);
 }
 
 function assertInjectablePageUrl(tabUrl) {
@@ -197,14 +531,6 @@ function assertInjectablePageUrl(tabUrl) {
   }
 }
 
-/**
- * 指定タブへ sites/{site}.js と content-script を注入し COLLECT を1回実行する。
- *
- * TODO: SPA遷移後の再injectが必要になるサイトが増えたら、ここに wait 戦略または再実行フックを追加する。
- *
- * @param {number} tabId
- * @param {string} collectSiteId 例 x-bookmarks, x_article, chatgpt_project
- */
 /**
  * 注入前に effective site 設定をページへ渡す
  *
@@ -222,93 +548,393 @@ async function injectEffectiveSiteContext(tabId, effectiveSite) {
   });
 }
 
-function injectAndCollect(tabId, collectSiteId, options) {
-  const { mockMode = false, localMode = false, effectiveSite, collectContext, timeoutSec: rawTimeout } = options;
-  const timeoutSec =
-    typeof rawTimeout === 'number' && Number.isFinite(rawTimeout) && rawTimeout > 0 ? rawTimeout : 60;
+/**
+ * ページ内で実行し、証跡用にサニタイズした outerHTML を返す（executeScript の func。自己完結させる）
+ *
+ * - script・イベントハンドラ属性を除く
+ * - input / textarea / select の入力値、hidden の値、csrf 系 meta を消す（資格情報・トークンを残さない）
+ *
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function snapshotSanitizedPageHtml(maxChars) {
+  const root = document.documentElement.cloneNode(true);
+  root.querySelectorAll('script').forEach((el) => el.remove());
+  root.querySelectorAll('meta[name*="csrf" i], meta[name*="token" i]').forEach((el) => el.remove());
+  root.querySelectorAll('input').forEach((el) => {
+    el.removeAttribute('value');
+  });
+  root.querySelectorAll('textarea').forEach((el) => {
+    el.textContent = '';
+  });
+  root.querySelectorAll('option[selected]').forEach((el) => el.removeAttribute('selected'));
+  root.querySelectorAll('*').forEach((el) => {
+    for (const attr of Array.from(el.attributes)) {
+      if (/^on/i.test(attr.name)) {
+        el.removeAttribute(attr.name);
+      }
+    }
+  });
+  const html = `<!-- ${location.href} -->\n${root.outerHTML}`;
+  return html.length > maxChars ? html.slice(0, maxChars) : html;
+}
 
-  return new Promise((resolve, reject) => {
-    let resolved = false;
-    const cleanup = () => {
-      if (!resolved) {
-        resolved = true;
-        chrome.runtime.onMessage.removeListener(messageListener);
+/**
+ * 失敗した実行のタブからスクリーンショットとサニタイズ済み HTML を取る（タブを閉じる前に呼ぶ）
+ *
+ * - 非アクティブのタブは captureVisibleTab できないため、専用ウィンドウがあればそこでアクティブにして撮る。
+ *   無ければフォーカスしない一時ウィンドウへ移して撮る。移したタブは元のウィンドウ・位置へ戻し、一時ウィンドウは閉じる
+ * - 取れなかった部分は null / 空で残し、例外は投げない（失敗の記録を妨げない）
+ *
+ * @param {string} siteId
+ * @param {number} tabId
+ * @param {unknown} error - 失敗の原因（証跡と一緒に残す）
+ * @returns {Promise<void>}
+ */
+async function captureFailureEvidence(siteId, tabId, error) {
+  const list = pendingRunEvidence.get(siteId) || [];
+  if (list.length >= RUN_EVIDENCE_MAX_PER_RUN) return;
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch (_) {
+    return;
+  }
+  let html = '';
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: snapshotSanitizedPageHtml,
+      args: [RUN_EVIDENCE_HTML_MAX_CHARS]
+    });
+    html = typeof injection?.result === 'string' ? injection.result : '';
+  } catch (e) {
+    console.warn(`${LOG_PREFIX} ${siteId} 証跡 HTML を取得できませんでした:`, e.message || e);
+  }
+  let screenshot = null;
+  /** 撮るためにタブを移したか（撮った後に元のウィンドウ・位置へ戻す） */
+  let moved = false;
+  /** 撮るために作った一時ウィンドウ（タブを戻した後に閉じる） */
+  let tempWindowId = null;
+  try {
+    let windowId = tab.windowId;
+    if (!tab.active) {
+      const dedicatedWindowId = await getDedicatedRunWindowId();
+      if (dedicatedWindowId != null) {
+        // 専用ウィンドウがあればそこで撮る（ユーザーのウィンドウを増やさない）
+        windowId = dedicatedWindowId;
+        if (tab.windowId !== dedicatedWindowId) {
+          await chrome.tabs.move(tabId, { windowId, index: -1 });
+          moved = true;
+        }
+        await chrome.tabs.update(tabId, { active: true });
+      } else {
+        const captureWindow = await chrome.windows.create({ tabId, focused: false });
+        tempWindowId = captureWindow.id;
+        windowId = tempWindowId;
+        moved = true;
       }
-    };
-    const messageListener = (message, sender) => {
-      if (sender.tab?.id === tabId && message.type === 'COLLECT_RESULT' && !resolved) {
-        cleanup();
-        if (message.error) {
-          reject(new Error(message.error));
-        } else {
-          resolve(message.payload);
+    }
+    screenshot = await chrome.tabs.captureVisibleTab(windowId, { format: 'jpeg', quality: 70 });
+  } catch (e) {
+    console.warn(`${LOG_PREFIX} ${siteId} スクリーンショットを取得できませんでした:`, e.message || e);
+  } finally {
+    // タブを残す設定（retainFailedTab）でも元の位置にあるよう戻す。元のウィンドウが無ければ移した先に残す
+    if (moved) {
+      try {
+        await chrome.tabs.move(tabId, { windowId: tab.windowId, index: tab.index });
+        if (tempWindowId != null) {
+          await chrome.windows.remove(tempWindowId).catch(() => {});
         }
+      } catch (e) {
+        console.warn(`${LOG_PREFIX} ${siteId} 撮影のために移したタブを戻せませんでした:`, e.message || e);
       }
-      return undefined;
-    };
-    chrome.runtime.onMessage.addListener(messageListener);
-    const scriptPath = 'sites/' + collectSiteId.replace(/_/g, '-') + '.js';
+    }
+  }
+  list.push({
+    siteId,
+    capturedAt: Date.now(),
+    url: tab.url || '',
+    title: tab.title || '',
+    error: redactErrorMessage(error?.message || String(error)),
+    screenshot,
+    html
+  });
+  pendingRunEvidence.set(siteId, list);
+}
 
-    injectEffectiveSiteContext(tabId, effectiveSite)
-      .then(() =>
-        chrome.scripting.executeScript({
-          target: { tabId },
-          files: [scriptPath, 'content-script.js']
-        })
-      )
-      .then(() => {
-        let retries = 0;
-        const maxRetries = 5;
-        const trySendMessage = () => {
-          chrome.tabs
-            .sendMessage(tabId, {
-              type: 'COLLECT',
-              siteId: collectSiteId,
-              mockMode,
-              localMode,
-              effectiveSite: effectiveSite || {},
-              collectContext
-            })
-            .then((response) => {
-              if (response && response.type === 'COLLECT_RESULT' && !resolved) {
-                cleanup();
-                if (response.error) {
-                  reject(new Error(response.error));
-                } else {
-                  resolve(response.payload);
-                }
-              }
-            })
-            .catch((err) => {
-              if (retries < maxRetries && !resolved) {
-                retries++;
-                setTimeout(trySendMessage, 50);
-              } else {
-                cleanup();
-                reject(new Error(`Failed to send message to content script: ${err.message}`));
-              }
-            });
-        };
-        setTimeout(trySendMessage, 50);
-      })
-      .catch((err) => {
-        cleanup();
-        reject(new Error(`Failed to inject content script: ${err.message}`));
-      });
+/** デバッグ用に残した失敗タブの一覧（オプション画面がリンクを表示する） */
+const KEPT_FAILED_TABS_STORAGE_KEY = 'keptFailedTabs';
+const KEPT_FAILED_TABS_MAX = 20;
+/** 残した失敗タブをまとめるタブグループ名 */
+const FAILED_TAB_GROUP_TITLE = '巡回: 失敗';
 
-    setTimeout(() => {
-      if (!resolved) {
-        cleanup();
-        reject(new Error('Content script timeout'));
-      }
-    }, Math.max(0, (timeoutSec - 5) * 1000));
+/**
+ * settings.debugKeepTabOnFailure が有効なら、失敗したタブを閉じずに残す
+ *
+ * - タイトルに `[失敗 siteId]` を付け、ウィンドウごとの「巡回: 失敗」タブグループへ入れる
+ * - storage.local.keptFailedTabs に記録し、オプション画面から開けるようにする
+ *
+ * @param {string} siteId
+ * @param {number} tabId
+ * @param {unknown} error
+ * @returns {Promise<boolean>} 残した場合 true（呼び出し側の finally はタブを閉じない）
+ */
+async function retainFailedTab(siteId, tabId, error) {
+  const { settings } = await chrome.storage.local.get('settings');
+  if (settings?.debugKeepTabOnFailure !== true) return false;
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch (_) {
+    return false;
+  }
+  const prefix = `[失敗 ${siteId}]`;
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (label) => {
+        if (!document.title.startsWith(label)) {
+          document.title = `${label} ${document.title}`;
+        }
+      },
+      args: [prefix]
+    });
+  } catch (_) {
+    /* 注入できないページ（エラーページ等）はタイトルを変えない */
+  }
+  try {
+    const [group] = await chrome.tabGroups.query({ windowId: tab.windowId, title: FAILED_TAB_GROUP_TITLE });
+    if (group) {
+      await chrome.tabs.group({ tabIds: tabId, groupId: group.id });
+    } else {
+      const groupId = await chrome.tabs.group({ tabIds: tabId, createProperties: { windowId: tab.windowId } });
+      await chrome.tabGroups.update(groupId, { title: FAILED_TAB_GROUP_TITLE, color: 'red' });
+    }
+  } catch (e) {
+    console.warn(`${LOG_PREFIX} ${siteId} 失敗タブをグループに入れられませんでした:`, e.message || e);
+  }
+  const got = await chrome.storage.local.get(KEPT_FAILED_TABS_STORAGE_KEY);
+  const kept = Array.isArray(got[KEPT_FAILED_TABS_STORAGE_KEY]) ? got[KEPT_FAILED_TABS_STORAGE_KEY] : [];
+  kept.unshift({
+    siteId,
+    tabId,
+    windowId: tab.windowId,
+    url: tab.url || '',
+    keptAt: Date.now(),
+    error: redactErrorMessage(error?.message || String(error)).substring(0, 200)
   });
+  await chrome.storage.local.set({ [KEPT_FAILED_TABS_STORAGE_KEY]: kept.slice(0, KEPT_FAILED_TABS_MAX) });
+  console.warn(`${LOG_PREFIX} ${siteId} デバッグ設定により失敗したタブを残しました（tabId=${tabId}）`);
+  return true;
 }
 
-/** 親ポストと引用のX記事リンクを統合する（順序維持・重複除去） */
-function mergeBookmarkXArticleUrls(post) {
-  const out = [];
-  const seen = new Set();
+// 残した失敗タブが閉じられたら一覧から外す
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.local.get(KEPT_FAILED_TABS_STORAGE_KEY).then((got) => {
+    const kept = got[KEPT_FAILED_TABS_STORAGE_KEY];
+    if (!Array.isArray(kept) || !kept.some((entry) => entry.tabId === tabId)) return;
+    return chrome.storage.local.set({
+      [KEPT_FAILED_TABS_STORAGE_KEY]: kept.filter((entry) => entry.tabId !== tabId)
+    });
+  }).catch(() => {});
+});
+
+/** 収集 RPC のポート名接頭辞（`collect:<requestId>`） */
+const COLLECT_PORT_PREFIX = 'collect:';
+/** timeoutSec 未指定時の収集の打ち切り（秒） */
+const COLLECT_DEFAULT_TIMEOUT_SEC = 60;
+/** タブ読み込み待ちなどの後始末分として、収集の打ち切りを timeoutSec より短くする（秒） */
+const COLLECT_TIMEOUT_MARGIN_SEC = 5;
+/** 進捗を runLock へ書き出す最短間隔（storage 書き込みを抑える） */
+const COLLECT_PROGRESS_PERSIST_INTERVAL_MS = 1000;
+
+/** requestId → 接続待ち・応答待ちの収集リクエスト */
+const pendingCollectRequests = new Map();
+
+/**
+ * 収集の打ち切り（ミリ秒）。全経路で同じ計算にそろえる
+ *
+ * @param {number} [timeoutSec]
+ * @returns {number}
+ */
+function computeCollectTimeoutMs(timeoutSec) {
+  const sec =
+    typeof timeoutSec === 'number' && Number.isFinite(timeoutSec) && timeoutSec > 0
+      ? timeoutSec
+      : COLLECT_DEFAULT_TIMEOUT_SEC;
+  return Math.max(1, sec - COLLECT_TIMEOUT_MARGIN_SEC) * 1000;
+}
+
+/**
+ * 収集の進捗をログへ出し、実行中ロックに最新の進捗を残す（オプション画面の実行状況に表示）
+ *
+ * @param {string} siteId - 実行中のサイト（ロックの siteId）
+ * @param {string} collectSiteId - 収集したページ種別（x_article 等）
+ * @returns {(progress: { step: string, detail?: Object }) => void}
+ */
+function createCollectProgressHandler(siteId, collectSiteId) {
+  let lastPersistedAt = 0;
+  return (progress) => {
+    const detail = progress.detail && Object.keys(progress.detail).length
+      ? ` ${JSON.stringify(progress.detail)}`
+      : '';
+    console.log(`${LOG_PREFIX} ${siteId} 進捗 [${collectSiteId}] ${progress.step}${detail}`);
+    const now = Date.now();
+    if (now - lastPersistedAt < COLLECT_PROGRESS_PERSIST_INTERVAL_MS) return;
+    lastPersistedAt = now;
+    updateRunLockProgress(siteId, { collectSiteId, step: progress.step, detail: progress.detail || {}, at: now })
+      .catch(() => {});
+  };
+}
+
+// content-script からの収集ポート接続（injectAndCollect が待っている requestId に結び付ける）
+chrome.runtime.onConnect.addListener((port) => {
+  if (!port.name.startsWith(COLLECT_PORT_PREFIX)) {
+    return;
+  }
+  const requestId = port.name.slice(COLLECT_PORT_PREFIX.length);
+  const pending = pendingCollectRequests.get(requestId);
+  if (!pending || pending.port || port.sender?.tab?.id !== pending.tabId) {
+    port.disconnect();
+    return;
+  }
+  pending.attach(port);
+});
+
+/**
+ * 指定タブへ sites/{site}.js と content-script を注入し、ポート経由で COLLECT を1回実行する（収集 RPC の唯一の経路）
+ *
+ * - 注入後にページ側から `chrome.runtime.connect({ name: 'collect:<requestId>' })` で接続させ、
+ *   同じポートで COLLECT → PROGRESS* → RESULT をやり取りする
+ * - 打ち切りは computeCollectTimeoutMs(timeoutSec) の1本だけ（進捗では延長しない）
+ * - signal が abort されたらページへ CANCEL を送り、即座に reject する
+ * - 結果前にページ遷移・タブクローズでポートが切れたら reject する
+ *
+ * @param {number} tabId
+ * @param {string} collectSiteId 例 x-bookmarks, x_article, chatgpt_project
+ * @param {Object} options
+ * @param {boolean} [options.mockMode]
+ * @param {boolean} [options.localMode]
+ * @param {Object} [options.effectiveSite]
+ * @param {Object} [options.collectContext]
+ * @param {number} [options.timeoutSec] - 省略時は effectiveSite.timeoutSec、それも無ければ COLLECT_DEFAULT_TIMEOUT_SEC
+ * @param {(progress: { step: string, detail?: Object }) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} collectOnPage の戻り（最小契約の envelope）
+ */
+function injectAndCollect(tabId, collectSiteId, options = {}) {
+  const {
+    mockMode = false,
+    localMode = false,
+    effectiveSite,
+    collectContext,
+    onProgress,
+    signal
+  } = options;
+  const timeoutMs = computeCollectTimeoutMs(options.timeoutSec ?? effectiveSite?.timeoutSec);
+  const requestId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let timeoutId = null;
+
+    const pending = {
+      tabId,
+      port: null,
+      attach(port) {
+        pending.port = port;
+        port.onMessage.addListener((message) => {
+          if (settled) return;
+          if (message?.type === 'PROGRESS') {
+            if (typeof onProgress === 'function') {
+              try {
+                onProgress({ step: String(message.step || ''), detail: message.detail || {} });
+              } catch (_) {}
+            }
+          } else if (message?.type === 'RESULT') {
+            if (message.error) {
+              finish(new Error(message.error));
+            } else {
+              finish(null, message.payload);
+            }
+          }
+        });
+        port.onDisconnect.addListener(() => {
+          finish(new Error('Content script disconnected before returning a result (page navigated or tab closed)'));
+        });
+        port.postMessage({
+          type: 'COLLECT',
+          siteId: collectSiteId,
+          mockMode,
+          localMode,
+          effectiveSite: effectiveSite || {},
+          collectContext
+        });
+      }
+    };
+
+    const onAbort = () => {
+      if (pending.port) {
+        try {
+          pending.port.postMessage({ type: 'CANCEL' });
+        } catch (_) {}
+      }
+      finish(createRunAbortError(signal, 'Collect cancelled'));
+    };
+
+    function finish(error, payload) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      pendingCollectRequests.delete(requestId);
+      signal?.removeEventListener('abort', onAbort);
+      if (pending.port) {
+        try {
+          pending.port.disconnect();
+        } catch (_) {}
+      }
+      if (error) {
+        reject(error);
+      } else {
+        resolve(payload);
+      }
+    }
+
+    if (signal?.aborted) {
+      reject(createRunAbortError(signal, 'Collect cancelled'));
+      return;
+    }
+    signal?.addEventListener('abort', onAbort);
+    pendingCollectRequests.set(requestId, pending);
+    timeoutId = setTimeout(() => finish(new Error('Content script timeout')), timeoutMs);
+
+    const scriptPath = 'sites/' + collectSiteId.replace(/_/g, '-') + '.js';
+    // ページ遷移のたびに注入コンテキストは消えるため、常にサイトスクリプトと content-script を両方注入する
+    injectEffectiveSiteContext(tabId, effectiveSite)
+      .then(() =>
+        chrome.scripting.executeScript({
+          target: { tabId },
+          files: [scriptPath, 'content-script.js']
+        })
+      )
+      .then(() =>
+        chrome.scripting.executeScript({
+          target: { tabId },
+          func: (id) => window.__PERIODIC_SITE_WATCHER_CONNECT_COLLECT__(id),
+          args: [requestId]
+        })
+      )
+      .catch((err) => {
+        finish(new Error(`Failed to inject content script: ${err.message}`));
+      });
+  });
+}
+
+/** 親ポストと引用のX記事リンクを統合する（順序維持・重複除去） */
+function mergeBookmarkXArticleUrls(post) {
+  const out = [];
+  const seen = new Set();
   const append = (arr) => {
     if (!Array.isArray(arr)) return;
     for (const u of arr) {
@@ -397,20 +1023,26 @@ function buildXBookmarksChatgptPrompt(post, xArticleResults, promptPrefixFromSet
 
 async function persistSiteRunOkMergeProcessed(siteId, site, now, processedTweetIds, opts = {}) {
   const partialErrors = opts.partialErrors || '';
-  const { previousNextRun, invokedBy = 'schedule', resyncSlot = false } = opts;
+  const { previousNextRun, previousSlot, invokedBy = 'schedule', resyncSlot = false } = opts;
   const gotten = await chrome.storage.local.get('state');
   const state = gotten.state && typeof gotten.state === 'object' ? gotten.state : { bySite: {} };
   if (!state.bySite) state.bySite = {};
-  const prev = state.bySite[siteId] || {};
+  const prev = { ...(state.bySite[siteId] || {}) };
+  delete prev.autoPaused;
+  delete prev.autoPausedAt;
+  const next = computeNextScheduledRun(now, site.schedule, {
+    mode: 'after-success',
+    previousNextRun,
+    previousSlot,
+    invokedBy,
+    resyncSlot,
+    ...getScheduleJitterContext(site, siteId)
+  });
   state.bySite[siteId] = {
     ...prev,
     processedTweetIds,
-    nextRun: computeNextRunAfterSuccess(now, site.schedule, {
-      mode: 'after-success',
-      previousNextRun,
-      invokedBy,
-      resyncSlot
-    }),
+    nextRun: next.nextRun,
+    nextSlot: next.slot,
     lastStatus: 'ok',
     failCount: 0,
     lastRun: now,
@@ -428,8 +1060,15 @@ const X_BOOKMARKS_CHATGPT_PROJECT_URL =
  * TODO: DOMまだ確認できていない箇所（x-article / chatgpt の実送信）はサイトスクリプト側のTODOのまま。
  */
 async function runSiteXBookmarksPipeline(siteId, site, settings, mockMode, now, runContext = {}) {
-  const { invokedBy = 'schedule', previousNextRun, resyncSlot = false } = runContext;
-  const persistOpts = { invokedBy, previousNextRun, resyncSlot };
+  const {
+    invokedBy = 'schedule',
+    previousNextRun,
+    previousSlot,
+    resyncSlot = false,
+    signal,
+    trace = createRunTrace(signal)
+  } = runContext;
+  const persistOpts = { invokedBy, previousNextRun, previousSlot, resyncSlot };
 
   try {
     const bookmarksUrl = (site.url || '').trim();
@@ -459,24 +1098,39 @@ async function runSiteXBookmarksPipeline(siteId, site, settings, mockMode, now,
     const processedTweetIdsAtStart = { ...(prevBucket.processedTweetIds || {}) };
     let processedTweetIds = { ...processedTweetIdsAtStart };
 
-    const bookmarksTabId = (await chrome.tabs.create({ url: bookmarksUrl, active: false })).id;
+    const bookmarksTabId = (await createRunTab({ url: bookmarksUrl, active: false }, signal)).id;
+    let keepBookmarksTab = false;
     let posts = [];
     try {
-      await waitUntilTabComplete(bookmarksTabId, pipelineTimeoutSec);
+      await trace.step('tab-load', () => waitUntilTabComplete(bookmarksTabId, pipelineTimeoutSec, signal));
       const bmTabMeta = await chrome.tabs.get(bookmarksTabId);
       assertInjectablePageUrl(bmTabMeta.url || '');
       await activateCollectTab(bookmarksTabId);
-      const bmEnvelope = await injectAndCollect(bookmarksTabId, 'x-bookmarks', {
-        mockMode,
-        effectiveSite: site,
-        timeoutSec: bookmarkCollectTimeoutSec,
-        collectContext: { processedTweetIds }
-      });
+      const bmEnvelope = await trace.step(
+        'collect',
+        () => injectAndCollect(bookmarksTabId, 'x-bookmarks', {
+          mockMode,
+          effectiveSite: site,
+          timeoutSec: bookmarkCollectTimeoutSec,
+          collectContext: { processedTweetIds },
+          onProgress: createCollectProgressHandler(siteId, 'x-bookmarks'),
+          signal
+        }),
+        (env) => ({ posts: env.payload?.posts?.length || 0 })
+      );
       posts = (bmEnvelope.payload && bmEnvelope.payload.posts) || [];
+    } catch (bmErr) {
+      if (!isRunCancelledError(bmErr, signal)) {
+        await captureFailureEvidence(siteId, bookmarksTabId, bmErr);
+        keepBookmarksTab = await retainFailedTab(siteId, bookmarksTabId, bmErr);
+      }
+      throw bmErr;
     } finally {
-      try {
-        await chrome.tabs.remove(bookmarksTabId);
-      } catch (_) {}
+      if (!keepBookmarksTab) {
+        try {
+          await chrome.tabs.remove(bookmarksTabId);
+        } catch (_) {}
+      }
     }
 
     if (posts.length === 0) {
@@ -485,7 +1139,7 @@ async function runSiteXBookmarksPipeline(siteId, site, settings, mockMode, now,
         ...persistOpts
       });
       console.log(`Site ${siteId} bookmark pipeline: no new posts`);
-      return { success: true };
+      return { success: true, recordCount: 0 };
     }
 
     let okCount = 0;
@@ -494,6 +1148,7 @@ async function runSiteXBookmarksPipeline(siteId, site, settings, mockMode, now,
     const slackProcessedPosts = [];
 
     for (const post of posts) {
+      throwIfRunCancelled(signal);
       if (!post?.tweetId) continue;
       try {
         const articleUrls = mergeBookmarkXArticleUrls(post).filter((u) => /^https?:\/\//i.test(u));
@@ -504,24 +1159,34 @@ async function runSiteXBookmarksPipeline(siteId, site, settings, mockMode, now,
         // TODO: 記事ページがクライアント描画で遅い場合は load 後のウェイトまたは MutationObserver 戦略を x-article 側またはここで追加する。
 
         for (const articleUrl of articleUrls) {
-          const tabIdArticle = (await chrome.tabs.create({ url: articleUrl, active: false })).id;
+          throwIfRunCancelled(signal);
+          const tabIdArticle = (await createRunTab({ url: articleUrl, active: false }, signal)).id;
+          let keepArticleTab = false;
           try {
-            await waitUntilTabComplete(tabIdArticle, pipelineTimeoutSec);
-            const artTab = await chrome.tabs.get(tabIdArticle);
-            assertInjectablePageUrl(artTab.url || '');
-            const envelope = await injectAndCollect(tabIdArticle, 'x_article', {
-              mockMode,
-              effectiveSite: site,
-              timeoutSec: Math.max(pipelineTimeoutSec, 45),
-              collectContext: {}
-            });
+            const envelope = await trace.step('collect-article', async () => {
+              await waitUntilTabComplete(tabIdArticle, pipelineTimeoutSec, signal);
+              const artTab = await chrome.tabs.get(tabIdArticle);
+              assertInjectablePageUrl(artTab.url || '');
+              return injectAndCollect(tabIdArticle, 'x_article', {
+                mockMode,
+                effectiveSite: site,
+                timeoutSec: Math.max(pipelineTimeoutSec, 45),
+                collectContext: {},
+                onProgress: createCollectProgressHandler(siteId, 'x_article'),
+                signal
+              });
+            }, { tweetId: post.tweetId, url: articleUrl });
             xArticleResults.push(envelope.payload || {});
           } catch (e) {
+            throwIfRunCancelled(signal);
+            keepArticleTab = await retainFailedTab(siteId, tabIdArticle, e);
             xArticleResults.push({ ok: false, error: e.message, url: articleUrl });
           } finally {
-            try {
-              await chrome.tabs.remove(tabIdArticle);
-            } catch (_) {}
+            if (!keepArticleTab) {
+              try {
+                await chrome.tabs.remove(tabIdArticle);
+              } catch (_) {}
+            }
           }
         }
 
@@ -534,21 +1199,43 @@ async function runSiteXBookmarksPipeline(siteId, site, settings, mockMode, now,
           fallbackTitle: fallbackTitleFromBookmarkPost(post)
         };
 
-        const gptTabId = (await chrome.tabs.create({ url: chatgptProjectUrl, active: false })).id;
-        try {
-          await waitUntilTabComplete(gptTabId, pipelineTimeoutSec);
-          const gpTabMeta = await chrome.tabs.get(gptTabId);
-          assertInjectablePageUrl(gpTabMeta.url || '');
-          const gptEnvelope = await injectAndCollect(gptTabId, 'chatgpt_project', {
-            mockMode,
-            effectiveSite: site,
-            timeoutSec: Math.max(pipelineTimeoutSec, 90),
-            collectContext: { __chatgptPostPayload: payloadForChatgpt }
+        const gptTabId = (await createRunTab({ url: chatgptProjectUrl, active: false }, signal)).id;
+        let keepGptTab = false;
+        if (!mockMode) {
+          await patchRunCheckpoint(siteId, {
+            chatgptInFlight: { tweetId: post.tweetId, startedAt: Date.now(), submitted: false }
           });
-          const gptInner = gptEnvelope.payload || {};
-          if (!gptInner.ok) {
-            throw new Error(gptInner.error || 'ChatGPT 側の処理が成功しませんでした');
-          }
+        }
+        const gptProgressHandler = createCollectProgressHandler(siteId, 'chatgpt_project');
+        let submittedCheckpointWrite = null;
+        try {
+          const gptInner = await trace.step('chatgpt-send', async () => {
+            await waitUntilTabComplete(gptTabId, pipelineTimeoutSec, signal);
+            const gpTabMeta = await chrome.tabs.get(gptTabId);
+            assertInjectablePageUrl(gpTabMeta.url || '');
+            const gptEnvelope = await injectAndCollect(gptTabId, 'chatgpt_project', {
+              mockMode,
+              effectiveSite: site,
+              timeoutSec: Math.max(pipelineTimeoutSec, 90),
+              collectContext: { __chatgptPostPayload: payloadForChatgpt },
+              onProgress: (progress) => {
+                if (progress.step === 'submitted' && !mockMode) {
+                  submittedCheckpointWrite = patchRunCheckpoint(siteId, (checkpoint) => ({
+                    chatgptInFlight: { ...checkpoint.chatgptInFlight, submitted: true, submittedAt: Date.now() }
+                  }));
+                }
+                gptProgressHandler(progress);
+              },
+              signal
+            });
+            // 送信済みの記録を書き終えてから結果を確定する（書き込み失敗は実行の失敗にする）
+            await submittedCheckpointWrite;
+            const inner = gptEnvelope.payload || {};
+            if (!inner.ok) {
+              throw new Error(inner.error || 'ChatGPT 側の処理が成功しませんでした');
+            }
+            return inner;
+          }, { tweetId: post.tweetId });
 
           if (!mockMode) {
             processedTweetIds = {
@@ -575,12 +1262,25 @@ async function runSiteXBookmarksPipeline(siteId, site, settings, mockMode, now,
             title: gptInner.title ?? null
           });
           okCount++;
+        } catch (gptErr) {
+          if (!isRunCancelledError(gptErr, signal)) {
+            await captureFailureEvidence(siteId, gptTabId, gptErr);
+            keepGptTab = await retainFailedTab(siteId, gptTabId, gptErr);
+          }
+          throw gptErr;
         } finally {
-          try {
-            await chrome.tabs.remove(gptTabId);
-          } catch (_) {}
+          if (!mockMode) {
+            // 結果（processedTweetIds への保存または失敗）が確定したので送信中の記録を外す
+            await patchRunCheckpoint(siteId, { chatgptInFlight: null }).catch(() => {});
+          }
+          if (!keepGptTab) {
+            try {
+              await chrome.tabs.remove(gptTabId);
+            } catch (_) {}
+          }
         }
       } catch (postErr) {
+        throwIfRunCancelled(signal);
         errors.push(`${post.tweetId}: ${postErr.message || String(postErr)}`);
         console.error(`[${siteId}] post pipeline failed`, post.tweetId, postErr);
       }
@@ -613,8 +1313,19 @@ async function runSiteXBookmarksPipeline(siteId, site, settings, mockMode, now,
         mockMode
       });
     }
-    return { success: true };
+    return { success: true, recordCount: okCount };
   } catch (error) {
+    if (isRunCancelledError(error, signal)) {
+      // 中断までに ChatGPT へ送ったポストは processedTweetIds に保存済み（次回は続きから）
+      await persistSiteRunCancelled(siteId, site, now, runContext);
+      return { success: false, cancelled: true, error: RUN_CANCELLED_MESSAGE };
+    }
+    if (isRunDeadlineExceeded(signal)) {
+      error = signal.reason;
+    }
+    if (abandonedRunSignals.has(signal)) {
+      return { success: false, error: error.message };
+    }
     await persistSiteRunFailure(siteId, settings, site, now, error);
     const err = error instanceof Error ? error : new Error(String(error));
     return { success: false, error: err.message };
@@ -624,10 +1335,11 @@ async function runSiteXBookmarksPipeline(siteId, site, settings, mockMode, now,
 /**
  * @param {number} tabId
  * @param {number} timeoutSec
+ * @param {AbortSignal} [signal]
  * @returns {Promise<void>}
  */
-function waitForTabComplete(tabId, timeoutSec) {
-  return new Promise((resolve, reject) => {
+function waitForTabComplete(tabId, timeoutSec, signal) {
+  return raceRunSignal(new Promise((resolve, reject) => {
     let resolved = false;
 
     const timeout = setTimeout(() => {
@@ -657,12 +1369,97 @@ function waitForTabComplete(tabId, timeoutSec) {
         resolve();
       }
     }).catch(() => {});
-  });
+  }), signal);
+}
+
+/** 専用実行ウィンドウの windowId（SW 再起動をまたいで再利用するため storage に置く） */
+const DEDICATED_RUN_WINDOW_STORAGE_KEY = 'dedicatedRunWindowId';
+
+/** @type {Promise<number>|null} 同時に2つ作らないための作成中 Promise */
+let dedicatedRunWindowPromise = null;
+
+/**
+ * @returns {Promise<boolean>} settings.dedicatedRunWindow（オプション画面の「専用ウィンドウで実行」）
+ */
+async function isDedicatedRunWindowEnabled() {
+  const { settings } = await chrome.storage.local.get('settings');
+  return settings?.dedicatedRunWindow === true;
+}
+
+/**
+ * @returns {Promise<number|null>} 保存済みで、まだ開いている専用ウィンドウの windowId
+ */
+async function getDedicatedRunWindowId() {
+  const got = await chrome.storage.local.get(DEDICATED_RUN_WINDOW_STORAGE_KEY);
+  const windowId = got[DEDICATED_RUN_WINDOW_STORAGE_KEY];
+  if (typeof windowId !== 'number') return null;
+  try {
+    await chrome.windows.get(windowId);
+    return windowId;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 専用実行ウィンドウを用意する（無ければフォーカスしない新規ウィンドウを作る）
+ *
+ * - 空白タブを1枚置いたままにし、実行タブを閉じてもウィンドウを残して次回も使い回す
+ * - 最小化はしない（描画が止まり、スクリーンショットも撮れないため）
+ *
+ * @returns {Promise<number>} windowId
+ */
+function ensureDedicatedRunWindow() {
+  if (!dedicatedRunWindowPromise) {
+    dedicatedRunWindowPromise = (async () => {
+      const existing = await getDedicatedRunWindowId();
+      if (existing !== null) return existing;
+      const created = await chrome.windows.create({
+        url: 'about:blank',
+        focused: false,
+        type: 'normal',
+        width: 1280,
+        height: 900
+      });
+      await chrome.storage.local.set({ [DEDICATED_RUN_WINDOW_STORAGE_KEY]: created.id });
+      console.log(`${LOG_PREFIX} 専用実行ウィンドウを作成しました（windowId=${created.id}）`);
+      return created.id;
+    })().finally(() => {
+      dedicatedRunWindowPromise = null;
+    });
+  }
+  return dedicatedRunWindowPromise;
+}
+
+/**
+ * 収集用タブを開く（専用ウィンドウが有効ならそのウィンドウ内に開く）
+ *
+ * active: true はウィンドウ内で選択するだけで、ウィンドウにフォーカスは移らない。
+ * signal を渡すと開いたタブをその実行に紐づける（上限超過で見捨てるとき・Service Worker の終了後に閉じるため）。
+ *
+ * @param {chrome.tabs.CreateProperties} createProperties
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<chrome.tabs.Tab>}
+ */
+async function createRunTab(createProperties, signal) {
+  const tab = (await isDedicatedRunWindowEnabled())
+    ? await chrome.tabs.create({ ...createProperties, windowId: await ensureDedicatedRunWindow() })
+    : await chrome.tabs.create(createProperties);
+  if (signal) {
+    if (!runTabsBySignal.has(signal)) {
+      runTabsBySignal.set(signal, new Set());
+    }
+    runTabsBySignal.get(signal).add(tab.id);
+    if (runSiteIdsBySignal.has(signal)) {
+      await addRunCheckpointTab(runSiteIdsBySignal.get(signal), tab.id).catch(() => {});
+    }
+  }
+  return tab;
 }
 
 /**
  * 非アクティブタブでは Page Visibility / タイマー抑制でクライアント描画・スクロールが遅延しやすいため、
- * 収集前に対象タブを選択状態にする。
+ * 収集前に対象タブを選択状態にする（専用ウィンドウ内のタブならそのウィンドウ内で選択するだけ）。
  *
  * @param {number} tabId
  * @returns {Promise<void>}
@@ -686,13 +1483,15 @@ async function activateRakutenStatementTab(tabId) {
  *
  * @param {number} tabId
  * @param {number} timeoutSec
+ * @param {AbortSignal} [signal]
  * @returns {Promise<void>}
  */
-async function waitForRakutenStatementDom(tabId, timeoutSec) {
+async function waitForRakutenStatementDom(tabId, timeoutSec, signal) {
   const deadline = Date.now() + timeoutSec * 1000;
   const pollMs = 250;
   let sawStatement = false;
   while (Date.now() < deadline) {
+    throwIfRunCancelled(signal);
     try {
       const results = await chrome.scripting.executeScript({
         target: { tabId },
@@ -722,7 +1521,7 @@ async function waitForRakutenStatementDom(tabId, timeoutSec) {
     } catch (e) {
       /* 遷移直後は注入できないことがある */
     }
-    await new Promise((r) => setTimeout(r, pollMs));
+    await sleepMs(pollMs, signal);
   }
   if (sawStatement) {
     return;
@@ -736,13 +1535,14 @@ async function waitForRakutenStatementDom(tabId, timeoutSec) {
  *
  * @param {number} tabId
  * @param {number} timeoutSec
+ * @param {AbortSignal} [signal]
  * @returns {Promise<void>}
  */
-async function navigateRakutenStatementToLatestMonth(tabId, timeoutSec) {
+async function navigateRakutenStatementToLatestMonth(tabId, timeoutSec, signal) {
   const maxSteps = 24;
   for (let step = 0; step < maxSteps; step++) {
     await activateRakutenStatementTab(tabId);
-    await waitForRakutenStatementDom(tabId, timeoutSec);
+    await waitForRakutenStatementDom(tabId, timeoutSec, signal);
     const [probe] = await chrome.scripting.executeScript({
       target: { tabId },
       func: () => {
@@ -774,13 +1574,13 @@ async function navigateRakutenStatementToLatestMonth(tabId, timeoutSec) {
     const pageUrl = tab.url || '';
     const fullUrl = new URL(p.href, pageUrl).href;
     await chrome.tabs.update(tabId, { url: fullUrl });
-    await waitForTabComplete(tabId, timeoutSec);
+    await waitForTabComplete(tabId, timeoutSec, signal);
   }
   throw new Error('楽天カード明細の最新月への移動がタイムアウトしました');
 }
 
-function sleepMs(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+function sleepMs(ms, signal) {
+  return raceRunSignal(new Promise((r) => setTimeout(r, ms)), signal);
 }
 
 function isAccountLoginHostUrl(href) {
@@ -808,17 +1608,19 @@ function isMoneytreeLoginHostUrl(href) {
  *
  * @param {number} tabId
  * @param {number} timeoutSec
+ * @param {AbortSignal} [signal]
  * @returns {Promise<void>}
  */
-async function waitForTabLeaveLoginHost(tabId, timeoutSec) {
+async function waitForTabLeaveLoginHost(tabId, timeoutSec, signal) {
   const deadline = Date.now() + timeoutSec * 1000;
   while (Date.now() < deadline) {
+    throwIfRunCancelled(signal);
     const t = await chrome.tabs.get(tabId);
     const u = t.url || '';
     if (u && !u.startsWith('chrome://') && !isAccountLoginHostUrl(u)) {
       return;
     }
-    await sleepMs(200);
+    await sleepMs(200, signal);
   }
   throw new Error('ログイン後のリダイレクトが完了しませんでした（ログイン画面のまま）');
 }
@@ -828,17 +1630,19 @@ async function waitForTabLeaveLoginHost(tabId, timeoutSec) {
  *
  * @param {number} tabId
  * @param {number} timeoutSec
+ * @param {AbortSignal} [signal]
  * @returns {Promise<void>}
  */
-async function waitForTabLeaveMoneytreeLoginHost(tabId, timeoutSec) {
+async function waitForTabLeaveMoneytreeLoginHost(tabId, timeoutSec, signal) {
   const deadline = Date.now() + timeoutSec * 1000;
   while (Date.now() < deadline) {
+    throwIfRunCancelled(signal);
     const t = await chrome.tabs.get(tabId);
     const u = t.url || '';
     if (u && !u.startsWith('chrome://') && !isMoneytreeLoginHostUrl(u)) {
       return;
     }
-    await sleepMs(200);
+    await sleepMs(200, signal);
   }
   throw new Error('Moneytree ログイン後のリダイレクトが完了しませんでした');
 }
@@ -866,54 +1670,123 @@ const RAKUTEN_POST_LOGIN_SETTLE_MS = 2500;
 const RC_MAX_MONTHS_BACKWARD = 60;
 
 /**
- * 楽天カード明細を household-statement-import へ送信する
+ * HTTP エラー応答の例外（送信待ちの再送判定に status を使う）
+ *
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error & { status: number }}
+ */
+function createApiResponseError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @typedef {Object} ExternalApiRequestKeys
+ * @property {string} idempotencyKey - `<siteId>:<runId>:<index>`（再送しても同じ。バックエンドが二重登録を弾く）
+ * @property {string} requestId - 送信待ちの行ごとに1つ（再送しても同じ。バックエンドのログと突き合わせる）
+ */
+
+/**
+ * シンクの認証ヘッダー（資格情報が無ければ送らずに投げる）
  *
- * @param {string} siteId - サイトID（ログ用）
+ * @param {Object} sink - resolveOutboxSink の1件
  * @param {Record<string, string>} secrets - Doppler secrets
- * @param {Array<Object>} items - 送信する明細
- * @param {boolean} mockMode
  * @param {boolean} localMode
+ * @returns {Record<string, string>}
  * @throws {Error}
  */
-async function sendRakutenCardHouseholdImport(siteId, secrets, items, mockMode, localMode) {
-  const apiUrl = EXTERNAL_API_URLS.HOUSEHOLD_STATEMENT_IMPORT;
-  const apiKey = resolveApiKey(secrets, localMode);
+function buildHttpSinkAuthHeaders(sink, secrets, localMode) {
+  if (sink.auth === 'none') {
+    return {};
+  }
+  const token = sink.auth === 'api-key'
+    ? resolveApiKey(secrets, localMode)
+    : (secrets[sink.secretName] || '').trim();
+  if (!token) {
+    const secretName = sink.auth === 'api-key' ? 'API_KEY' : sink.secretName;
+    throw new Error(`${secretName} が設定されていません。Doppler で ${secretName} を設定してください。`);
+  }
+  return { Authorization: `Bearer ${token}` };
+}
 
-  if (mockMode) {
-    return;
-  }
+/** シンクへの POST を打ち切るまでの時間（送信待ちは1行ずつ送るため、応答しない送り先で後ろの行を止めない） */
+const HTTP_SINK_FETCH_TIMEOUT_MS = 30 * 1000;
 
-  if (!apiKey) {
-    throw new Error('API_KEY が設定されていません。Doppler で API_KEY を設定してください。');
-  }
-  let postUrl = apiUrl;
-  if (localMode) {
-    postUrl = resolveLocalApiUrl(apiUrl);
-  }
+/**
+ * 送信待ちの1行をシンクへ POST する
+ * （Content Script では CORS で fetch できないため Service Worker で実行）
+ * HTTP_SINK_FETCH_TIMEOUT_MS で打ち切り、status なしのエラー（再送する失敗）として投げる
+ *
+ * @param {string} sinkName
+ * @param {Object} sink - resolveOutboxSink の1件
+ * @param {Object} params
+ * @param {string} params.siteId - サイトID（ログ用）
+ * @param {Record<string, string>} params.secrets - Doppler secrets
+ * @param {Object} params.body - SINK_BODY_FORMATS の toBodies で作ったボディ
+ * @param {boolean} params.localMode
+ * @param {ExternalApiRequestKeys} params.requestKeys
+ * @returns {Promise<void>}
+ * @throws {Error} 設定不足または API エラー時（HTTP エラーは status 付き）
+ */
+async function sendHttpSink(sinkName, sink, { siteId, secrets, body, localMode, requestKeys }) {
+  const postUrl = resolveHttpSinkUrl(sink, localMode);
+  if (!postUrl) {
+    throw new Error(`送信先 "${sinkName}" には localUrl が無いため、ローカル実行では送れません。`);
+  }
+  const headers = {
+    ...(sink.headers || {}),
+    'Content-Type': 'application/json',
+    ...buildHttpSinkAuthHeaders(sink, secrets, localMode),
+    'Idempotency-Key': requestKeys.idempotencyKey,
+    'X-Request-Id': requestKeys.requestId
+  };
   appendOptionsApiRequestLog({
     siteId,
     url: postUrl,
     mockMode: false,
     localMode,
-    body: { items }
+    idempotencyKey: requestKeys.idempotencyKey,
+    requestId: requestKeys.requestId,
+    body
   }).catch(() => {});
-  const response = await fetch(postUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({ items })
-  });
-  if (!response.ok) {
-    const errorText = await response.text().catch(() => 'レスポンス取得失敗');
-    if (response.status === 401) {
-      throw new Error(`認証エラー: API_KEY が無効です (${response.status})`);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), HTTP_SINK_FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(postUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => 'レスポンス取得失敗');
+      if (response.status === 401) {
+        if (sink.auth === 'none') {
+          throw createApiResponseError(`認証エラー: ${sink.label} が認証を求めています (${response.status})`, response.status);
+        }
+        const credential = sink.auth === 'bearer-secret' ? sink.secretName : 'API_KEY';
+        throw createApiResponseError(`認証エラー: ${credential} が無効です (${response.status})`, response.status);
+      }
+      if (response.status === 400) {
+        throw createApiResponseError(`リクエストエラー: ${errorText} (${response.status})`, response.status);
+      }
+      throw createApiResponseError(`${sink.label} エラー: ${errorText} (${response.status})`, response.status);
     }
-    if (response.status === 400) {
-      throw new Error(`リクエストエラー: ${errorText} (${response.status})`);
+    if (sink.response === 'json') {
+      const result = await response.json();
+      if (result?.result === 'partial') {
+        console.warn(`${sink.label}: 部分的に処理されました`, result);
+      }
+    }
+  } catch (err) {
+    if (err instanceof Error && err.name === 'AbortError') {
+      throw new Error(`${sink.label} がタイムアウトしました（${HTTP_SINK_FETCH_TIMEOUT_MS / 1000} 秒）`);
     }
-    throw new Error(`Household APIエラー: ${errorText} (${response.status})`);
+    throw err;
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
@@ -1030,11 +1903,13 @@ function createMoneytreeLoginWait(tabId, timeoutSec) {
 /**
  * @param {number} tabId
  * @param {number} timeoutSec
+ * @param {AbortSignal} [signal]
  * @returns {Promise<void>}
  */
-async function waitForMoneytreeVaultDom(tabId, timeoutSec) {
+async function waitForMoneytreeVaultDom(tabId, timeoutSec, signal) {
   const deadline = Date.now() + timeoutSec * 1000;
   while (Date.now() < deadline) {
+    throwIfRunCancelled(signal);
     const [{ result }] = await chrome.scripting.executeScript({
       target: { tabId },
       func: () => {
@@ -1047,7 +1922,7 @@ async function waitForMoneytreeVaultDom(tabId, timeoutSec) {
     if (result?.ready) {
       return;
     }
-    await sleepMs(250);
+    await sleepMs(250, signal);
   }
   throw new Error('Moneytree Vault の DOM 読み込みがタイムアウトしました');
 }
@@ -1055,13 +1930,17 @@ async function waitForMoneytreeVaultDom(tabId, timeoutSec) {
 /**
  * @param {number} tabId
  * @param {number} timeoutSec
+ * @param {Object} effectiveSite
+ * @param {AbortSignal} [signal]
  * @returns {Promise<{ didLogin: boolean }>}
  */
-async function runMoneytreeLoginExec(tabId, timeoutSec, effectiveSite) {
+async function runMoneytreeLoginExec(tabId, timeoutSec, effectiveSite, signal) {
+  throwIfRunCancelled(signal);
   const { promise: loginPromise, cancel: cancelLoginWait } = createMoneytreeLoginWait(
     tabId,
     timeoutSec
   );
+  signal?.addEventListener('abort', () => cancelLoginWait(createRunAbortError(signal)), { once: true });
   try {
     await injectEffectiveSiteContext(tabId, effectiveSite);
     await chrome.scripting.executeScript({
@@ -1078,110 +1957,98 @@ async function runMoneytreeLoginExec(tabId, timeoutSec, effectiveSite) {
 }
 
 /**
- * @param {number} tabId
- * @param {string} siteId
- * @param {Object} site
- * @param {boolean} mockMode
- * @param {boolean} localMode
- * @returns {Promise<Object>}
+ * 収集タブでの1サイト分の処理に渡す文脈
+ *
+ * @typedef {Object} SiteFlowContext
+ * @property {Object} site - Doppler 適用後の settings.sites[siteId]
+ * @property {string} siteId
+ * @property {number} tabId
+ * @property {boolean} mockMode
+ * @property {boolean} localMode
+ * @property {AbortSignal} [signal] - CANCEL_RUN・実行全体の上限で中断する
+ * @property {ReturnType<typeof createRunTrace>} trace - 手順トレース
  */
-function collectMoneytreeVaultPage(tabId, siteId, effectiveSite, mockMode, localMode) {
-  return new Promise((resolve, reject) => {
-    let resolved = false;
-
-    const cleanup = () => {
-      if (!resolved) {
-        resolved = true;
-        chrome.runtime.onMessage.removeListener(messageListener);
-      }
-    };
-
-    const messageListener = (message, sender) => {
-      if (sender.tab?.id === tabId && message.type === 'COLLECT_RESULT' && !resolved) {
-        cleanup();
-        if (message.error) {
-          reject(new Error(message.error));
-        } else {
-          resolve(message.payload);
-        }
-        return true;
-      }
-    };
-
-    chrome.runtime.onMessage.addListener(messageListener);
 
-    const files = ['sites/moneytree-vault.js', 'content-script.js'];
-
-    injectEffectiveSiteContext(tabId, effectiveSite)
-      .then(() =>
-        chrome.scripting.executeScript({
-          target: { tabId },
-          files
-        })
-      )
-      .then(() => {
-        let retries = 0;
-        const maxRetries = 40;
-        const trySendMessage = () => {
-          chrome.tabs
-            .sendMessage(tabId, {
-              type: 'COLLECT',
-              siteId,
-              mockMode,
-              localMode,
-              effectiveSite: effectiveSite || {}
-            })
-            .then((response) => {
-              if (response && response.type === 'COLLECT_RESULT' && !resolved) {
-                cleanup();
-                if (response.error) {
-                  reject(new Error(response.error));
-                } else {
-                  resolve(response.payload);
-                }
-              }
-            })
-            .catch((err) => {
-              if (retries < maxRetries && !resolved) {
-                retries++;
-                setTimeout(trySendMessage, 100);
-              } else {
-                cleanup();
-                reject(new Error(`Failed to send message to content script: ${err.message}`));
-              }
-            });
-        };
-        setTimeout(trySendMessage, 100);
-      })
-      .catch((err) => {
-        cleanup();
-        reject(new Error(`Failed to inject content script: ${err.message}`));
+/**
+ * ログイン後の共通処理（読み込み・ログインホストを離れるまで待ち・落ち着くまで待ち・対象ページへ戻る）
+ *
+ * @param {SiteFlowContext} ctx
+ * @param {(tabId: number, timeoutSec: number, signal?: AbortSignal) => Promise<void>} waitLeaveLoginHost
+ * @returns {Promise<void>}
+ */
+async function settleSiteLogin(ctx, waitLeaveLoginHost) {
+  const { site, tabId, signal, trace } = ctx;
+  await trace.step('tab-load', () => waitForTabComplete(tabId, site.timeoutSec, signal));
+  await trace.step('login-redirect', () => waitLeaveLoginHost(tabId, site.timeoutSec, signal));
+  await trace.step('login-settle', () => sleepMs(RAKUTEN_POST_LOGIN_SETTLE_MS, signal));
+  const siteUrl = (site.url || '').trim();
+  if (siteUrl) {
+    const tab = await chrome.tabs.get(tabId);
+    const cur = tab.url || '';
+    if (shouldNavigateToSiteUrl(cur, siteUrl)) {
+      await trace.step('navigate-site', async () => {
+        await chrome.tabs.update(tabId, { url: siteUrl });
+        await waitForTabComplete(tabId, site.timeoutSec, signal);
       });
-
-    setTimeout(() => {
-      if (!resolved) {
-        cleanup();
-        reject(new Error('Content script timeout'));
-      }
-    }, Math.max(0, ((effectiveSite?.timeoutSec || 30) - 5) * 1000));
-  });
+    }
+  }
 }
 
 /**
- * @param {Object} site
- * @param {string} siteId
- * @param {number} tabId
- * @param {boolean} mockMode
- * @param {boolean} localMode
- * @returns {Promise<Object>}
+ * 楽天カードのログイン手順（ログイン画面ならフォーム送信し、明細ページへ戻る）
+ *
+ * @param {SiteFlowContext} ctx
+ * @returns {Promise<void>}
  */
-async function runMoneytreeVaultFlow(site, siteId, tabId, mockMode, localMode) {
-  let loginResult = await runMoneytreeLoginExec(tabId, site.timeoutSec, site);
-
-  if (!loginResult.didLogin) {
-    const deadline = Date.now() + site.timeoutSec * 1000;
-    while (Date.now() < deadline) {
-      const tab = await chrome.tabs.get(tabId);
+async function loginRakutenCard(ctx) {
+  const { site, tabId, signal, trace } = ctx;
+  throwIfRunCancelled(signal);
+  await activateRakutenStatementTab(tabId);
+  const loginResult = await trace.step('login', async () => {
+    const { promise: loginPromise, cancel: cancelLoginWait } = createRakutenLoginWait(
+      tabId,
+      site.timeoutSec
+    );
+    signal?.addEventListener('abort', () => cancelLoginWait(createRunAbortError(signal)), { once: true });
+    try {
+      await injectEffectiveSiteContext(tabId, site);
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['sites/rakuten-card-login-exec.js']
+      });
+    } catch (err) {
+      const e = err instanceof Error ? err : new Error(String(err));
+      cancelLoginWait(e);
+      await loginPromise.catch(() => {});
+      throw e;
+    }
+    return loginPromise;
+  }, (r) => ({ didLogin: r.didLogin }));
+  if (loginResult.didLogin) {
+    await settleSiteLogin(ctx, waitForTabLeaveLoginHost);
+  }
+}
+
+/**
+ * Moneytree のログイン手順（ログイン画面へのリダイレクトを待ってからフォーム送信し、Vault へ戻る）
+ *
+ * @param {SiteFlowContext} ctx
+ * @returns {Promise<void>}
+ */
+async function loginMoneytreeVault(ctx) {
+  const { site, tabId, signal, trace } = ctx;
+  const loginStep = () => trace.step(
+    'login',
+    () => runMoneytreeLoginExec(tabId, site.timeoutSec, site, signal),
+    (r) => ({ didLogin: r.didLogin })
+  );
+  let loginResult = await loginStep();
+
+  if (!loginResult.didLogin) {
+    const deadline = Date.now() + site.timeoutSec * 1000;
+    while (Date.now() < deadline) {
+      throwIfRunCancelled(signal);
+      const tab = await chrome.tabs.get(tabId);
       const cur = tab.url || '';
       if (isMoneytreeLoginHostUrl(cur)) {
         break;
@@ -1189,28 +2056,17 @@ async function runMoneytreeVaultFlow(site, siteId, tabId, mockMode, localMode) {
       if (cur.includes('app.getmoneytree.com')) {
         break;
       }
-      await sleepMs(250);
+      await sleepMs(250, signal);
     }
     const tabAfterWait = await chrome.tabs.get(tabId);
     const curAfterWait = tabAfterWait.url || '';
     if (isMoneytreeLoginHostUrl(curAfterWait)) {
-      loginResult = await runMoneytreeLoginExec(tabId, site.timeoutSec, site);
+      loginResult = await loginStep();
     }
   }
 
   if (loginResult.didLogin) {
-    await waitForTabComplete(tabId, site.timeoutSec);
-    await waitForTabLeaveMoneytreeLoginHost(tabId, site.timeoutSec);
-    await sleepMs(RAKUTEN_POST_LOGIN_SETTLE_MS);
-    const siteUrl = (site.url || '').trim();
-    if (siteUrl) {
-      const tab = await chrome.tabs.get(tabId);
-      const cur = tab.url || '';
-      if (shouldNavigateToSiteUrl(cur, siteUrl)) {
-        await chrome.tabs.update(tabId, { url: siteUrl });
-        await waitForTabComplete(tabId, site.timeoutSec);
-      }
-    }
+    await settleSiteLogin(ctx, waitForTabLeaveMoneytreeLoginHost);
   } else {
     const tab = await chrome.tabs.get(tabId);
     const cur = tab.url || '';
@@ -1219,150 +2075,61 @@ async function runMoneytreeVaultFlow(site, siteId, tabId, mockMode, localMode) {
     }
     const siteUrl = (site.url || '').trim();
     if (siteUrl && shouldNavigateToSiteUrl(cur, siteUrl)) {
-      await chrome.tabs.update(tabId, { url: siteUrl });
-      await waitForTabComplete(tabId, site.timeoutSec);
+      await trace.step('navigate-site', async () => {
+        await chrome.tabs.update(tabId, { url: siteUrl });
+        await waitForTabComplete(tabId, site.timeoutSec, signal);
+      });
     }
   }
-
-  await waitForMoneytreeVaultDom(tabId, site.timeoutSec);
-  return collectMoneytreeVaultPage(tabId, siteId, site, mockMode, localMode);
 }
 
 /**
- * @param {Object} site
- * @param {string} siteId
- * @param {number} tabId
- * @param {boolean} mockMode
- * @param {boolean} localMode
+ * 1ページを1回収集する
+ *
+ * @param {Object} flow - BUILTIN_SITE_FLOWS の定義
+ * @param {SiteFlowContext} ctx
  * @returns {Promise<Object>}
  */
-function collectRakutenCardPage(tabId, siteId, effectiveSite, mockMode, localMode) {
-  return new Promise((resolve, reject) => {
-    let resolved = false;
-
-    const cleanup = () => {
-      if (!resolved) {
-        resolved = true;
-        chrome.runtime.onMessage.removeListener(messageListener);
-      }
-    };
-
-    const messageListener = (message, sender, sendResponse) => {
-      if (sender.tab?.id === tabId && message.type === 'COLLECT_RESULT' && !resolved) {
-        cleanup();
-        if (message.error) {
-          reject(new Error(message.error));
-        } else {
-          resolve(message.payload);
-        }
-        return true;
-      }
-    };
-
-    chrome.runtime.onMessage.addListener(messageListener);
-
-    // ページ遷移のたびに注入コンテキストは消えるため、常に両方注入する。
-    // （前月リンクや「今月」合わせの tabs.update 後は content-script なしだと sendMessage が届かない）
-    const files = ['sites/rakuten-card.js', 'content-script.js'];
-
-    injectEffectiveSiteContext(tabId, effectiveSite)
-      .then(() =>
-        chrome.scripting.executeScript({
-          target: { tabId },
-          files: files
-        })
-      )
-      .then(() => {
-      let retries = 0;
-      const maxRetries = 40;
-      const trySendMessage = () => {
-        chrome.tabs.sendMessage(tabId, {
-          type: 'COLLECT',
-          siteId,
-          mockMode,
-          localMode,
-          effectiveSite: effectiveSite || {}
-        })
-          .then((response) => {
-            if (response && response.type === 'COLLECT_RESULT' && !resolved) {
-              cleanup();
-              if (response.error) {
-                reject(new Error(response.error));
-              } else {
-                resolve(response.payload);
-              }
-            }
-          })
-          .catch((err) => {
-            if (retries < maxRetries && !resolved) {
-              retries++;
-              setTimeout(trySendMessage, 100);
-            } else {
-              cleanup();
-              reject(new Error(`Failed to send message to content script: ${err.message}`));
-            }
-          });
-      };
-      setTimeout(trySendMessage, 100);
-    }).catch((err) => {
-      cleanup();
-      reject(new Error(`Failed to inject content script: ${err.message}`));
-    });
-
-    setTimeout(() => {
-      if (!resolved) {
-        cleanup();
-        reject(new Error('Content script timeout'));
-      }
-    }, Math.max(0, ((effectiveSite?.timeoutSec || 30) - 5) * 1000));
-  });
+async function collectSiteSinglePage(flow, ctx) {
+  const { site, siteId, tabId, mockMode, localMode, signal, trace } = ctx;
+  return trace.step(
+    'collect',
+    () => injectAndCollect(tabId, siteId, {
+      mockMode,
+      localMode,
+      effectiveSite: site,
+      timeoutSec: site.timeoutSec,
+      onProgress: createCollectProgressHandler(siteId, siteId),
+      signal
+    }),
+    (p) => ({ records: getPayloadRecordCount(siteId, p) })
+  );
 }
 
 /**
- * @param {Object} site
- * @param {string} siteId
- * @param {number} tabId
- * @param {boolean} mockMode
- * @param {boolean} localMode
+ * 楽天カード明細を最新月から前月へ辿りながら収集し、items を1つの envelope にまとめる
+ *
+ * - site.rcMonthsToFetch か月分（rcMinYearMonth より前の月に着いたら打ち切り）
+ * - 1か月ごとに取得済みの items と次に開く前月の URL をチェックポイントに残し、途切れたら続きから再開する
+ *
+ * @param {Object} flow - BUILTIN_SITE_FLOWS の定義
+ * @param {SiteFlowContext} ctx
  * @returns {Promise<Object>}
  */
-async function runRakutenCardFlow(site, siteId, tabId, mockMode, localMode) {
-  await activateRakutenStatementTab(tabId);
-  const { promise: loginPromise, cancel: cancelLoginWait } = createRakutenLoginWait(
-    tabId,
-    site.timeoutSec
-  );
-  try {
-    await injectEffectiveSiteContext(tabId, site);
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      files: ['sites/rakuten-card-login-exec.js']
-    });
-  } catch (err) {
-    const e = err instanceof Error ? err : new Error(String(err));
-    cancelLoginWait(e);
-    await loginPromise.catch(() => {});
-    throw e;
-  }
-  const loginResult = await loginPromise;
-  if (loginResult.didLogin) {
-    await waitForTabComplete(tabId, site.timeoutSec);
-    await waitForTabLeaveLoginHost(tabId, site.timeoutSec);
-    await sleepMs(RAKUTEN_POST_LOGIN_SETTLE_MS);
-    const siteUrl = (site.url || '').trim();
-    if (siteUrl) {
-      const tab = await chrome.tabs.get(tabId);
-      const cur = tab.url || '';
-      if (shouldNavigateToSiteUrl(cur, siteUrl)) {
-        await chrome.tabs.update(tabId, { url: siteUrl });
-        await waitForTabComplete(tabId, site.timeoutSec);
-      }
-    }
+async function collectRakutenStatementMonths(flow, ctx) {
+  const { site, siteId, tabId, mockMode, localMode, signal, trace } = ctx;
+
+  // 前回の実行が途中の月で途切れていれば、取得済みの月は読み直さずその前月から続ける
+  const resumed = (await getRunCheckpoint(siteId))?.rakutenMonths;
+  if (resumed?.nextMonthUrl) {
+    await trace.step('resume-month', async () => {
+      await chrome.tabs.update(tabId, { url: resumed.nextMonthUrl });
+      await waitForTabComplete(tabId, site.timeoutSec, signal);
+    }, { page: resumed.pages + 1 });
+  } else {
+    await trace.step('latest-month', () => navigateRakutenStatementToLatestMonth(tabId, site.timeoutSec, signal));
   }
 
-  await waitForRakutenStatementDom(tabId, site.timeoutSec);
-  await navigateRakutenStatementToLatestMonth(tabId, site.timeoutSec);
-
   const rcMonthsRaw = site?.rcMonthsToFetch;
   const rcMonthsToFetch = (rcMonthsRaw !== '' && rcMonthsRaw != null)
     ? Math.max(1, Math.min(60, parseInt(String(rcMonthsRaw), 10) || 2))
@@ -1370,15 +2137,29 @@ async function runRakutenCardFlow(site, siteId, tabId, mockMode, localMode) {
   const rcMinRaw = (site?.rcMinYearMonth || '').trim();
   const rcMinYearMonth = /^\d{4}-\d{2}$/.test(rcMinRaw) ? rcMinRaw : '2026-03';
 
-  const allItems = [];
+  const allItems = resumed?.nextMonthUrl ? [...resumed.items] : [];
   let lastPayload = null;
   /** @type {Array<{ level: string, text: string, at: number }>} */
   const mergedCollectLogs = [];
 
-  for (let i = 0; i < Math.min(RC_MAX_MONTHS_BACKWARD, rcMonthsToFetch); i++) {
+  for (let i = resumed?.nextMonthUrl ? resumed.pages : 0; i < Math.min(RC_MAX_MONTHS_BACKWARD, rcMonthsToFetch); i++) {
     await activateRakutenStatementTab(tabId);
-    await waitForRakutenStatementDom(tabId, site.timeoutSec);
-    const pagePayload = await collectRakutenCardPage(tabId, siteId, site, mockMode, localMode);
+    await waitSiteDomReady(flow, ctx, { page: i + 1 });
+    const pagePayload = await trace.step(
+      'collect-month',
+      () => injectAndCollect(tabId, siteId, {
+        mockMode,
+        localMode,
+        effectiveSite: site,
+        onProgress: createCollectProgressHandler(siteId, siteId),
+        signal
+      }),
+      (p) => ({
+        page: i + 1,
+        month: p.payload?.displayedYearMonth ?? null,
+        items: p.payload?.items?.length || 0
+      })
+    );
     lastPayload = pagePayload;
     if (pagePayload.collectLogs?.length) {
       mergedCollectLogs.push(...pagePayload.collectLogs);
@@ -1397,8 +2178,13 @@ async function runRakutenCardFlow(site, siteId, tabId, mockMode, localMode) {
       break;
     }
     const fullUrl = new URL(inner.prevMonthHref, pagePayload.url).href;
-    await chrome.tabs.update(tabId, { url: fullUrl });
-    await waitForTabComplete(tabId, site.timeoutSec);
+    await patchRunCheckpoint(siteId, {
+      rakutenMonths: { pages: i + 1, items: allItems, nextMonthUrl: fullUrl }
+    });
+    await trace.step('navigate-prev-month', async () => {
+      await chrome.tabs.update(tabId, { url: fullUrl });
+      await waitForTabComplete(tabId, site.timeoutSec, signal);
+    }, { page: i + 2 });
   }
 
   return {
@@ -1410,221 +2196,409 @@ async function runRakutenCardFlow(site, siteId, tabId, mockMode, localMode) {
   };
 }
 
+/** フロー定義の login → ログイン手順 */
+const SITE_LOGIN_STEPS = Object.freeze({
+  rakuten: loginRakutenCard,
+  moneytree: loginMoneytreeVault
+});
+
+/** フロー定義の domReady → 収集前に待つ画面表示（トレースの手順名と待ち関数） */
+const SITE_DOM_READY_WAITS = Object.freeze({
+  'rakuten-statement': { step: 'statement-dom', wait: waitForRakutenStatementDom },
+  'moneytree-vault': { step: 'vault-dom', wait: waitForMoneytreeVaultDom }
+});
+
+/** フロー定義の pagination → 収集のしかた */
+const SITE_PAGINATIONS = Object.freeze({
+  single: collectSiteSinglePage,
+  'rakuten-prev-month': collectRakutenStatementMonths
+});
+
 /**
- * MoneyForward の batches を IFA API へ送信する
- * （Content Script では CORS で fetch できないため Service Worker で実行）
+ * フロー定義の sinkFormat → 送るボディの作り方（送信先は http-sinks.js のシンク。同じ形のシンクならどれにでも送れる）
  *
- * @param {string} siteId - サイトID（ログ用）
- * @param {Record<string, string>} secrets - Doppler secrets
- * @param {Array<{instrument: Object, items: Array}>} batches - 送信するバッチ配列
- * @param {boolean} mockMode - true の場合は fetch せず console.log のみ
- * @param {boolean} localMode
- * @throws {Error} 設定不足または API エラー時
+ * - hasData(inner): 送るものがあるか（inner は collect の payload.payload）
+ * - toBodies(inner): 送信待ちに積む単位（1要素が送信待ちの1行・1回の POST）
+ * - detail(inner): api-send 手順に残す件数
  */
-async function sendMoneyforwardBatches(siteId, secrets, batches, mockMode, localMode) {
-  const apiUrl = EXTERNAL_API_URLS.STATEMENT_IMPORT;
-  let postUrl = apiUrl;
-  if (localMode) {
-    postUrl = resolveLocalApiUrl(apiUrl);
-  }
-  if (mockMode) {
-    return;
-  }
-  const apiKey = resolveApiKey(secrets, localMode);
-  if (!apiKey) {
-    throw new Error('API_KEY が設定されていません。Doppler で API_KEY を設定してください。');
-  }
-  for (const batch of batches) {
-    appendOptionsApiRequestLog({
-      siteId,
-      url: postUrl,
-      mockMode: false,
-      localMode,
-      body: batch
-    }).catch(() => {});
-    const response = await fetch(postUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(batch)
-    });
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => 'レスポンス取得失敗');
-      if (response.status === 401) {
-        throw new Error(`認証エラー: API_KEY が無効です (${response.status})`);
-      }
-      if (response.status === 400) {
-        throw new Error(`リクエストエラー: ${errorText} (${response.status})`);
-      }
-      throw new Error(`外部 API エラー: ${errorText} (${response.status})`);
-    }
-    const result = await response.json();
-    if (result?.result === 'partial') {
-      console.warn('IFA API: 部分的に処理されました', result);
-    }
+const SINK_BODY_FORMATS = Object.freeze({
+  'statement-import': {
+    hasData: (inner) => inner?.batches?.length > 0,
+    toBodies: (inner) => inner.batches,
+    detail: (inner) => ({ batches: inner.batches.length })
+  },
+  'balance-snapshot': {
+    hasData: (inner) => inner?.balanceAmount != null,
+    toBodies: ({ balanceAmount, recordedAt, note }) => [
+      { balanceAmount, recordedAt, note: note ?? 'MoneyForward sync' }
+    ],
+    detail: () => ({})
+  },
+  'payment-schedule': {
+    hasData: (inner) => inner?.items?.length > 0,
+    toBodies: (inner) => [{ items: inner.items }],
+    detail: (inner) => ({ items: inner.items.length })
+  },
+  'household-statement-import': {
+    hasData: (inner) => inner?.items?.length > 0,
+    toBodies: (inner) => [{ items: inner.items }],
+    detail: (inner) => ({ items: inner.items.length })
   }
+});
+
+/** フロー定義の pipeline → 収集タブの骨格を使わない専用処理（runSiteWithSignal と同じ戻り） */
+const SITE_PIPELINES = Object.freeze({
+  'x-bookmarks-chatgpt': runSiteXBookmarksPipeline
+});
+
+/**
+ * @param {Object} flow - BUILTIN_SITE_FLOWS の定義
+ * @param {SiteFlowContext} ctx
+ * @param {Object} [detail] - トレースの手順に残す補足
+ * @returns {Promise<void>}
+ */
+async function waitSiteDomReady(flow, ctx, detail) {
+  const domReady = SITE_DOM_READY_WAITS[flow.domReady];
+  await ctx.trace.step(
+    domReady.step,
+    () => domReady.wait(ctx.tabId, ctx.site.timeoutSec, ctx.signal),
+    detail
+  );
 }
 
 /**
- * 口座残高スナップショットを IFA API へ送信する
+ * 収集タブでの処理をフロー定義どおりに実行する（ログイン → 画面表示待ち → 収集）
  *
- * @param {string} siteId
- * @param {Object} site
- * @param {Object} body
- * @param {boolean} mockMode
- * @param {boolean} localMode
+ * @param {Object} flow - BUILTIN_SITE_FLOWS の定義
+ * @param {SiteFlowContext} ctx
+ * @returns {Promise<Object>} collect の戻り（最小契約の envelope）
  */
-async function sendBalanceSnapshot(siteId, secrets, body, mockMode, localMode) {
-  if (mockMode) {
-    return;
+async function runSiteFlow(flow, ctx) {
+  if (flow.login) {
+    await SITE_LOGIN_STEPS[flow.login](ctx);
   }
-  const apiUrl = EXTERNAL_API_URLS.BALANCE_SNAPSHOT;
-  const apiKey = resolveApiKey(secrets, localMode);
-  if (!apiKey) {
-    throw new Error('API_KEY が設定されていません。Doppler で API_KEY を設定してください。');
-  }
-  let postUrl = apiUrl;
-  if (localMode) {
-    postUrl = resolveLocalApiUrl(apiUrl);
+  if (flow.domReady) {
+    await waitSiteDomReady(flow, ctx);
   }
+  return SITE_PAGINATIONS[flow.pagination](flow, ctx);
+}
 
-  appendOptionsApiRequestLog({
-    siteId,
-    url: postUrl,
-    mockMode: false,
-    localMode,
-    body
-  }).catch(() => {});
+/**
+ * 巡回結果ペイロードから記録件数を算出する（フロー定義の countRecords で数える）
+ * ログ用・Slack 補足用。形が分からないサイトは null。
+ *
+ * @param {string} siteId
+ * @param {Object} [payload] - collect の戻り（payload.payload に各サイト固有データ）
+ * @returns {number|null}
+ */
+function getPayloadRecordCount(siteId, payload) {
+  const p = payload?.payload;
+  const countRecords = getBuiltinSiteFlow(siteId)?.countRecords;
+  if (!p || typeof countRecords !== 'function') return null;
+  return countRecords(p);
+}
 
-  const response = await fetch(postUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(body)
+/**
+ * 1サイトの巡回処理を実行する
+ * 
+ * 設計書の「共通骨格」に従い、タブは毎回新規作成して処理後に必ず閉じる。
+ * タブの再利用を避けることで、前回の状態が残るバグを防止している。
+ * 
+ * 処理フロー:
+ * 1. タブ作成（非アクティブで開く）
+ * 2. 読み込み完了待機（timeoutSecで打ち切り）
+ * 3. Content Script注入とデータ抽出
+ * 4. API送信（Service Workerが実施、またはcontent-script側で実施）
+ * 5. state更新（成功/失敗/中断に応じて）
+ * 6. タブクローズ（finallyで確実に実行）
+ *
+ * 実行中は activeRunControllers に登録し、CANCEL_RUN で中断できる（中断は lastStatus 'cancelled'）。
+ * 実行全体は site.runDeadlineSec で打ち切る（同じ AbortController を abort し、失敗として記録する）。
+ * 中断に反応しない待ちで止まっていても、RUN_WATCHDOG_GRACE_MS 後にはタブを閉じて戻る（後続サイトを止めない）。
+ * 実行中はチェックポイント（utils/run-checkpoint.js）に進捗を残し、Service Worker が途中で終了したら
+ * 次の起動で recoverInterruptedRuns が後始末して options.resumeFrom 付きで再開する。
+ * 
+ * @param {string} siteId - 処理対象のサイトID
+ * @param {Object} options - 実行オプション
+ * @param {'schedule'|'manual'|'dependency'|'catch-up'} [options.invokedBy] - 起動経路（省略時は 'schedule'）
+ * @param {boolean} options.mockMode - モックモード（trueの場合、fetchを実行せずconsole.logで出力）
+ * @param {boolean} [options.localMode] - ローカル手動実行（true のとき mockMode は無視され false 扱い）
+ * @param {Object} [options.resumeFrom] - 途切れた実行のチェックポイント（取得済みの月・送信内容を引き継ぐ）
+ * @returns {Promise<{ success: boolean, cancelled?: boolean, error?: string }>}
+ */
+async function runSite(siteId, options = {}) {
+  const controller = new AbortController();
+  const trace = createRunTrace(controller.signal);
+  activeRunControllers.set(siteId, controller);
+  pendingRunEvidence.delete(siteId);
+  const runId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  const { rakutenMonths, send } = options.resumeFrom || {};
+  await startRunCheckpoint(siteId, {
+    runId,
+    invokedBy: options.invokedBy,
+    mockMode: options.mockMode === true,
+    localMode: options.localMode === true,
+    startedAt: trace.startedAt,
+    resumeCount: options.resumeFrom ? (options.resumeFrom.resumeCount || 0) + 1 : 0,
+    ...(rakutenMonths ? { rakutenMonths } : {}),
+    ...(send ? { send } : {})
   });
-  if (!response.ok) {
-    const errorText = await response.text().catch(() => 'レスポンス取得失敗');
-    if (response.status === 401) {
-      throw new Error(`認証エラー: API_KEY が無効です (${response.status})`);
-    }
-    if (response.status === 400) {
-      throw new Error(`リクエストエラー: ${errorText} (${response.status})`);
+  runSiteIdsBySignal.set(controller.signal, siteId);
+  const { settings } = await chrome.storage.local.get('settings');
+  const deadlineSec = getSiteRunDeadlineSec(settings?.sites?.[siteId], siteId);
+  let deadlineTimerId = null;
+  let graceTimerId = null;
+  const abandoned = new Promise((resolve) => {
+    deadlineTimerId = setTimeout(() => {
+      const reason = new Error(`${RUN_DEADLINE_EXCEEDED_MESSAGE} (${deadlineSec}s)`);
+      reason.runDeadline = true;
+      console.warn(`${LOG_PREFIX} ${siteId} 実行全体の上限 ${deadlineSec} 秒を超えたため打ち切ります`);
+      controller.abort(reason);
+      graceTimerId = setTimeout(() => resolve(reason), RUN_WATCHDOG_GRACE_MS);
+    }, deadlineSec * 1000);
+  });
+  let result;
+  try {
+    const running = runSiteWithSignal(siteId, options, controller.signal, trace);
+    const outcome = await Promise.race([running, abandoned]);
+    result = outcome instanceof Error
+      ? await abandonStuckRun(siteId, settings, controller.signal, outcome)
+      : outcome;
+    return result;
+  } finally {
+    clearTimeout(deadlineTimerId);
+    clearTimeout(graceTimerId);
+    if (activeRunControllers.get(siteId) === controller) {
+      activeRunControllers.delete(siteId);
     }
-    throw new Error(`Balance Snapshot APIエラー: ${errorText} (${response.status})`);
+    await clearRunCheckpoint(siteId, runId).catch((error) => {
+      console.warn(`${LOG_PREFIX} ${siteId} チェックポイントの削除に失敗:`, error);
+    });
+    const outcome = result?.success ? 'ok' : (result?.cancelled ? 'cancelled' : 'fail');
+    const lastTrace = trace.finish(outcome);
+    await persistSiteRunTrace(siteId, lastTrace).catch((error) => {
+      console.warn(`${LOG_PREFIX} ${siteId} トレース保存に失敗:`, error);
+    });
+    const evidence = pendingRunEvidence.get(siteId) || [];
+    pendingRunEvidence.delete(siteId);
+    await recordRunHistory(siteId, options, lastTrace, result, evidence).catch((error) => {
+      console.warn(`${LOG_PREFIX} ${siteId} 実行履歴の保存に失敗:`, error);
+    });
   }
 }
 
 /**
- * 支払予定を IFA API へ送信する
+ * 上限超過で abort しても片付かない実行を見捨てる（開いたタブを閉じ、失敗として記録する）
+ *
+ * 見捨てた runSiteWithSignal が後から catch に来ても abandonedRunSignals で state 更新を省く。
  *
  * @param {string} siteId
- * @param {Object} site
- * @param {Array<Object>} items
- * @param {boolean} mockMode
- * @param {boolean} localMode
+ * @param {Object|undefined} settings - storage の settings（Doppler 適用前）
+ * @param {AbortSignal} signal
+ * @param {Error} reason - 上限超過のエラー
+ * @returns {Promise<{ success: false, error: string }>}
  */
-async function sendPaymentSchedule(siteId, secrets, items, mockMode, localMode) {
-  if (mockMode) {
+async function abandonStuckRun(siteId, settings, signal, reason) {
+  abandonedRunSignals.add(signal);
+  console.warn(`${LOG_PREFIX} ${siteId} 打ち切り後も応答がないため実行を見捨てます`);
+  const got = await chrome.storage.local.get(KEPT_FAILED_TABS_STORAGE_KEY);
+  const kept = new Set((got[KEPT_FAILED_TABS_STORAGE_KEY] || []).map((entry) => entry.tabId));
+  for (const tabId of runTabsBySignal.get(signal) || []) {
+    if (kept.has(tabId)) continue;
+    try {
+      await chrome.tabs.remove(tabId);
+    } catch (_) {
+      /* 既に閉じている */
+    }
+  }
+  await persistSiteRunFailure(siteId, settings, settings?.sites?.[siteId], Date.now(), reason);
+  return { success: false, error: reason.message };
+}
+
+/**
+ * 前回までの Service Worker 起動で終了しきれなかった実行を後始末し、続きから再開する
+ *
+ * - 前回起動のロックを解放する（途切れた実行が無くても）
+ * - 残っているタブを閉じ、途切れた実行を実行履歴に失敗として残す
+ * - x-bookmarks で ChatGPT へ送信中だったポストは送信済みか分からないため processedTweetIds に要確認で入れ、
+ *   再開時に送り直さない
+ * - 再開は options.resumeFrom 付きの runSite（取得済みの月・送信内容を引き継ぐ）。
+ *   RUN_RESUME_MAX 回再開しても途切れるなら再開せず失敗として記録する（リトライ設定に従う）
+ * - 再開は待たずに返す（onAlarm は後始末だけ待ち、再開中のサイトはロック待ちの後にスキップされる）
+ *
+ * @returns {Promise<void>}
+ */
+async function recoverInterruptedRuns() {
+  // 途切れた実行が無くても、前回起動のロックが残っていれば heartbeat の途絶を待たずに解放する
+  await releaseOrphanedRunLock();
+  const interrupted = await listInterruptedRunCheckpoints();
+  if (interrupted.length === 0) {
     return;
   }
-  const apiUrl = EXTERNAL_API_URLS.PAYMENT_SCHEDULE;
-  const apiKey = resolveApiKey(secrets, localMode);
-  if (!apiKey) {
-    throw new Error('API_KEY が設定されていません。Doppler で API_KEY を設定してください。');
+  const { settings } = await initializeStorage();
+  const got = await chrome.storage.local.get(KEPT_FAILED_TABS_STORAGE_KEY);
+  const kept = new Set((got[KEPT_FAILED_TABS_STORAGE_KEY] || []).map((entry) => entry.tabId));
+  const resumes = [];
+  for (const { siteId, checkpoint, tabIds } of interrupted) {
+    console.warn(`${LOG_PREFIX} ${siteId} 前回の実行が途中で途切れていました（開始: ${new Date(checkpoint.startedAt).toLocaleString('ja-JP')}）`);
+    for (const tabId of tabIds) {
+      if (kept.has(tabId)) continue;
+      try {
+        await chrome.tabs.remove(tabId);
+      } catch (_) {
+        /* 既に閉じている */
+      }
+    }
+    if (checkpoint.chatgptInFlight) {
+      await markInterruptedChatgptPostProcessed(siteId, checkpoint.chatgptInFlight);
+    }
+    await appendRunHistory({
+      siteId,
+      invokedBy: Object.prototype.hasOwnProperty.call(INVOKED_BY_LABELS, checkpoint.invokedBy)
+        ? checkpoint.invokedBy
+        : 'schedule',
+      mockMode: checkpoint.localMode ? false : checkpoint.mockMode === true,
+      localMode: checkpoint.localMode === true,
+      startedAt: checkpoint.startedAt,
+      endedAt: checkpoint.updatedAt,
+      status: 'fail',
+      recordCount: null,
+      error: RUN_INTERRUPTED_MESSAGE,
+      endpoints: [],
+      evidenceIds: []
+    }).catch((error) => {
+      console.warn(`${LOG_PREFIX} ${siteId} 実行履歴の保存に失敗:`, error);
+    });
+    const site = settings.sites[siteId];
+    if (!site || (checkpoint.resumeCount || 0) >= RUN_RESUME_MAX) {
+      await clearRunCheckpoint(siteId);
+      if (site) {
+        await persistSiteRunFailure(siteId, settings, site, Date.now(), new Error(RUN_INTERRUPTED_MESSAGE));
+      }
+      continue;
+    }
+    resumes.push({ siteId, checkpoint });
   }
-  let postUrl = apiUrl;
-  if (localMode) {
-    postUrl = resolveLocalApiUrl(apiUrl);
+  for (const { siteId, checkpoint } of resumes) {
+    const invokedBy = checkpoint.invokedBy || 'schedule';
+    console.log(`${LOG_PREFIX} ${siteId} 途切れた実行を再開します`);
+    withRunLock({ siteId, invokedBy }, () =>
+      runSite(siteId, {
+        invokedBy,
+        mockMode: checkpoint.mockMode,
+        localMode: checkpoint.localMode,
+        resumeFrom: checkpoint
+      })
+    )
+      .then(() => syncSiteAlarms())
+      .catch((error) => {
+        console.error(`${LOG_PREFIX} ${siteId} 再開に失敗:`, error);
+      });
   }
-  const body = { items };
-
-  appendOptionsApiRequestLog({
-    siteId,
-    url: postUrl,
-    mockMode: false,
-    localMode,
-    body
-  }).catch(() => {});
+}
 
-  const response = await fetch(postUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(body)
-  });
-  if (!response.ok) {
-    const errorText = await response.text().catch(() => 'レスポンス取得失敗');
-    if (response.status === 401) {
-      throw new Error(`認証エラー: API_KEY が無効です (${response.status})`);
+/**
+ * ChatGPT へ送信中に途切れたポストを処理済み・要確認にする（会話 URL は取れていないため null）
+ *
+ * submitted が false でも、ページ側が送信した後に Service Worker が止まり PROGRESS が届かなかった可能性があるため、
+ * 送り直さずにユーザーの確認に回す
+ *
+ * @param {string} siteId
+ * @param {{ tweetId: string, startedAt: number, submitted?: boolean, submittedAt?: number }} inFlight
+ * @returns {Promise<void>}
+ */
+async function markInterruptedChatgptPostProcessed(siteId, inFlight) {
+  const { state } = await chrome.storage.local.get('state');
+  if (!state?.bySite) return;
+  const bucket = state.bySite[siteId] || {};
+  if (bucket.processedTweetIds?.[inFlight.tweetId]) return;
+  state.bySite[siteId] = {
+    ...bucket,
+    processedTweetIds: {
+      ...(bucket.processedTweetIds || {}),
+      [inFlight.tweetId]: {
+        processedAt: inFlight.submittedAt || inFlight.startedAt,
+        conversationUrl: null,
+        title: null,
+        interrupted: true,
+        submitted: inFlight.submitted === true,
+        needsReview: true
+      }
     }
-    if (response.status === 400) {
-      throw new Error(`リクエストエラー: ${errorText} (${response.status})`);
+  };
+  await chrome.storage.local.set({ state });
+  console.warn(`${LOG_PREFIX} ${siteId} 送信中に途切れたポスト ${inFlight.tweetId} を処理済み（要確認）にしました（ChatGPT の会話を確認し、未送信なら手動で送ってください）`);
+}
+
+/**
+ * runSite の1回分を実行履歴（IndexedDB）へ追記し、保持設定を超えた行を削除する
+ *
+ * @param {string} siteId
+ * @param {Object} options - runSite の options
+ * @param {Object} lastTrace - createRunTrace().finish() の戻り（送信先は api-send 手順から取る）
+ * @param {{ success: boolean, cancelled?: boolean, error?: string, recordCount?: number }|undefined} result
+ * @param {Object[]} [evidence] - captureFailureEvidence で取った証跡（失敗した実行のときだけ保存する）
+ * @returns {Promise<void>}
+ */
+async function recordRunHistory(siteId, options, lastTrace, result, evidence = []) {
+  const localMode = options.localMode === true;
+  const evidenceIds = [];
+  if (lastTrace.outcome === 'fail') {
+    for (const item of evidence) {
+      evidenceIds.push(await appendRunEvidence(item));
     }
-    throw new Error(`Payment Schedule APIエラー: ${errorText} (${response.status})`);
-  }
-  const result = await response.json();
-  if (result?.result === 'partial') {
-    console.warn('Payment Schedule API: 部分的に処理されました', result);
   }
+  const endpoints = lastTrace.steps
+    // 1件も送れず送信待ちに残った api-send は送信に数えない
+    .filter((step) => step.name === 'api-send' && step.outcome === 'ok' && step.detail?.delivered !== 0)
+    .map((step) => ({ ...(step.detail || {}), at: step.endedAt }));
+  await appendRunHistory({
+    siteId,
+    invokedBy: Object.prototype.hasOwnProperty.call(INVOKED_BY_LABELS, options.invokedBy)
+      ? options.invokedBy
+      : 'schedule',
+    mockMode: localMode ? false : options.mockMode === true,
+    localMode,
+    startedAt: lastTrace.startedAt,
+    endedAt: lastTrace.endedAt,
+    status: lastTrace.outcome,
+    recordCount: typeof result?.recordCount === 'number' ? result.recordCount : null,
+    error: result?.success ? '' : redactErrorMessage(result?.error || ''),
+    endpoints,
+    evidenceIds
+  });
+  const { settings } = await chrome.storage.local.get('settings');
+  await pruneRunHistory(settings?.runHistory);
 }
 
 /**
- * 巡回結果ペイロードから記録件数を算出する（既知の siteId の形のみ）
- * ログ用・Slack 補足用。形が分からないサイトは null。
+ * 直近の実行トレースを state.bySite[siteId].lastTrace に保存する（結果の state 更新後に呼ぶ）
  *
  * @param {string} siteId
- * @param {Object} [payload] - collect の戻り（payload.payload に各サイト固有データ）
- * @returns {number|null}
+ * @param {Object} lastTrace - createRunTrace().finish() の戻り
+ * @returns {Promise<void>}
  */
-function getPayloadRecordCount(siteId, payload) {
-  const p = payload?.payload;
-  if (!p) return null;
-  if (siteId === 'moneyforward' && Array.isArray(p.batches)) {
-    return p.batches.reduce((s, b) => s + (b?.items?.length ?? 0), 0);
-  }
-  if (siteId === 'moneyforward-balance' && p.balanceAmount != null) {
-    return 1;
-  }
-  if (siteId === 'moneytree-vault' && Array.isArray(p.items)) {
-    return p.items.length;
-  }
-  if (siteId === 'rakuten-card' && Array.isArray(p.items)) {
-    return p.items.length;
-  }
-  if (siteId === 'x-bookmarks' && Array.isArray(p.tweets)) {
-    return p.tweets.length;
-  }
-  return null;
+async function persistSiteRunTrace(siteId, lastTrace) {
+  const gotten = await chrome.storage.local.get('state');
+  const state = gotten.state && typeof gotten.state === 'object' ? gotten.state : { bySite: {} };
+  if (!state.bySite) state.bySite = {};
+  state.bySite[siteId] = { ...(state.bySite[siteId] || {}), lastTrace };
+  await chrome.storage.local.set({ state });
 }
 
 /**
- * 1サイトの巡回処理を実行する
- * 
- * 設計書の「共通骨格」に従い、タブは毎回新規作成して処理後に必ず閉じる。
- * タブの再利用を避けることで、前回の状態が残るバグを防止している。
- * 
- * 処理フロー:
- * 1. タブ作成（非アクティブで開く）
- * 2. 読み込み完了待機（timeoutSecで打ち切り）
- * 3. Content Script注入とデータ抽出
- * 4. API送信（Service Workerが実施、またはcontent-script側で実施）
- * 5. state更新（成功/失敗に応じて）
- * 6. タブクローズ（finallyで確実に実行）
- * 
- * @param {string} siteId - 処理対象のサイトID
- * @param {Object} options - 実行オプション
- * @param {'schedule'|'manual'} [options.invokedBy] - 起動経路（省略時は 'schedule'）
- * @param {boolean} options.mockMode - モックモード（trueの場合、fetchを実行せずconsole.logで出力）
- * @param {boolean} [options.localMode] - ローカル手動実行（true のとき mockMode は無視され false 扱い）
+ * runSite の本体
+ *
+ * @param {string} siteId
+ * @param {Object} options - runSite を参照
+ * @param {AbortSignal} signal - 中断シグナル
+ * @param {ReturnType<typeof createRunTrace>} trace - 手順トレース
+ * @returns {Promise<{ success: boolean, cancelled?: boolean, error?: string }>}
  */
-async function runSite(siteId, options = {}) {
-  const invokedBy = options.invokedBy === 'manual' ? 'manual' : 'schedule';
+async function runSiteWithSignal(siteId, options, signal, trace) {
+  const invokedBy = Object.prototype.hasOwnProperty.call(INVOKED_BY_LABELS, options.invokedBy)
+    ? options.invokedBy
+    : 'schedule';
   const localMode = options.localMode === true;
   const mockMode = localMode ? false : (options.mockMode === true);
   const { settings: rawSettings } = await initializeStorage();
@@ -1636,7 +2610,7 @@ async function runSite(siteId, options = {}) {
     const currentState = await chrome.storage.local.get('state');
     const currentSiteState = currentState.state.bySite[siteId] || {};
     currentState.state.bySite[siteId] = {
-      nextRun: computeNextRunAfterFail(now),
+      nextRun: computeNextRunAfterFail(now, DEFAULT_RETRY_POLICY),
       lastStatus: 'fail',
       failCount: (currentSiteState.failCount || 0) + 1,
       lastRun: now,
@@ -1652,7 +2626,7 @@ async function runSite(siteId, options = {}) {
   try {
     secrets = await ensureDopplerSecrets(rawSettings, {
       forceRefresh: invokedBy === 'manual',
-      allowStaleOnError: invokedBy === 'schedule'
+      allowStaleOnError: invokedBy !== 'manual'
     });
     settings = applyDopplerSecretsToSettings(rawSettings, secrets);
     site = settings.sites[siteId];
@@ -1670,159 +2644,90 @@ async function runSite(siteId, options = {}) {
   const stateResult = await chrome.storage.local.get('state');
   const siteStateBeforeRun = stateResult.state?.bySite?.[siteId] || {};
   const previousNextRun = siteStateBeforeRun.nextRun;
+  const previousSlot = siteStateBeforeRun.nextSlot;
   const resyncSlot = siteStateBeforeRun.lastStatus === 'fail';
-  const runContext = { invokedBy, previousNextRun, resyncSlot };
+  const runContext = { invokedBy, previousNextRun, previousSlot, resyncSlot };
 
-  if (siteId === 'x-bookmarks') {
-    return runSiteXBookmarksPipeline(siteId, site, settings, mockMode, now, runContext);
+  const flow = getBuiltinSiteFlow(siteId);
+  if (flow.pipeline) {
+    return SITE_PIPELINES[flow.pipeline](siteId, site, settings, mockMode, now, { ...runContext, signal, trace });
   }
 
   let tabId = null;
+  let keepTab = false;
 
   try {
-    const siteUrl = site.url || '';
-    if (
-      siteUrl.startsWith('chrome-extension://') ||
-      siteUrl.startsWith('chrome://') ||
-      siteUrl.startsWith('edge://') ||
-      siteUrl.startsWith('about:') ||
-      siteUrl.startsWith('data:') ||
-      siteUrl.startsWith('javascript:')
-    ) {
-      throw new Error(
-        `Invalid URL for content script injection: ${siteUrl}. Please use a valid HTTP/HTTPS URL.`
-      );
+    // 前回の実行が送信の途中で途切れていれば、収集をやり直さず保存済みの送信内容から続ける
+    const checkpoint = await getRunCheckpoint(siteId);
+    let payload = checkpoint?.send?.payload;
+    // Idempotency-Key の元（再開しても同じ値を使い、同じ送信内容を二重に積まない・同じキーで送る）
+    // runId が無いと全実行が同じキーになり、別の実行の送信が重複として弾かれるため送らない
+    if (!checkpoint?.send?.key && !checkpoint?.runId) {
+      throw new Error('Run checkpoint is missing (cannot derive Idempotency-Key)');
     }
+    const sendKey = checkpoint.send?.key || `${siteId}:${checkpoint.runId}`;
+    let outboxIds = checkpoint?.send?.outboxIds || null;
+    // 成功扱いでも送れなかった行があれば lastError に残す（オプション画面の最終エラー）
+    let undeliveredWarning = '';
+    if (payload) {
+      console.log(`${meta} 前回途切れた送信を再開します${outboxIds ? '（送信待ちに保存済み）' : ''}`);
+    } else {
+      const siteUrl = site.url || '';
+      if (
+        siteUrl.startsWith('chrome-extension://') ||
+        siteUrl.startsWith('chrome://') ||
+        siteUrl.startsWith('edge://') ||
+        siteUrl.startsWith('about:') ||
+        siteUrl.startsWith('data:') ||
+        siteUrl.startsWith('javascript:')
+      ) {
+        throw new Error(
+          `Invalid URL for content script injection: ${siteUrl}. Please use a valid HTTP/HTTPS URL.`
+        );
+      }
 
-    console.log(`${meta} 開始`);
-    const tab = await chrome.tabs.create({
-      url: site.url,
-      active: siteId === 'rakuten-card' || siteId === 'moneytree-vault'
-    });
-    tabId = tab.id;
+      console.log(`${meta} 開始`);
+      const tab = await trace.step(
+        'tab-create',
+        () => createRunTab({
+          url: site.url,
+          active: flow.activateTab === true
+        }, signal),
+        (t) => ({ tabId: t.id })
+      );
+      tabId = tab.id;
     
-    await waitForTabComplete(tabId, site.timeoutSec);
+      await trace.step('tab-load', () => waitForTabComplete(tabId, site.timeoutSec, signal));
     
-    // タブのURLを確認し、コンテンツスクリプトを注入可能かチェック
-    const currentTab = await chrome.tabs.get(tabId);
-    const tabUrl = currentTab.url || '';
+      // タブのURLを確認し、コンテンツスクリプトを注入可能かチェック
+      const currentTab = await chrome.tabs.get(tabId);
+      const tabUrl = currentTab.url || '';
     
-    // 拡張機能URLやその他の許可されていないURLを除外
-    if (tabUrl.startsWith('chrome-extension://') || 
-        tabUrl.startsWith('chrome://') || 
-        tabUrl.startsWith('edge://') ||
-        tabUrl.startsWith('about:') ||
-        tabUrl.startsWith('data:') ||
-        tabUrl.startsWith('javascript:')) {
-      throw new Error(`Cannot inject content script into restricted URL: ${tabUrl}`);
-    }
+      // 拡張機能URLやその他の許可されていないURLを除外
+      if (tabUrl.startsWith('chrome-extension://') || 
+          tabUrl.startsWith('chrome://') || 
+          tabUrl.startsWith('edge://') ||
+          tabUrl.startsWith('about:') ||
+          tabUrl.startsWith('data:') ||
+          tabUrl.startsWith('javascript:')) {
+        throw new Error(`Cannot inject content script into restricted URL: ${tabUrl}`);
+      }
     
-    // Content Script注入とメッセージ送信は非同期に実行されるため、
-    // リスナーを先に登録してから注入・送信を行う
-    let payload;
-    if (siteId === 'rakuten-card') {
-      payload = await runRakutenCardFlow(site, siteId, tabId, mockMode, localMode);
-    } else if (siteId === 'moneytree-vault') {
-      payload = await runMoneytreeVaultFlow(site, siteId, tabId, mockMode, localMode);
-    } else {
-      payload = await new Promise((resolve, reject) => {
-      let resolved = false;
-      
-      const cleanup = () => {
-        if (!resolved) {
-          resolved = true;
-          chrome.runtime.onMessage.removeListener(messageListener);
-        }
-      };
-      
-      const messageListener = (message, sender, sendResponse) => {
-        if (sender.tab?.id === tabId && message.type === 'COLLECT_RESULT' && !resolved) {
-          cleanup();
-          if (message.error) {
-            // #region agent log
-            fetch('http://127.0.0.1:7246/ingest/5589c68a-9b2d-4dd1-b897-9a40c75ce2d9',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'8ad54d'},body:JSON.stringify({sessionId:'8ad54d',location:'service-worker.js:messageListener',message:'COLLECT_RESULT error via onMessage',data:{error:message.error,siteId},timestamp:Date.now(),hypothesisId:'C'})}).catch(()=>{});
-            // #endregion
-            reject(new Error(message.error));
-          } else {
-            resolve(message.payload);
-          }
-          return true;
-        }
-      };
-      
-      chrome.runtime.onMessage.addListener(messageListener);
-      
-      const scriptPath = 'sites/' + siteId.replace(/_/g, '-') + '.js';
-      const files = [scriptPath, 'content-script.js'];
-      
-      injectEffectiveSiteContext(tabId, site)
-        .then(() =>
-          chrome.scripting.executeScript({
-            target: { tabId },
-            files: files
-          })
-        )
-        .then(() => {
-        // Content ScriptのonMessageリスナーが登録されるまでの時間差を考慮し、
-        // 再試行ロジックで確実にメッセージを送信する
-        let retries = 0;
-        const maxRetries = 5;
-        const trySendMessage = () => {
-          chrome.tabs.sendMessage(tabId, {
-            type: 'COLLECT',
-            siteId,
-            mockMode,
-            localMode,
-            effectiveSite: site
-          })
-            .then((response) => {
-              // chrome.tabs.sendMessageのPromiseがresolveした場合、responseが返ってくる
-              // この場合、messageListenerは呼ばれないため、ここで処理する
-              if (response && response.type === 'COLLECT_RESULT' && !resolved) {
-                cleanup();
-                if (response.error) {
-                  // #region agent log
-                  fetch('http://127.0.0.1:7246/ingest/5589c68a-9b2d-4dd1-b897-9a40c75ce2d9',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'8ad54d'},body:JSON.stringify({sessionId:'8ad54d',location:'service-worker.js:trySendMessage',message:'COLLECT_RESULT error via sendResponse',data:{error:response.error,siteId},timestamp:Date.now(),hypothesisId:'C'})}).catch(()=>{});
-                  // #endregion
-                  reject(new Error(response.error));
-                } else {
-                  resolve(response.payload);
-                }
-              }
-              // responseがundefinedまたはCOLLECT_RESULTでない場合、messageListenerで処理される
-            })
-            .catch((err) => {
-              if (retries < maxRetries && !resolved) {
-                retries++;
-                setTimeout(trySendMessage, 50);
-              } else {
-                cleanup();
-                reject(new Error(`Failed to send message to content script: ${err.message}`));
-              }
-            });
-        };
-        setTimeout(trySendMessage, 50);
-      }).catch((err) => {
-        cleanup();
-        reject(new Error(`Failed to inject content script: ${err.message}`));
-      });
-      
-      // タイムアウトはsite.timeoutSecより5秒短く設定
-      // （タブ読み込み待機時間を考慮し、全体のタイムアウトを超えないようにする）
-      // timeoutSec が 5 以下の場合は 0 にし、負数になる問題を防ぐ
-      setTimeout(() => {
-        if (!resolved) {
-          cleanup();
-          reject(new Error('Content script timeout'));
-        }
-      }, Math.max(0, (site.timeoutSec - 5) * 1000));
-    });
-    }
+      // 収集はすべて injectAndCollect（ポート経由の収集 RPC）を通す
+      payload = await runSiteFlow(flow, { site, siteId, tabId, mockMode, localMode, signal, trace });
 
-    emitCollectLogsAndStrip(siteId, payload);
+      emitCollectLogsAndStrip(siteId, payload);
+    }
+    // 送信を始めたら中断しない（途中まで送った状態を残さない）
+    throwIfRunCancelled(signal);
+    await patchRunCheckpoint(siteId, { send: { payload, key: sendKey, outboxIds } });
 
     if (!mockMode) {
-    // site.apiUrl が存在する場合、Service Worker が送信を担当
+    // 送信先と送るボディ（どちらも先に送信待ちへ積み、API が落ちていても収集し直さずに後で送る）
+    let sinkNames = [];
+    let bodies = [];
+    let sendDetail = {};
+    // site.apiUrl が存在する場合はそこへ収集結果をそのまま送る（シンク名 SITE_API_URL_SINK_NAME）
     if (site.apiUrl && site.apiUrl.trim()) {
       const apiUrl = site.apiUrl.trim();
       
@@ -1830,59 +2735,88 @@ async function runSite(siteId, options = {}) {
       if (!isValidApiUrl(apiUrl)) {
         throw new Error(`Invalid API URL format: ${apiUrl}`);
       }
-      
-      {
-        let postUrl = apiUrl;
-        if (localMode) {
-          postUrl = resolveLocalApiUrl(apiUrl);
+      sinkNames = [SITE_API_URL_SINK_NAME];
+      bodies = [payload];
+    }
+    // それ以外はサイトの送信先シンクへ
+    else if (flow.sinkFormat && SINK_BODY_FORMATS[flow.sinkFormat].hasData(payload?.payload)) {
+      const format = SINK_BODY_FORMATS[flow.sinkFormat];
+      const httpSinks = getHttpSinks(settings);
+      sinkNames = getSiteSinkNames(site, siteId).filter((name) => {
+        if (!httpSinks[name]) {
+          console.warn(`${meta} 送信先 "${name}" は定義されていないため送りません`);
+          return false;
         }
-        const response = await fetch(postUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(payload)
-        });
-        
-        if (!response.ok) {
-          throw new Error(`API returned ${response.status}: ${response.statusText}`);
+        if (!resolveHttpSinkUrl(httpSinks[name], localMode)) {
+          console.log(`${meta} 送信先 "${name}" は localUrl が無いためローカル実行では送りません`);
+          return false;
         }
-      }
-    }
-    // moneyforward: payload.batches を statement-import へ送信（Content Script では CORS で fetch できないため）
-    else if (siteId === 'moneyforward' && payload?.payload?.batches?.length) {
-      await sendMoneyforwardBatches(siteId, secrets, payload.payload.batches, mockMode, localMode);
+        return true;
+      });
+      bodies = format.toBodies(payload.payload);
+      sendDetail = format.detail(payload.payload);
     }
-    else if (siteId === 'moneyforward-balance' && payload?.payload?.balanceAmount != null) {
-      const { balanceAmount, recordedAt, note } = payload.payload;
-      await sendBalanceSnapshot(
-        siteId,
-        secrets,
-        { balanceAmount, recordedAt, note: note ?? 'MoneyForward sync' },
-        mockMode,
-        localMode
+    if (sinkNames.length > 0) {
+      if (!outboxIds) {
+        outboxIds = await trace.step(
+          'outbox-enqueue',
+          () => enqueueOutbox(sinkNames.flatMap((sinkName) => bodies.map((body, index) => ({
+            siteId,
+            sink: sinkName,
+            body,
+            localMode,
+            idempotencyKey: `${sendKey}:${index}`
+          })))),
+          (ids) => ({ entries: ids.length })
+        );
+        await patchRunCheckpoint(siteId, { send: { payload, key: sendKey, outboxIds } });
+      }
+      const delivery = await trace.step(
+        'api-send',
+        async () => {
+          const result = await drainOutbox({ ids: outboxIds, settings, secrets });
+          if (result.authError) {
+            // 資格情報を直すまで通らないため、従来どおり実行を失敗にする（リトライ・自動停止・Slack 通知）。
+            // 送れなかった行はリトライの実行が積み直すので残さない（二重送信しない）
+            for (const row of await Promise.all(outboxIds.map((id) => getOutboxEntry(id)))) {
+              if (row?.status === 'pending') {
+                await deleteOutboxEntry(row.id);
+              }
+            }
+            throw result.authError;
+          }
+          return result;
+        },
+        (result) => ({ api: sinkNames.join(', '), ...sendDetail, ...result })
       );
-    }
-    else if (siteId === 'moneytree-vault' && payload?.payload?.items?.length) {
-      await sendPaymentSchedule(siteId, secrets, payload.payload.items, mockMode, localMode);
-    }
-    // rakuten-card: household-statement-import へ items を送信
-    else if (siteId === 'rakuten-card' && payload?.payload?.items?.length) {
-      await sendRakutenCardHouseholdImport(siteId, secrets, payload.payload.items, mockMode, localMode);
+      if (delivery.pending > 0 || delivery.dead > 0) {
+        console.warn(`${meta} 送信できなかった ${delivery.pending + delivery.dead} 件を送信待ちに残しました（pending: ${delivery.pending} / dead: ${delivery.dead}）`);
+        undeliveredWarning = `送信待ち ${delivery.pending + delivery.dead} 件（再送待ち ${delivery.pending} / 送信断念 ${delivery.dead}）`;
+      }
     }
     }
     
     const currentState = await chrome.storage.local.get('state');
+    const next = computeNextScheduledRun(now, site.schedule, {
+      mode: 'after-success',
+      previousNextRun,
+      previousSlot,
+      invokedBy,
+      resyncSlot,
+      ...getScheduleJitterContext(site, siteId)
+    });
+    // 一時停止（pausedUntil）・取りこぼし等はそのまま残す（手動実行で一時停止を解かない）。自動停止は成功で解く
+    const prev = { ...(currentState.state.bySite[siteId] || {}) };
+    delete prev.autoPaused;
+    delete prev.autoPausedAt;
     currentState.state.bySite[siteId] = {
-      nextRun: computeNextRunAfterSuccess(now, site.schedule, {
-        mode: 'after-success',
-        previousNextRun,
-        invokedBy,
-        resyncSlot
-      }),
+      ...prev,
+      nextRun: next.nextRun,
+      nextSlot: next.slot,
       lastStatus: 'ok',
       failCount: 0,
-      lastRun: now
+      lastRun: now,
+      lastError: undeliveredWarning
     };
     await chrome.storage.local.set({ state: currentState.state });
 
@@ -1896,7 +2830,7 @@ async function runSite(siteId, options = {}) {
 
     // エラー用 Webhook とは別チャンネルへ稼働確認（heartbeat）通知（モック実行は除く・URL 未設定なら送らない）
     if (!mockMode && settings?.slackSuccessWebhookUrl?.trim()) {
-      const runLabel = `${invokedBy === 'manual' ? '手動' : 'スケジュール'} / ${localMode ? 'ローカル' : '通常'}`;
+      const runLabel = `${INVOKED_BY_LABELS[invokedBy]} / ${localMode ? 'ローカル' : '通常'}`;
       await notifySlackOnSuccess(settings.slackSuccessWebhookUrl, {
         siteId,
         recordCount,
@@ -1904,16 +2838,32 @@ async function runSite(siteId, options = {}) {
       });
     }
 
-    return { success: true };
+    return { success: true, recordCount };
   } catch (error) {
+    if (isRunCancelledError(error, signal)) {
+      await persistSiteRunCancelled(siteId, site, now, runContext);
+      return { success: false, cancelled: true, error: RUN_CANCELLED_MESSAGE };
+    }
+    if (isRunDeadlineExceeded(signal)) {
+      // 打ち切られた待ちのエラーではなく、上限超過として記録する
+      error = signal.reason;
+    }
+    if (abandonedRunSignals.has(signal)) {
+      // runSite が上限超過の失敗を記録済み
+      return { success: false, error: error.message };
+    }
     console.warn(`${meta} 失敗:`, error.message || String(error));
+    if (tabId !== null) {
+      await captureFailureEvidence(siteId, tabId, error);
+      keepTab = await retainFailedTab(siteId, tabId, error);
+    }
     await persistSiteRunFailure(siteId, settings, site, now, error);
     const err = error instanceof Error ? error : new Error(String(error));
     return { success: false, error: err.message };
   } finally {
-    // タブは必ず閉じる（finallyで確実に実行）
+    // タブは必ず閉じる（finallyで確実に実行。デバッグ設定で失敗タブを残す場合だけ例外）
     // タブが既に閉じられている場合のエラーは無視
-    if (tabId !== null) {
+    if (tabId !== null && !keepTab) {
       try {
         await chrome.tabs.remove(tabId);
       } catch (e) {
@@ -1923,58 +2873,363 @@ async function runSite(siteId, options = {}) {
   }
 }
 
+/** 取りこぼし救済用の低頻度スイープ（per-site アラームが失われても最大この間隔で拾う） */
+const SWEEP_ALARM_NAME = 'sweep-check';
+const SWEEP_ALARM_PERIOD_MINUTES = 60;
+/** 旧バージョンの1時間起床アラーム（移行時に削除） */
+const LEGACY_HOURLY_ALARM_NAME = 'hourly-check';
+/** サイト別アラーム名の接頭辞（`site-run:<siteId>` を state.nextRun に合わせて張る） */
+const SITE_ALARM_PREFIX = 'site-run:';
+
+/**
+ * スイープアラームを確保し、旧 hourly-check を削除する
+ *
+ * @returns {Promise<void>}
+ */
+async function ensureSweepAlarm() {
+  const alarms = await chrome.alarms.getAll();
+  if (alarms.find((a) => a.name === LEGACY_HOURLY_ALARM_NAME)) {
+    await chrome.alarms.clear(LEGACY_HOURLY_ALARM_NAME);
+  }
+  if (!alarms.find((a) => a.name === SWEEP_ALARM_NAME)) {
+    chrome.alarms.create(SWEEP_ALARM_NAME, {
+      periodInMinutes: SWEEP_ALARM_PERIOD_MINUTES
+    });
+  }
+}
+
+/**
+ * 各サイトの state.nextRun に合わせて `site-run:<siteId>` アラームを張り直す
+ *
+ * 無効・自動停止中のサイトはアラームを外す。既に過ぎている nextRun は直近に張る
+ * （起床処理中に呼ばれた場合は scheduleCheckPending で後続チェックへ回る）。
+ *
+ * @param {{ settings: Object, state: Object }} [storage] - 省略時は storage から読む
+ * @returns {Promise<void>}
+ */
+async function syncSiteAlarms(storage) {
+  const { settings, state } = storage || (await initializeStorage());
+  const now = Date.now();
+  const alarms = await chrome.alarms.getAll();
+  const byName = new Map(alarms.map((a) => [a.name, a]));
+
+  for (const siteId of BUILTIN_SITE_IDS) {
+    const name = SITE_ALARM_PREFIX + siteId;
+    const site = settings.sites[siteId];
+    const siteState = state.bySite[siteId];
+    const nextRun = siteState?.nextRun;
+    if (!site?.enabled || siteState?.autoPaused || typeof nextRun !== 'number') {
+      if (byName.has(name)) {
+        await chrome.alarms.clear(name);
+      }
+      continue;
+    }
+    const when = Math.max(nextRun, siteState.pausedUntil || 0, now + 1000);
+    const existing = byName.get(name);
+    if (existing && existing.scheduledTime === when) {
+      continue;
+    }
+    if (existing && nextRun <= now && existing.scheduledTime <= now + 60 * 1000) {
+      continue;
+    }
+    chrome.alarms.create(name, { when });
+  }
+}
+
+/** 送信待ちの再送アラーム（いちばん早い nextAttemptAt に張る） */
+const OUTBOX_ALARM_NAME = 'outbox-retry';
+/** 再送アラームの最短間隔（chrome.alarms の下限） */
+const OUTBOX_ALARM_MIN_DELAY_MS = 30 * 1000;
+
+/** drainOutbox を直列化する（同じ行を同時に送らない） */
+let outboxDrainChain = Promise.resolve();
+
+/**
+ * 送信待ちを送る
+ *
+ * - ids 指定時はその行だけを再送時刻に関係なく送る（実行直後の送信・オプション画面の「再送」）
+ * - 省略時は再送時刻を過ぎた pending をすべて送る（起床ごと・outbox-retry アラーム）
+ * - dead になった行は Slack に通知する。最後に再送アラームを張り直す
+ * - 認証エラー（401/403）は authError に返す（実行直後の送信なら呼び出し側が実行を失敗にする）
+ *
+ * @param {Object} [options]
+ * @param {number[]} [options.ids]
+ * @param {Object} [options.settings] - Doppler 適用済みの設定（secrets と一緒に渡す。省略時は読み込む）
+ * @param {Record<string, string>} [options.secrets]
+ * @returns {Promise<{ delivered: number, pending: number, dead: number, authError?: Error }>} 送ろうとした行の結果
+ */
+function drainOutbox(options = {}) {
+  const next = outboxDrainChain.then(() => deliverOutboxRows(options));
+  outboxDrainChain = next.catch(() => {});
+  return next;
+}
+
+/**
+ * @param {{ ids?: number[], settings?: Object, secrets?: Record<string, string> }} options
+ * @returns {Promise<{ delivered: number, pending: number, dead: number, authError?: Error }>}
+ */
+async function deliverOutboxRows({ ids, settings, secrets }) {
+  const result = { delivered: 0, pending: 0, dead: 0 };
+  const now = Date.now();
+  const rows = ids
+    ? (await Promise.all(ids.map((id) => getOutboxEntry(id)))).filter((row) => row?.status === 'pending')
+    : (await listOutbox({ status: 'pending' })).filter((row) => row.nextAttemptAt <= now);
+
+  if (rows.length > 0 && !secrets) {
+    const { settings: rawSettings } = await initializeStorage();
+    try {
+      secrets = await ensureDopplerSecrets(rawSettings, { allowStaleOnError: true });
+    } catch (error) {
+      // 資格情報が取れないのは送信先の失敗ではないため、試行回数を数えずに次の起床で送る
+      console.warn(`${LOG_PREFIX} 送信待ちの再送: Doppler 取得失敗:`, error.message);
+      result.pending = rows.length;
+      await scheduleOutboxAlarm();
+      return result;
+    }
+    settings = applyDopplerSecretsToSettings(rawSettings, secrets);
+  }
+
+  for (const row of rows) {
+    try {
+      // 送信先は送る時点の settings で引く（積んだ後に URL・認証を直しても再送に反映される）
+      const sink = resolveOutboxSink(row.sink, row.siteId, settings);
+      if (!sink) {
+        throw new Error(`送信先 "${row.sink}" は定義されていません`);
+      }
+      await sendHttpSink(row.sink, sink, {
+        siteId: row.siteId,
+        secrets,
+        body: row.body,
+        localMode: row.localMode,
+        requestKeys: { idempotencyKey: row.idempotencyKey, requestId: row.requestId }
+      });
+      await markOutboxDelivered(row.id);
+      result.delivered += 1;
+    } catch (error) {
+      const updated = await markOutboxFailed(row.id, error);
+      if (isAuthOutboxError(error)) {
+        console.error(`${LOG_PREFIX} ${row.siteId} 送信待ち #${row.id}（${row.sink}）の送信が認証エラー。資格情報を確認してください:`, error.message);
+        result.pending += 1;
+        result.authError = result.authError || error;
+        continue;
+      }
+      if (updated?.status !== 'dead') {
+        console.warn(`${LOG_PREFIX} ${row.siteId} 送信待ち #${row.id}（${row.sink}）の送信に失敗。${new Date(updated?.nextAttemptAt).toLocaleString('ja-JP')} に再送します:`, error.message);
+        result.pending += 1;
+        continue;
+      }
+      console.error(`${LOG_PREFIX} ${row.siteId} 送信待ち #${row.id}（${row.sink}）の送信を諦めました:`, error.message);
+      result.dead += 1;
+      await notifySlackOnOutboxDeadLetter(settings?.slackWebhookUrl, {
+        siteId: row.siteId,
+        sink: row.sink,
+        attempts: updated.attempts,
+        error
+      });
+    }
+  }
+  await scheduleOutboxAlarm();
+  return result;
+}
+
+/**
+ * 再送アラームをいちばん早い pending の再送時刻に張る（pending が無ければ消す）
+ *
+ * @returns {Promise<void>}
+ */
+async function scheduleOutboxAlarm() {
+  const pending = await listOutbox({ status: 'pending' });
+  if (pending.length === 0) {
+    await chrome.alarms.clear(OUTBOX_ALARM_NAME);
+    return;
+  }
+  const earliest = Math.min(...pending.map((row) => row.nextAttemptAt));
+  chrome.alarms.create(OUTBOX_ALARM_NAME, { when: Math.max(earliest, Date.now() + OUTBOX_ALARM_MIN_DELAY_MS) });
+}
+
 /**
  * アラーム起床時の処理
  * 
- * 1時間ごとに呼ばれ、各サイトのnextRunと現在時刻を比較して
- * 実行すべきサイトだけを処理する。
+ * サイト別アラーム（nextRun ちょうど）またはスイープアラームで呼ばれ、
+ * 各サイトのnextRunと現在時刻を比較して実行すべきサイトだけを処理する。
  * 
- * 実行順序はsiteId昇順で固定（再現性と単純さを優先）。
- * 並列実行はしない（運用安定性を優先）。
+ * 実行順序は runAfter によるトポロジカル順（依存の無い同士は siteId 昇順で固定）。
+ * 実行する上流の下流サイトは、自サイトの nextRun 前でも連動して実行する。
+ * 並列実行はしない（運用安定性を優先）。各サイトはグローバルロック（withRunLock）を
+ * 取ってから実行し、手動実行と重ならないようにする。
  * 
  * 設計書の「not-before」方式に従い、now >= nextRunのサイトを実行する。
  * PCスリープ等で遅れても、次回起床で実行可能になる。
+ * 処理後は更新された nextRun に合わせてサイト別アラームを張り直す。
  */
 async function onAlarm() {
   console.log(`${LOG_PREFIX} スケジュールチェック開始`);
+  // 途切れた実行の後始末が済むまでは「期限切れ」と判定しない
+  await interruptedRunRecovery;
 
   const { settings, state } = await initializeStorage();
   const now = Date.now();
 
   const allSiteIds = BUILTIN_SITE_IDS;
   const toRun = [];
+  const deferred = [];
   for (const siteId of allSiteIds) {
     const site = settings.sites[siteId];
     const siteState = state.bySite[siteId];
     if (!site?.enabled) continue;
-    if (siteState && siteState.nextRun > now) continue;
+    if (siteState?.autoPaused) continue;
+    if (isSitePausedUntil(siteState, now)) continue;
+    // nextRun が無いのはスケジュールに一致する時刻が無い（不正な cron 等）サイト。スケジュールでは実行しない
+    if (siteState && (typeof siteState.nextRun !== 'number' || siteState.nextRun > now)) continue;
+    if (!isWithinRunWindow(now, site)) {
+      deferred.push(siteId);
+      continue;
+    }
     toRun.push(siteId);
   }
 
-  console.log(`${LOG_PREFIX} 実行対象: ${toRun.length ? toRun.join(', ') : '該当なし'}`);
+  for (const siteId of deferred) {
+    await deferSiteToRunWindow(siteId, now);
+  }
+
+  // スリープ等で過ぎたスロットは catchUp ポリシーに従って記録・実行回数を決める（失敗リトライは対象外）
+  const catchUpRuns = new Map();
+  for (const siteId of [...toRun]) {
+    const site = settings.sites[siteId];
+    const siteState = state.bySite[siteId];
+    if (!siteState || siteState.lastStatus === 'fail') continue;
+    const plan = planCatchUp(now, site.schedule, siteState, site.catchUp, site);
+    const { policy } = normalizeCatchUp(site.catchUp);
+    await recordMissedSlots(siteId, plan.missedSlots, policy, now);
+    if (plan.runs === 0) {
+      toRun.splice(toRun.indexOf(siteId), 1);
+      await skipSiteSlot(siteId, now, '取りこぼし（catchUp: skip）');
+      continue;
+    }
+    catchUpRuns.set(siteId, plan.runs - 1);
+  }
+
+  // 実行する上流の下流サイトを連動対象に加える（自サイトの nextRun 前でも実行する）
+  const pulledIn = new Set();
+  const upstreamQueue = [...toRun];
+  while (upstreamQueue.length > 0) {
+    const upstreamId = upstreamQueue.shift();
+    for (const siteId of listDependentSiteIds(upstreamId, settings.sites)) {
+      if (toRun.includes(siteId) || pulledIn.has(siteId)) continue;
+      const site = settings.sites[siteId];
+      if (!site?.enabled) continue;
+      if (state.bySite[siteId]?.autoPaused) continue;
+      if (isSitePausedUntil(state.bySite[siteId], now)) continue;
+      if (!isWithinRunWindow(now, site)) continue;
+      pulledIn.add(siteId);
+      upstreamQueue.push(siteId);
+    }
+  }
+
+  const ordered = orderSiteIdsByDependency([...toRun, ...pulledIn], settings.sites);
+  console.log(`${LOG_PREFIX} 実行対象: ${ordered.length ? ordered.join(', ') : '該当なし'}`);
+
+  const succeeded = new Map();
+  for (const siteId of ordered) {
+    const site = settings.sites[siteId];
+    if (site.onlyIfUpstreamOk) {
+      const failedUpstream = getSiteRunAfter(site, siteId).find((upstreamId) =>
+        succeeded.has(upstreamId)
+          ? !succeeded.get(upstreamId)
+          : state.bySite[upstreamId]?.lastStatus !== 'ok'
+      );
+      if (failedUpstream) {
+        if (pulledIn.has(siteId)) {
+          console.log(`${LOG_PREFIX} ${siteId} 上流 ${failedUpstream} が失敗したため連動実行しません`);
+        } else {
+          await skipSiteSlot(siteId, now, `上流 ${failedUpstream} が成功していない`);
+        }
+        succeeded.set(siteId, false);
+        continue;
+      }
+    }
+    const invokedBy = pulledIn.has(siteId) ? 'dependency' : 'schedule';
+    const result = await withRunLock({ siteId, invokedBy }, async () => {
+      // ロック待ちの間に手動実行で nextRun が進んでいれば今回は実行しない
+      if (invokedBy === 'schedule') {
+        const { state: latest } = await chrome.storage.local.get('state');
+        const latestNextRun = latest?.bySite?.[siteId]?.nextRun;
+        if (typeof latestNextRun === 'number' && latestNextRun > Date.now()) {
+          console.log(`${LOG_PREFIX} ${siteId} 待機中に実行済みのためスキップ`);
+          return { success: latest.bySite[siteId].lastStatus === 'ok' };
+        }
+      }
+      return runSite(siteId, { invokedBy });
+    });
+    succeeded.set(siteId, result?.success === true);
+
+    // run-each-missed-slot: 過ぎたスロットの残り回数分を追加で実行する（失敗したら打ち切り）
+    for (let i = 0; i < (catchUpRuns.get(siteId) || 0) && succeeded.get(siteId); i++) {
+      const extra = await withRunLock({ siteId, invokedBy: 'catch-up' }, () =>
+        runSite(siteId, { invokedBy: 'catch-up' })
+      );
+      succeeded.set(siteId, extra?.success === true);
+    }
+  }
+
+  await syncSiteAlarms();
+}
+
+let scheduleCheckRunning = false;
+let scheduleCheckPending = false;
 
-  for (const siteId of toRun) {
-    await runSite(siteId);
+/**
+ * onAlarm を直列化して呼ぶ
+ *
+ * 同時刻のサイト別アラームが複数鳴っても同じサイトを二重実行しないよう、
+ * 実行中に来た起床は1回分にまとめて直後に再チェックする。
+ *
+ * @returns {Promise<void>}
+ */
+async function requestScheduleCheck() {
+  if (scheduleCheckRunning) {
+    scheduleCheckPending = true;
+    return;
+  }
+  scheduleCheckRunning = true;
+  try {
+    do {
+      scheduleCheckPending = false;
+      await onAlarm();
+    } while (scheduleCheckPending);
+  } catch (error) {
+    console.error(`${LOG_PREFIX} スケジュールチェック失敗:`, error);
+  } finally {
+    scheduleCheckRunning = false;
   }
 }
 
+// 起動ごとに、前回の起動で途切れた実行を後始末・再開する
+const interruptedRunRecovery = recoverInterruptedRuns().catch((error) => {
+  console.error(`${LOG_PREFIX} 途切れた実行の復旧に失敗:`, error);
+});
+
+// 起動ごとに、送れていない送信待ちを再送する
+drainOutbox().catch((error) => {
+  console.error(`${LOG_PREFIX} 送信待ちの再送に失敗:`, error);
+});
+
 // インストール時: 初回セットアップとアラーム設定
 // 初回インストール時のみ、初期化完了後に初回実行を行う
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Extension installed, initializing...');
-  await initializeStorage();
+  const storage = await initializeStorage();
   
-  chrome.alarms.create('hourly-check', {
-    periodInMinutes: 60
-  });
+  await ensureSweepAlarm();
+  await syncSiteAlarms(storage);
   
-  console.log('Alarm set for hourly checks');
+  console.log('Alarms set for per-site runs and sweep checks');
   
   // 初回インストール時のみ実行（update時は不要）
   // 初期化が完了するまで少し待つ
   if (details.reason === 'install') {
     setTimeout(() => {
-      onAlarm();
+      requestScheduleCheck();
     }, 2000);
   }
 });
@@ -1983,23 +3238,61 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 // アラームは永続化されるが、念のため存在確認を行う
 chrome.runtime.onStartup.addListener(async () => {
   console.log('Extension started, initializing...');
-  await initializeStorage();
+  const storage = await initializeStorage();
   
-  const alarms = await chrome.alarms.getAll();
-  if (!alarms.find(a => a.name === 'hourly-check')) {
-    chrome.alarms.create('hourly-check', {
-      periodInMinutes: 60
+  await ensureSweepAlarm();
+  await syncSiteAlarms(storage);
+});
+
+// アラームイベント: サイト別（nextRun ちょうど）とスイープ
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SWEEP_ALARM_NAME || alarm.name.startsWith(SITE_ALARM_PREFIX)) {
+    requestScheduleCheck();
+  } else if (alarm.name === LEGACY_HOURLY_ALARM_NAME) {
+    ensureSweepAlarm().then(() => requestScheduleCheck());
+  } else if (alarm.name === OUTBOX_ALARM_NAME) {
+    drainOutbox().catch((error) => {
+      console.error(`${LOG_PREFIX} 送信待ちの再送に失敗:`, error);
     });
   }
 });
 
-// アラームイベント: 1時間ごとに起床
-chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'hourly-check') {
-    onAlarm();
+// 設定保存（オプション画面）時にサイト別アラームを張り直す
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes.settings) {
+    return;
+  }
+  syncSiteAlarms().catch((error) => {
+    console.warn(`${LOG_PREFIX} アラーム再設定に失敗:`, error);
+  });
+  // 専用ウィンドウを有効→無効にしたときだけ、実行中でなければ閉じる（実行中なら次に有効にしたとき再利用する）
+  if (
+    changes.settings.oldValue?.dedicatedRunWindow === true &&
+    changes.settings.newValue?.dedicatedRunWindow !== true &&
+    activeRunControllers.size === 0
+  ) {
+    closeDedicatedRunWindow().catch(() => {});
   }
 });
 
+/**
+ * 専用実行ウィンドウを閉じる（デバッグ用に残した失敗タブがあれば、それごと消さないよう残す）
+ *
+ * @returns {Promise<void>}
+ */
+async function closeDedicatedRunWindow() {
+  const windowId = await getDedicatedRunWindowId();
+  if (windowId === null) return;
+  const got = await chrome.storage.local.get(KEPT_FAILED_TABS_STORAGE_KEY);
+  const kept = new Set((got[KEPT_FAILED_TABS_STORAGE_KEY] || []).map((entry) => entry.tabId));
+  const tabs = await chrome.tabs.query({ windowId });
+  if (tabs.some((tab) => kept.has(tab.id))) {
+    console.log(`${LOG_PREFIX} 専用実行ウィンドウに残した失敗タブがあるため閉じません（windowId=${windowId}）`);
+    return;
+  }
+  await chrome.windows.remove(windowId);
+}
+
 // Content Script からのモックログメッセージを受信
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'MOCK_LOG') {
@@ -2046,11 +3339,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'RUN_SITE') {
     (async () => {
       try {
-        const result = await runSite(message.siteId, {
-          invokedBy: 'manual',
-          mockMode: message.mockMode || false,
-          localMode: message.localMode === true
-        });
+        // 実行中のサイトがあれば runQueue に並んで待つ（順番はオプション画面が storage から表示）
+        const result = await withRunLock({ siteId: message.siteId, invokedBy: 'manual' }, () =>
+          runSite(message.siteId, {
+            invokedBy: 'manual',
+            mockMode: message.mockMode || false,
+            localMode: message.localMode === true
+          })
+        );
+        await syncSiteAlarms();
         sendResponse(result || { success: true });
       } catch (error) {
         sendResponse({ success: false, error: error.message });
@@ -2060,3 +3357,70 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// オプション画面からの「再送」メッセージを受信（id 指定時はその行、省略時は pending をすべて今すぐ送る）
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'OUTBOX_RETRY') {
+    (async () => {
+      try {
+        const ids = message.id != null
+          ? [message.id]
+          : (await listOutbox({ status: 'pending' })).map((row) => row.id);
+        for (const id of ids) {
+          await requeueOutboxEntry(id);
+        }
+        const result = await drainOutbox({ ids });
+        sendResponse({ success: true, ...result, authError: result.authError?.message });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+});
+
+// オプション画面からの「中止」メッセージを受信（実行中の runSite を中断し、タブを閉じる）
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'CANCEL_RUN') {
+    const controller = activeRunControllers.get(message.siteId);
+    if (!controller) {
+      sendResponse({ success: false, error: 'このサイトは実行中ではありません' });
+      return false;
+    }
+    console.log(`${LOG_PREFIX} ${message.siteId} 中断を要求されました`);
+    controller.abort();
+    sendResponse({ success: true });
+    return false;
+  }
+});
+
+// オプション画面からの「一時停止」メッセージを受信
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'PAUSE_SITE') {
+    (async () => {
+      try {
+        await pauseSite(message.siteId, message.until);
+        await syncSiteAlarms();
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+});
+
+// オプション画面からの「再開」メッセージを受信（自動停止・一時停止の解除）
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'RESUME_SITE') {
+    (async () => {
+      try {
+        await resumeSite(message.siteId);
+        await syncSiteAlarms();
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+});
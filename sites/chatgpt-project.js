@@ -31,10 +31,18 @@ async function collect_chatgpt_project(site = {}) {
     const beforeHref = location.href;
     const beforeConvHrefs = collectConversationHrefs();
 
+    // Service Worker が止まった後に送ると、再開した実行と二重に送ることになるため送信直前に確かめる
+    if (typeof isCollectCancelled === 'function' && isCollectCancelled()) {
+      throw new Error('Collect cancelled');
+    }
     const sent = await submitChatgptMessage(beforeConvHrefs);
     if (!sent) {
       return { ok: false, error: '送信操作に失敗しました' };
     }
+    // ここから先で Service Worker が止まっても、再開時に同じポストを送り直さないよう送信済みを伝える
+    if (typeof reportCollectProgress === 'function') {
+      reportCollectProgress('submitted');
+    }
 
     const conversationUrl = await waitForConversationUrl(beforeHref, beforeConvHrefs);
     if (!conversationUrl) {
@@ -298,6 +306,9 @@ async function waitForConversationUrl(beforeHref, beforeConvHrefs) {
   const normalizedBefore = normalizeHref(beforeHref);
 
   while (Date.now() < deadline) {
+    if (typeof isCollectCancelled === 'function' && isCollectCancelled()) {
+      throw new Error('Collect cancelled');
+    }
     const current = normalizeHref(location.href);
     if (current !== normalizedBefore && /\/c\//.test(current)) {
       return current;
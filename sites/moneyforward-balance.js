@@ -153,6 +153,9 @@ async function refreshIfStale(row) {
   }
 
   console.warn(`${LOG_PREFIX} ${SITE_ID} 最終取得が24時間超のため更新`, { lastFetchText });
+  if (typeof reportCollectProgress === 'function') {
+    reportCollectProgress('refresh', { lastFetchText });
+  }
   submit.click();
   await waitForAccountRefresh(row, lastFetchText);
   return true;
@@ -166,6 +169,9 @@ async function collect_moneyforward_balance(_site = {}) {
   const balanceAmount = parseBalanceAmount(amountRaw);
   const lastFetchText = readLastFetchText(row);
   const recordedAt = toJstIsoString(parseLastFetchAt(lastFetchText, new Date()));
+  if (typeof reportCollectProgress === 'function') {
+    reportCollectProgress('parse', { refreshed, recordedAt });
+  }
 
   return {
     balanceAmount,
@@ -145,6 +145,16 @@ async function collect_moneyforward(site = {}) {
     throw new Error('MoneyForward: 今月/前月ボタンが見つかりません');
   }
 
+  // 月ごとの進捗（step は今月を 1 とする取得月の番号）
+  const reportMonthProgress = (step, yearMonth) => {
+    if (typeof reportCollectProgress === 'function') {
+      reportCollectProgress('month', { step, maxSteps: MF_MONTHS_TO_FETCH, yearMonth, collected: allRows.length });
+    }
+    if (typeof isCollectCancelled === 'function' && isCollectCancelled()) {
+      throw new Error('Collect cancelled');
+    }
+  };
+
   btnToday.click();
   await waitForTableUpdate();
   const currentYearMonth = getDisplayedYearMonth();
@@ -160,6 +170,7 @@ async function collect_moneyforward(site = {}) {
   } else if (currentYearMonth != null) {
     console.log(`${LOG_PREFIX} ${SITE_ID} 表示月が対象外のためスキップ`, { 表示月: currentYearMonth, 最小対象: MF_MIN_YEARMONTH });
   }
+  reportMonthProgress(1, currentYearMonth);
 
   for (let i = 0; i < MF_MONTHS_TO_FETCH - 1; i++) {
     btnPrev.click();
@@ -176,6 +187,7 @@ async function collect_moneyforward(site = {}) {
     } else if (displayedYearMonth != null) {
       console.log(`${LOG_PREFIX} ${SITE_ID} 表示月が対象外のためスキップ`, { 表示月: displayedYearMonth, 最小対象: MF_MIN_YEARMONTH });
     }
+    reportMonthProgress(i + 2, displayedYearMonth);
   }
 
   const byCardType = {};
@@ -85,6 +85,9 @@ async function extractCreditCardPaymentItemsAsync() {
   const targetMonth = getCurrentTargetMonthJst();
   const items = [];
   const accounts = root.querySelectorAll('.credential-accounts .mt-account');
+  if (typeof reportCollectProgress === 'function') {
+    reportCollectProgress('expand', { accounts: accounts.length });
+  }
 
   for (const accountEl of accounts) {
     const name = (accountEl.querySelector('.display-name')?.textContent || '').trim();
@@ -104,6 +107,9 @@ async function extractCreditCardPaymentItemsAsync() {
     });
   }
 
+  if (typeof reportCollectProgress === 'function') {
+    reportCollectProgress('parse', { accounts: accounts.length, collected: items.length });
+  }
   return items;
 }
 
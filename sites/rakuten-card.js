@@ -283,6 +283,10 @@ async function collect_rakuten_card(site = {}) {
     console.log(`${LOG_PREFIX} ${SITE_ID} 表示月が対象外のためスキップ 表示月=${displayedYearMonth}`);
   }
 
+  if (typeof reportCollectProgress === 'function') {
+    reportCollectProgress('parse', { yearMonth: displayedYearMonth, collected: items.length });
+  }
+
   const prevEl = document.querySelector('.stmt-head-calendar__prev');
   const prevMonthHref = prevEl ? prevEl.getAttribute('href') : null;
 
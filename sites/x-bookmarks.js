@@ -81,6 +81,12 @@ async function collect_x_bookmarks(site = {}) {
     }
 
     console.log(`${LOG_PREFIX} ${SITE_ID} スクロール ${step + 1}/${MAX_SCROLL_STEPS} 収集=${currentTweetCount} stall=${stallCount}`);
+    if (typeof reportCollectProgress === 'function') {
+      reportCollectProgress('scroll', { step: step + 1, maxSteps: MAX_SCROLL_STEPS, collected: currentTweetCount });
+    }
+    if (typeof isCollectCancelled === 'function' && isCollectCancelled()) {
+      throw new Error('Collect cancelled');
+    }
 
     if (stallCount >= MAX_STALL_COUNT) {
       reachedScrollEnd = true;
@@ -4,26 +4,94 @@
  * 対応サイトはコード実装で決まる。storage に存在しても未実装 siteId は正規化で除去する。
  */
 
-/** @readonly 表示・実行順（昇順） */
-const BUILTIN_SITE_IDS = Object.freeze([
-  'moneyforward',
-  'moneyforward-balance',
-  'moneytree-vault',
-  'rakuten-card',
-  'x-bookmarks'
-]);
-
-/** 組み込みサイトの巡回 URL（コード固定） */
-const BUILTIN_SITE_URLS = Object.freeze({
-  moneyforward:
-    'https://moneyforward.com/accounts/show/PcahB6adgVbq9ti28FGAXWM6sUfdwasEn8Nw2m8IsUc',
-  'moneyforward-balance': 'https://moneyforward.com/accounts',
-  'moneytree-vault': 'https://app.getmoneytree.com/app/vault',
-  'rakuten-card':
-    'https://www.rakuten-card.co.jp/e-navi/members/statement/index.xhtml?l-id=enavi_all_glonavi_statement',
-  'x-bookmarks': 'https://x.com/i/bookmarks'
+/**
+ * 組み込みサイトのフロー定義（サイトを足すときはここに1件足す）
+ *
+ * 文字列のキーは Service Worker 側の実装表（SITE_LOGIN_STEPS / SITE_DOM_READY_WAITS /
+ * SITE_PAGINATIONS / SINK_BODY_FORMATS / SITE_PIPELINES）で関数に引く。Options Page でも読み込むため、
+ * ここには chrome API や Service Worker の関数を直接書かない。
+ *
+ * - url: 巡回 URL（コード固定）
+ * - activateTab: 収集タブを選択状態で開く（クライアント描画が非アクティブで止まるサイト）
+ * - login: ログイン手順（null はログイン不要）
+ * - domReady: 収集前に待つ画面表示（null は読み込み完了だけ）
+ * - pagination: 'single'（1ページを1回収集）/ 'rakuten-prev-month'（前月へ辿りながら収集）
+ * - pipeline: 収集タブの骨格を使わない専用処理（指定時は login 以下を使わない）
+ * - countRecords: collect の payload.payload から記録件数を数える（形が違えば null）
+ * - sinkFormat: 収集結果から作るボディの形（null は送らない。送信先は http-sinks.js。site.apiUrl があればそちらが優先）
+ * - summarizeApiBody: オプション画面の API ログ用に大きいボディを縮める（null は既定の縮め方）
+ * - expectsCollectLogs: ページ側のログが取り込めなかったら警告する
+ */
+const BUILTIN_SITE_FLOWS = Object.freeze({
+  moneyforward: Object.freeze({
+    url: 'https://moneyforward.com/accounts/show/PcahB6adgVbq9ti28FGAXWM6sUfdwasEn8Nw2m8IsUc',
+    activateTab: false,
+    login: null,
+    domReady: null,
+    pagination: 'single',
+    countRecords: (p) =>
+      Array.isArray(p.batches) ? p.batches.reduce((s, b) => s + (b?.items?.length ?? 0), 0) : null,
+    sinkFormat: 'statement-import',
+    summarizeApiBody: (body) =>
+      Array.isArray(body?.items)
+        ? { _truncated: true, instrument: body.instrument, itemCount: body.items.length, itemsPreview: body.items.slice(0, 20) }
+        : null
+  }),
+  'moneyforward-balance': Object.freeze({
+    url: 'https://moneyforward.com/accounts',
+    activateTab: false,
+    login: null,
+    domReady: null,
+    pagination: 'single',
+    countRecords: (p) => (p.balanceAmount != null ? 1 : null),
+    sinkFormat: 'balance-snapshot',
+    summarizeApiBody: null
+  }),
+  'moneytree-vault': Object.freeze({
+    url: 'https://app.getmoneytree.com/app/vault',
+    activateTab: true,
+    login: 'moneytree',
+    domReady: 'moneytree-vault',
+    pagination: 'single',
+    countRecords: (p) => (Array.isArray(p.items) ? p.items.length : null),
+    sinkFormat: 'payment-schedule',
+    summarizeApiBody: summarizeItemsApiBody
+  }),
+  'rakuten-card': Object.freeze({
+    url: 'https://www.rakuten-card.co.jp/e-navi/members/statement/index.xhtml?l-id=enavi_all_glonavi_statement',
+    activateTab: true,
+    login: 'rakuten',
+    domReady: 'rakuten-statement',
+    pagination: 'rakuten-prev-month',
+    countRecords: (p) => (Array.isArray(p.items) ? p.items.length : null),
+    sinkFormat: 'household-statement-import',
+    summarizeApiBody: summarizeItemsApiBody,
+    expectsCollectLogs: true
+  }),
+  'x-bookmarks': Object.freeze({
+    url: 'https://x.com/i/bookmarks',
+    pipeline: 'x-bookmarks-chatgpt',
+    countRecords: (p) => (Array.isArray(p.tweets) ? p.tweets.length : null),
+    sinkFormat: null,
+    summarizeApiBody: null
+  })
 });
 
+/**
+ * `{ items: [...] }` 形式のボディを先頭25件に縮める
+ *
+ * @param {Object} body
+ * @returns {Object|null}
+ */
+function summarizeItemsApiBody(body) {
+  return Array.isArray(body?.items)
+    ? { _truncated: true, itemCount: body.items.length, itemsPreview: body.items.slice(0, 25) }
+    : null;
+}
+
+/** @readonly 表示・実行順（昇順） */
+const BUILTIN_SITE_IDS = Object.freeze(Object.keys(BUILTIN_SITE_FLOWS).sort());
+
 /** siteId ごとの schedule 初期値（未指定時は DEFAULT_SITE_CONFIG.schedule） */
 const SITE_SCHEDULE_DEFAULTS = Object.freeze({
   'moneyforward-balance': {
@@ -39,6 +107,53 @@ const SITE_TIMEOUT_DEFAULTS = Object.freeze({
   'moneytree-vault': 60
 });
 
+/**
+ * siteId ごとの runDeadlineSec 初期値（1回の実行全体の上限。timeoutSec は待ち1回ごとの上限）
+ * rakuten-card は月数分だけ画面遷移を繰り返し、x-bookmarks はポストごとに記事・ChatGPT タブを開くため長めにする。
+ */
+const SITE_RUN_DEADLINE_DEFAULTS = Object.freeze({
+  'moneyforward-balance': 300,
+  'moneytree-vault': 300,
+  'rakuten-card': 900,
+  'x-bookmarks': 1800
+});
+
+/** runDeadlineSec の入力範囲（秒） */
+const RUN_DEADLINE_MIN_SEC = 30;
+const RUN_DEADLINE_MAX_SEC = 2 * 60 * 60;
+
+/**
+ * siteId ごとのリトライ設定（未指定時は DEFAULT_RETRY_POLICY）
+ * ログインを伴うサイトは短間隔の再ログインでアカウントロックされやすいため、間隔を広げて打ち切る。
+ */
+const SITE_RETRY_DEFAULTS = Object.freeze({
+  'moneytree-vault': {
+    initialDelayMinutes: 60,
+    backoffMultiplier: 2,
+    maxDelayMinutes: 12 * 60,
+    maxAttempts: 4,
+    pauseAfterFailures: 6
+  },
+  'rakuten-card': {
+    initialDelayMinutes: 60,
+    backoffMultiplier: 2,
+    maxDelayMinutes: 12 * 60,
+    maxAttempts: 4,
+    pauseAfterFailures: 6
+  }
+});
+
+/**
+ * siteId ごとの依存関係初期値（runAfter の上流が実行されたら直後に連動実行する）
+ * moneyforward-balance は moneyforward と同じタイミングの残高を送るため連動させる。
+ */
+const SITE_DEPENDENCY_DEFAULTS = Object.freeze({
+  'moneyforward-balance': {
+    runAfter: ['moneyforward'],
+    onlyIfUpstreamOk: false
+  }
+});
+
 /** オプションから削除した URL キー（storage 正規化で除去） */
 const DEPRECATED_SITE_OPTION_KEYS = Object.freeze([
   'ifaApiUrl',
@@ -49,6 +164,7 @@ const DEPRECATED_SITE_OPTION_KEYS = Object.freeze([
 const DEFAULT_SITE_CONFIG = Object.freeze({
   enabled: false,
   timeoutSec: 30,
+  runDeadlineSec: 180,
   schedule: {
     type: 'hourly',
     minute: 0,
@@ -64,6 +180,14 @@ function isBuiltinSiteId(siteId) {
   return BUILTIN_SITE_IDS.includes(siteId);
 }
 
+/**
+ * @param {string} siteId
+ * @returns {Object|null} BUILTIN_SITE_FLOWS の定義
+ */
+function getBuiltinSiteFlow(siteId) {
+  return isBuiltinSiteId(siteId) ? BUILTIN_SITE_FLOWS[siteId] : null;
+}
+
 /**
  * 組み込みサイトの巡回 URL を返す
  *
@@ -71,7 +195,135 @@ function isBuiltinSiteId(siteId) {
  * @returns {string}
  */
 function getBuiltinSiteUrl(siteId) {
-  return BUILTIN_SITE_URLS[siteId] || '';
+  return getBuiltinSiteFlow(siteId)?.url || '';
+}
+
+/**
+ * 1回の実行全体の上限（秒）。未設定・範囲外なら siteId ごとの初期値
+ *
+ * @param {Object|undefined} site - settings.sites[siteId]
+ * @param {string} siteId
+ * @returns {number}
+ */
+function getSiteRunDeadlineSec(site, siteId) {
+  const n = Number(site?.runDeadlineSec);
+  if (Number.isInteger(n) && n >= RUN_DEADLINE_MIN_SEC && n <= RUN_DEADLINE_MAX_SEC) {
+    return n;
+  }
+  return SITE_RUN_DEADLINE_DEFAULTS[siteId] ?? DEFAULT_SITE_CONFIG.runDeadlineSec;
+}
+
+/**
+ * @param {string} siteId
+ * @returns {Object} site.retry の初期値
+ */
+function createDefaultRetryPolicy(siteId) {
+  return { ...DEFAULT_RETRY_POLICY, ...(SITE_RETRY_DEFAULTS[siteId] || {}) };
+}
+
+/**
+ * @param {string} siteId
+ * @returns {{ runAfter: string[], onlyIfUpstreamOk: boolean }} 依存関係の初期値
+ */
+function createDefaultSiteDependency(siteId) {
+  const defaults = SITE_DEPENDENCY_DEFAULTS[siteId];
+  return {
+    runAfter: defaults ? [...defaults.runAfter] : [],
+    onlyIfUpstreamOk: defaults?.onlyIfUpstreamOk === true
+  };
+}
+
+/**
+ * @param {Object} site
+ * @param {string} siteId
+ * @returns {string[]} 有効な上流 siteId（組み込み・自分以外・重複なし）
+ */
+function getSiteRunAfter(site, siteId) {
+  const runAfter = Array.isArray(site?.runAfter) ? site.runAfter : [];
+  return Array.from(new Set(runAfter.filter((id) => id !== siteId && isBuiltinSiteId(id))));
+}
+
+/**
+ * runAfter に循環があれば、その経路を返す
+ *
+ * @param {Object} sites - settings.sites
+ * @returns {string[]|null} 例: ['a', 'b', 'a']。循環が無ければ null
+ */
+function findSiteDependencyCycle(sites) {
+  const visiting = new Set();
+  const done = new Set();
+  const path = [];
+  const visit = (siteId) => {
+    if (done.has(siteId)) return null;
+    if (visiting.has(siteId)) {
+      return [...path.slice(path.indexOf(siteId)), siteId];
+    }
+    visiting.add(siteId);
+    path.push(siteId);
+    for (const upstream of getSiteRunAfter(sites?.[siteId], siteId)) {
+      const cycle = visit(upstream);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    visiting.delete(siteId);
+    done.add(siteId);
+    return null;
+  };
+  for (const siteId of BUILTIN_SITE_IDS) {
+    const cycle = visit(siteId);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * 実行対象を runAfter に従ってトポロジカル順に並べる
+ *
+ * 依存の無い同士は BUILTIN_SITE_IDS の順を保つ。対象外の上流は順序制約にしない。
+ * 循環がある場合は、残りを固定順のまま後ろへ並べる。
+ *
+ * @param {string[]} siteIds - 実行対象
+ * @param {Object} sites - settings.sites
+ * @returns {string[]}
+ */
+function orderSiteIdsByDependency(siteIds, sites) {
+  const pending = BUILTIN_SITE_IDS.filter((id) => siteIds.includes(id));
+  const ordered = [];
+  while (pending.length > 0) {
+    const index = pending.findIndex((siteId) =>
+      getSiteRunAfter(sites?.[siteId], siteId).every((upstream) => !pending.includes(upstream))
+    );
+    if (index === -1) {
+      ordered.push(...pending);
+      break;
+    }
+    ordered.push(pending.splice(index, 1)[0]);
+  }
+  return ordered;
+}
+
+/**
+ * upstreamId を runAfter に持つサイト（直接の下流）
+ *
+ * @param {string} upstreamId
+ * @param {Object} sites - settings.sites
+ * @returns {string[]}
+ */
+function listDependentSiteIds(upstreamId, sites) {
+  return BUILTIN_SITE_IDS.filter((siteId) =>
+    getSiteRunAfter(sites?.[siteId], siteId).includes(upstreamId)
+  );
+}
+
+/**
+ * 手動の一時停止中か（state.bySite[siteId].pausedUntil が未来）
+ *
+ * @param {Object|undefined} siteState
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function isSitePausedUntil(siteState, now = Date.now()) {
+  return typeof siteState?.pausedUntil === 'number' && siteState.pausedUntil > now;
 }
 
 /**
@@ -88,7 +340,14 @@ function createDefaultSiteConfig(siteId) {
     url: getBuiltinSiteUrl(siteId),
     ...DEFAULT_SITE_CONFIG,
     timeoutSec,
-    schedule: { ...scheduleDefault }
+    runDeadlineSec: getSiteRunDeadlineSec(undefined, siteId),
+    schedule: { ...scheduleDefault },
+    retry: createDefaultRetryPolicy(siteId),
+    allowedWindows: [],
+    blackouts: [],
+    catchUp: { ...DEFAULT_CATCH_UP },
+    jitterMinutes: 0,
+    ...createDefaultSiteDependency(siteId)
   };
 }
 
@@ -151,6 +410,28 @@ function normalizeBuiltinSites(settings, state, now = Date.now()) {
         };
         changed = true;
       }
+      if (!settings.sites[siteId].retry) {
+        settings.sites[siteId].retry = createDefaultRetryPolicy(siteId);
+        changed = true;
+      }
+      if (typeof settings.sites[siteId].jitterMinutes !== 'number') {
+        settings.sites[siteId].jitterMinutes = 0;
+        changed = true;
+      }
+      if (!settings.sites[siteId].catchUp) {
+        settings.sites[siteId].catchUp = { ...DEFAULT_CATCH_UP };
+        changed = true;
+      }
+      if (!Array.isArray(settings.sites[siteId].runAfter)) {
+        Object.assign(settings.sites[siteId], createDefaultSiteDependency(siteId));
+        changed = true;
+      }
+      for (const key of ['allowedWindows', 'blackouts']) {
+        if (!Array.isArray(settings.sites[siteId][key])) {
+          settings.sites[siteId][key] = [];
+          changed = true;
+        }
+      }
       for (const key of DEPRECATED_SITE_OPTION_KEYS) {
         if (Object.prototype.hasOwnProperty.call(settings.sites[siteId], key)) {
           delete settings.sites[siteId][key];
@@ -159,9 +440,14 @@ function normalizeBuiltinSites(settings, state, now = Date.now()) {
       }
     }
     if (!state.bySite[siteId]) {
-      const schedule = settings.sites[siteId].schedule;
+      const site = settings.sites[siteId];
+      const next = computeNextScheduledRun(now, site.schedule, {
+        mode: 'initial',
+        ...getScheduleJitterContext(site, siteId)
+      });
       state.bySite[siteId] = {
-        nextRun: computeNextRunAfterSuccess(now, schedule, { mode: 'initial' })
+        nextRun: next.nextRun,
+        nextSlot: next.slot
       };
       changed = true;
     }
@@ -4,6 +4,7 @@
  * - オプションには service token のみ永続化
  * - 取得した secrets は chrome.storage.local.dopplerSecretsCache にキャッシュ
  * - 実行時は applyDopplerSecretsToSettings() で effective settings を組み立てる
+ * - DOPPLER_SECRET_SCHEMA に加え、settings.httpSinks の bearer-secret が使う secretName も取得する
  */
 
 const DOPPLER_API_BASE = 'https://api.doppler.com/v3/configs/config/secrets/download';
@@ -86,12 +87,27 @@ const DEPRECATED_SITE_SECRET_KEYS = Object.freeze([
 ]);
 
 /**
+ * 取得する secret 名（DOPPLER_SECRET_SCHEMA と、settings.httpSinks の bearer-secret が使う secretName）
+ *
+ * @param {Object} settings
+ * @returns {string[]}
+ */
+function getDopplerSecretKeys(settings) {
+  const sinkKeys = Object.values(settings?.httpSinks || {})
+    .filter((sink) => sink?.auth === 'bearer-secret' && typeof sink.secretName === 'string')
+    .map((sink) => sink.secretName.trim())
+    .filter(Boolean);
+  return [...new Set([...DOPPLER_SECRET_KEYS, ...sinkKeys])];
+}
+
+/**
+ * @param {string[]} keys
  * @returns {string}
  */
-function buildDopplerSecretsQuery() {
+function buildDopplerSecretsQuery(keys) {
   const params = new URLSearchParams({
     format: 'json',
-    secrets: DOPPLER_SECRET_KEYS.join(',')
+    secrets: keys.join(',')
   });
   return `${DOPPLER_API_BASE}?${params.toString()}`;
 }
@@ -123,11 +139,12 @@ function validateDopplerSecretValues(values) {
 
 /**
  * @param {Record<string, string>} raw
+ * @param {string[]} keys
  * @returns {Record<string, string>}
  */
-function normalizeDopplerSecretValues(raw) {
+function normalizeDopplerSecretValues(raw, keys) {
   const values = {};
-  for (const key of DOPPLER_SECRET_KEYS) {
+  for (const key of keys) {
     values[key] = typeof raw?.[key] === 'string' ? raw[key] : '';
   }
   return values;
@@ -135,13 +152,18 @@ function normalizeDopplerSecretValues(raw) {
 
 /**
  * @param {Object|null|undefined} cache
+ * @param {string} serviceToken
+ * @param {string[]} keys - 取得する secret 名（キャッシュに無い名前があれば取り直す）
  * @param {number} [now=Date.now()]
  * @returns {boolean}
  */
-function isDopplerCacheValid(cache, serviceToken, now = Date.now()) {
+function isDopplerCacheValid(cache, serviceToken, keys, now = Date.now()) {
   if (!cache || !cache.values || typeof cache.expiresAt !== 'number') {
     return false;
   }
+  if (!keys.every((key) => Object.prototype.hasOwnProperty.call(cache.values, key))) {
+    return false;
+  }
   if ((cache.serviceToken || '') !== (serviceToken || '').trim()) {
     return false;
   }
@@ -174,9 +196,10 @@ async function saveDopplerSecretsCache(values, serviceToken, now = Date.now()) {
 
 /**
  * @param {string} serviceToken
+ * @param {string[]} keys
  * @returns {Promise<Record<string, string>>}
  */
-async function fetchDopplerSecretsFromNetwork(serviceToken) {
+async function fetchDopplerSecretsFromNetwork(serviceToken, keys) {
   const token = (serviceToken || '').trim();
   if (!token) {
     throw new Error('Doppler Service Token が未設定です。オプション画面で設定してください。');
@@ -186,7 +209,7 @@ async function fetchDopplerSecretsFromNetwork(serviceToken) {
   const timeoutId = setTimeout(() => controller.abort(), DOPPLER_FETCH_TIMEOUT_MS);
 
   try {
-    const response = await fetch(buildDopplerSecretsQuery(), {
+    const response = await fetch(buildDopplerSecretsQuery(keys), {
       method: 'GET',
       headers: {
         Authorization: `Bearer ${token}`,
@@ -204,7 +227,7 @@ async function fetchDopplerSecretsFromNetwork(serviceToken) {
     }
 
     const body = await response.json();
-    const values = normalizeDopplerSecretValues(body);
+    const values = normalizeDopplerSecretValues(body, keys);
     const validated = validateDopplerSecretValues(values);
     if (!validated.ok) {
       throw new Error(`Doppler secrets に不足があります: ${validated.missing.join(', ')}`);
@@ -230,14 +253,15 @@ async function ensureDopplerSecrets(settings, options = {}) {
   const allowStaleOnError = options.allowStaleOnError === true;
   const serviceToken = getDopplerServiceToken(settings);
   const now = Date.now();
+  const keys = getDopplerSecretKeys(settings);
   const cache = await loadDopplerSecretsCache();
 
-  if (!forceRefresh && isDopplerCacheValid(cache, serviceToken, now)) {
+  if (!forceRefresh && isDopplerCacheValid(cache, serviceToken, keys, now)) {
     return cache.values;
   }
 
   try {
-    const values = await fetchDopplerSecretsFromNetwork(serviceToken);
+    const values = await fetchDopplerSecretsFromNetwork(serviceToken, keys);
     await saveDopplerSecretsCache(values, serviceToken, now);
     return values;
   } catch (err) {
@@ -0,0 +1,239 @@
+/**
+ * HTTP 送信先（シンク）定義（Service Worker / Options Page 共通）
+ *
+ * - 組み込みシンクは EXTERNAL_API_URLS の4つ。settings.httpSinks[name] で追加できる（組み込みと同名は不可）
+ * - シンク: `{ url, format, auth, secretName?, headers?, response, label?, localUrl? }`
+ *   - format: 送るボディの形（フロー定義の sinkFormat と同じ値。Service Worker の SINK_BODY_FORMATS で引く）
+ *   - auth: 'api-key'（API_KEY / localMode 時 API_KEY_LOCAL を Bearer）/ 'bearer-secret'（Doppler の secretName を Bearer）/ 'none'
+ *   - headers: 追加ヘッダー（HTTP_SINK_RESERVED_HEADERS は上書きできない）
+ *   - response: 'json'（JSON を読み、result: 'partial' なら警告）/ 'ignore'（本文を読まない）
+ *   - localMode: 組み込みは URL のオリジンを LOCAL_MANUAL_API_ORIGIN に差し替える。追加シンクは localUrl へ送り、
+ *     localUrl が無ければ localMode では送らない
+ * - サイトごとの送信先は settings.sites[siteId].sinks（未設定ならフロー定義の sinkFormat と同名の組み込みシンク）
+ * - settings.sites[siteId].apiUrl（カスタム送信先）は SITE_API_URL_SINK_NAME のシンクとして同じ送信待ちから送る
+ * - validation.js・builtin-sites.js・external-api-urls.js の後に読み込む
+ */
+
+/** @readonly */
+const HTTP_SINK_AUTH_SCHEMES = Object.freeze(['api-key', 'bearer-secret', 'none']);
+
+/** @readonly */
+const HTTP_SINK_RESPONSE_MODES = Object.freeze(['json', 'ignore']);
+
+/** @readonly シンク側で決めるヘッダー（小文字） */
+const HTTP_SINK_RESERVED_HEADERS = Object.freeze(['authorization', 'content-type', 'idempotency-key', 'x-request-id']);
+
+/** @readonly シンク名に使える文字（送信待ちの行・オプション画面の id に入るため） */
+const HTTP_SINK_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/** @readonly */
+const BUILTIN_HTTP_SINKS = Object.freeze({
+  'statement-import': Object.freeze({
+    url: EXTERNAL_API_URLS.STATEMENT_IMPORT,
+    format: 'statement-import',
+    auth: 'api-key',
+    response: 'json',
+    label: '外部 API',
+    builtin: true
+  }),
+  'balance-snapshot': Object.freeze({
+    url: EXTERNAL_API_URLS.BALANCE_SNAPSHOT,
+    format: 'balance-snapshot',
+    auth: 'api-key',
+    response: 'ignore',
+    label: 'Balance Snapshot API',
+    builtin: true
+  }),
+  'payment-schedule': Object.freeze({
+    url: EXTERNAL_API_URLS.PAYMENT_SCHEDULE,
+    format: 'payment-schedule',
+    auth: 'api-key',
+    response: 'json',
+    label: 'Payment Schedule API',
+    builtin: true
+  }),
+  'household-statement-import': Object.freeze({
+    url: EXTERNAL_API_URLS.HOUSEHOLD_STATEMENT_IMPORT,
+    format: 'household-statement-import',
+    auth: 'api-key',
+    response: 'ignore',
+    label: 'Household API',
+    builtin: true
+  })
+});
+
+/** @readonly ボディの形（組み込みシンクと同じ4つ） */
+const HTTP_SINK_FORMATS = Object.freeze(Object.keys(BUILTIN_HTTP_SINKS));
+
+/** site.apiUrl へ送る行のシンク名（追加シンク名に使えない "." を含むため重ならない） */
+const SITE_API_URL_SINK_NAME = 'site.apiUrl';
+
+/**
+ * settings.httpSinks の追加シンク1件を検証する
+ *
+ * @param {string} name
+ * @param {Object} sink
+ * @returns {string|null} エラー文言
+ */
+function validateHttpSinkConfig(name, sink) {
+  if (!HTTP_SINK_NAME_PATTERN.test(name)) {
+    return `送信先名 "${name}" は英小文字・数字・ハイフン（40文字まで）で指定してください。`;
+  }
+  if (Object.prototype.hasOwnProperty.call(BUILTIN_HTTP_SINKS, name)) {
+    return `送信先名 "${name}" は組み込みの送信先と同じです。`;
+  }
+  if (!sink || typeof sink !== 'object' || Array.isArray(sink)) {
+    return `送信先 "${name}" はオブジェクトで指定してください。`;
+  }
+  if (!isValidApiUrl(sink.url || '')) {
+    return `送信先 "${name}" の url は http:// または https:// で始まる URL を指定してください。`;
+  }
+  if (sink.localUrl != null && !isValidApiUrl(sink.localUrl)) {
+    return `送信先 "${name}" の localUrl は http:// または https:// で始まる URL を指定してください。`;
+  }
+  if (!HTTP_SINK_FORMATS.includes(sink.format)) {
+    return `送信先 "${name}" の format は ${HTTP_SINK_FORMATS.join(' / ')} のいずれかを指定してください。`;
+  }
+  if (!HTTP_SINK_AUTH_SCHEMES.includes(sink.auth)) {
+    return `送信先 "${name}" の auth は ${HTTP_SINK_AUTH_SCHEMES.join(' / ')} のいずれかを指定してください。`;
+  }
+  if (sink.auth === 'bearer-secret' && !(typeof sink.secretName === 'string' && sink.secretName.trim())) {
+    return `送信先 "${name}" は auth が bearer-secret のとき secretName（Doppler の secret 名）が必要です。`;
+  }
+  if (!HTTP_SINK_RESPONSE_MODES.includes(sink.response)) {
+    return `送信先 "${name}" の response は ${HTTP_SINK_RESPONSE_MODES.join(' / ')} のいずれかを指定してください。`;
+  }
+  if (sink.headers != null) {
+    if (typeof sink.headers !== 'object' || Array.isArray(sink.headers)) {
+      return `送信先 "${name}" の headers は { "名前": "値" } で指定してください。`;
+    }
+    for (const [key, value] of Object.entries(sink.headers)) {
+      if (HTTP_SINK_RESERVED_HEADERS.includes(key.toLowerCase())) {
+        return `送信先 "${name}" の headers に ${key} は指定できません。`;
+      }
+      if (typeof value !== 'string') {
+        return `送信先 "${name}" の headers.${key} は文字列で指定してください。`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Object|undefined} httpSinks - settings.httpSinks
+ * @returns {string|null} エラー文言
+ */
+function validateHttpSinkConfigs(httpSinks) {
+  if (httpSinks == null) {
+    return null;
+  }
+  if (typeof httpSinks !== 'object' || Array.isArray(httpSinks)) {
+    return '送信先は { "名前": { ... } } の形で指定してください。';
+  }
+  for (const [name, sink] of Object.entries(httpSinks)) {
+    const error = validateHttpSinkConfig(name, sink);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * 組み込みと settings.httpSinks を合わせたシンク（不正な追加シンクは除く）
+ *
+ * @param {Object} settings
+ * @returns {Record<string, Object>}
+ */
+function getHttpSinks(settings) {
+  const sinks = { ...BUILTIN_HTTP_SINKS };
+  for (const [name, sink] of Object.entries(settings?.httpSinks || {})) {
+    if (validateHttpSinkConfig(name, sink) === null) {
+      sinks[name] = { ...sink, label: sink.label || name, builtin: false };
+    }
+  }
+  return sinks;
+}
+
+/**
+ * サイトの送信先シンク名（settings.sites[siteId].sinks。未設定ならフロー定義の sinkFormat と同名の組み込み）
+ *
+ * @param {Object|undefined} site - settings.sites[siteId]
+ * @param {string} siteId
+ * @returns {string[]}
+ */
+function getSiteSinkNames(site, siteId) {
+  if (Array.isArray(site?.sinks)) {
+    return site.sinks;
+  }
+  const format = getBuiltinSiteFlow(siteId)?.sinkFormat;
+  return format ? [format] : [];
+}
+
+/**
+ * 各サイトの送信先が存在し、サイトの送る形と合っているか
+ *
+ * @param {Object} settings - 保存予定の settings
+ * @returns {string|null} エラー文言
+ */
+function validateSiteSinks(settings) {
+  const sinks = getHttpSinks(settings);
+  for (const siteId of BUILTIN_SITE_IDS) {
+    const format = getBuiltinSiteFlow(siteId)?.sinkFormat;
+    for (const name of getSiteSinkNames(settings.sites?.[siteId], siteId)) {
+      if (!sinks[name]) {
+        return `サイト "${siteId}" の送信先 "${name}" は定義されていません。`;
+      }
+      if (sinks[name].format !== format) {
+        return `サイト "${siteId}" の送信先 "${name}" は形（${sinks[name].format}）がサイトの送る形（${format || 'なし'}）と合いません。`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * site.apiUrl へ送るシンク（認証なし・応答は読まない。localMode は組み込みと同じく LOCAL_MANUAL_API_ORIGIN へ）
+ *
+ * @param {Object|undefined} site - settings.sites[siteId]
+ * @returns {Object|null} apiUrl が無い・不正なら null
+ */
+function getSiteApiUrlSink(site) {
+  const url = (site?.apiUrl || '').trim();
+  if (!url || !isValidApiUrl(url)) {
+    return null;
+  }
+  return { url, format: null, auth: 'none', response: 'ignore', label: 'site.apiUrl', builtin: true };
+}
+
+/**
+ * 送信待ちの行のシンクを送る時点の settings で引く
+ *
+ * @param {string} sinkName - 行の sink
+ * @param {string} siteId - 行の siteId（SITE_API_URL_SINK_NAME のときに使う）
+ * @param {Object} settings
+ * @returns {Object|null} 定義が無ければ null
+ */
+function resolveOutboxSink(sinkName, siteId, settings) {
+  if (sinkName === SITE_API_URL_SINK_NAME) {
+    return getSiteApiUrlSink(settings?.sites?.[siteId]);
+  }
+  return getHttpSinks(settings)[sinkName] || null;
+}
+
+/**
+ * シンクの送り先 URL（localMode で送らないシンクは null）
+ *
+ * @param {Object} sink
+ * @param {boolean} localMode
+ * @returns {string|null}
+ */
+function resolveHttpSinkUrl(sink, localMode) {
+  if (!localMode) {
+    return sink.url;
+  }
+  if (sink.builtin) {
+    return resolveLocalApiUrl(sink.url);
+  }
+  return sink.localUrl || null;
+}
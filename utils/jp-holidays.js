@@ -0,0 +1,182 @@
+/**
+ * 日本の祝日表（営業日判定用）
+ *
+ * - 同梱表（JP_PUBLIC_HOLIDAYS_BUNDLED）を既定とし、オプション画面から取得した表を
+ *   chrome.storage.local.jpHolidayTable に保存して年単位で上書きする
+ * - schedule.js の営業日ポリシーから isJpBusinessDay() が呼ばれる
+ */
+
+const JP_HOLIDAY_STORAGE_KEY = 'jpHolidayTable';
+const JP_HOLIDAY_SOURCE_URL = 'https://holidays-jp.github.io/api/v1/date.json';
+const JP_HOLIDAY_FETCH_TIMEOUT_MS = 10000;
+
+/** @readonly 同梱の祝日表（'YYYY-MM-DD' → 名称）。内閣府公表分。振替休日・国民の休日を含む */
+const JP_PUBLIC_HOLIDAYS_BUNDLED = Object.freeze({
+  '2025-01-01': '元日',
+  '2025-01-13': '成人の日',
+  '2025-02-11': '建国記念の日',
+  '2025-02-23': '天皇誕生日',
+  '2025-02-24': '休日',
+  '2025-03-20': '春分の日',
+  '2025-04-29': '昭和の日',
+  '2025-05-03': '憲法記念日',
+  '2025-05-04': 'みどりの日',
+  '2025-05-05': 'こどもの日',
+  '2025-05-06': '休日',
+  '2025-07-21': '海の日',
+  '2025-08-11': '山の日',
+  '2025-09-15': '敬老の日',
+  '2025-09-23': '秋分の日',
+  '2025-10-13': 'スポーツの日',
+  '2025-11-03': '文化の日',
+  '2025-11-23': '勤労感謝の日',
+  '2025-11-24': '休日',
+  '2026-01-01': '元日',
+  '2026-01-12': '成人の日',
+  '2026-02-11': '建国記念の日',
+  '2026-02-23': '天皇誕生日',
+  '2026-03-20': '春分の日',
+  '2026-04-29': '昭和の日',
+  '2026-05-03': '憲法記念日',
+  '2026-05-04': 'みどりの日',
+  '2026-05-05': 'こどもの日',
+  '2026-05-06': '休日',
+  '2026-07-20': '海の日',
+  '2026-08-11': '山の日',
+  '2026-09-21': '敬老の日',
+  '2026-09-22': '休日',
+  '2026-09-23': '秋分の日',
+  '2026-10-12': 'スポーツの日',
+  '2026-11-03': '文化の日',
+  '2026-11-23': '勤労感謝の日',
+  '2027-01-01': '元日',
+  '2027-01-11': '成人の日',
+  '2027-02-11': '建国記念の日',
+  '2027-02-23': '天皇誕生日',
+  '2027-03-21': '春分の日',
+  '2027-03-22': '休日',
+  '2027-04-29': '昭和の日',
+  '2027-05-03': '憲法記念日',
+  '2027-05-04': 'みどりの日',
+  '2027-05-05': 'こどもの日',
+  '2027-07-19': '海の日',
+  '2027-08-11': '山の日',
+  '2027-09-20': '敬老の日',
+  '2027-09-23': '秋分の日',
+  '2027-10-11': 'スポーツの日',
+  '2027-11-03': '文化の日',
+  '2027-11-23': '勤労感謝の日'
+});
+
+/** 取得済みの祝日表（年単位で同梱表より優先）。未取得なら null */
+let jpHolidayOverrides = null;
+
+/**
+ * @param {Date} date
+ * @returns {string} 'YYYY-MM-DD'（ローカル時刻）
+ */
+function formatLocalDateKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * 取得済みの祝日表を反映する（storage から読み込んだ値、またはオプション画面で取得した値）
+ *
+ * @param {Record<string, string>|null|undefined} holidays
+ */
+function setJpHolidayOverrides(holidays) {
+  jpHolidayOverrides = holidays && typeof holidays === 'object' ? holidays : null;
+}
+
+/**
+ * @param {Date} date
+ * @returns {string|null} 祝日名。祝日でなければ null
+ */
+function getJpHolidayName(date) {
+  const key = formatLocalDateKey(date);
+  if (jpHolidayOverrides) {
+    const year = key.slice(0, 4);
+    const coversYear = Object.keys(jpHolidayOverrides).some((k) => k.startsWith(year));
+    if (coversYear) {
+      return jpHolidayOverrides[key] || null;
+    }
+  }
+  return JP_PUBLIC_HOLIDAYS_BUNDLED[key] || null;
+}
+
+/**
+ * 銀行営業日かどうか（土日・祝日・年末年始 12/31〜1/3 を休業とする）
+ *
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isJpBusinessDay(date) {
+  const dow = date.getDay();
+  if (dow === 0 || dow === 6) {
+    return false;
+  }
+  const month = date.getMonth() + 1;
+  const day = date.getDate();
+  if ((month === 12 && day === 31) || (month === 1 && day <= 3)) {
+    return false;
+  }
+  return getJpHolidayName(date) === null;
+}
+
+/**
+ * storage の祝日表を読み込んで反映する
+ *
+ * @returns {Promise<Object|null>} 保存済みの表（{ holidays, fetchedAt }）
+ */
+async function loadJpHolidayTable() {
+  const got = await chrome.storage.local.get(JP_HOLIDAY_STORAGE_KEY);
+  const table = got[JP_HOLIDAY_STORAGE_KEY] || null;
+  setJpHolidayOverrides(table?.holidays);
+  return table;
+}
+
+/**
+ * 公開 API から祝日表を取得して storage に保存する
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<{ holidays: Record<string, string>, fetchedAt: number }>}
+ * @throws {Error} 取得失敗・形式不正の場合
+ */
+async function fetchAndSaveJpHolidayTable(now = Date.now()) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), JP_HOLIDAY_FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(JP_HOLIDAY_SOURCE_URL, {
+      method: 'GET',
+      headers: { Accept: 'application/json' },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`祝日表の取得に失敗しました (${response.status})`);
+    }
+    const body = await response.json();
+    const holidays = {};
+    for (const [key, name] of Object.entries(body || {})) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(key) && typeof name === 'string') {
+        holidays[key] = name;
+      }
+    }
+    if (Object.keys(holidays).length === 0) {
+      throw new Error('祝日表の形式が不正です（有効な日付がありません）');
+    }
+    const table = { holidays, fetchedAt: now };
+    await chrome.storage.local.set({ [JP_HOLIDAY_STORAGE_KEY]: table });
+    setJpHolidayOverrides(holidays);
+    return table;
+  } catch (err) {
+    if (err instanceof Error && err.name === 'AbortError') {
+      throw new Error('祝日表の取得がタイムアウトしました');
+    }
+    throw err;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
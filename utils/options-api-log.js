@@ -18,32 +18,15 @@ function summarizeBodyForOptionsLog(body, siteId) {
     if (s.length <= OPTIONS_API_LOG_MAX_JSON_CHARS) {
       return body;
     }
-    if (
-      (siteId === 'moneytree-vault' || siteId === 'rakuten-card') &&
-      body &&
-      typeof body === 'object' &&
-      Array.isArray(/** @type {{ items?: unknown[] }} */ (body).items)
-    ) {
-      const b = /** @type {{ items: unknown[] }} */ (body);
-      return {
-        _truncated: true,
-        itemCount: b.items.length,
-        itemsPreview: b.items.slice(0, 25)
-      };
-    }
-    if (
-      siteId === 'moneyforward' &&
-      body &&
-      typeof body === 'object' &&
-      Array.isArray(/** @type {{ items?: unknown[] }} */ (body).items)
-    ) {
-      const b = /** @type {{ instrument?: unknown; items: unknown[] }} */ (body);
-      return {
-        _truncated: true,
-        instrument: b.instrument,
-        itemCount: b.items.length,
-        itemsPreview: b.items.slice(0, 20)
-      };
+    // サイトごとの縮め方は builtin-sites.js のフロー定義（summarizeApiBody）に従う
+    const summarize = typeof getBuiltinSiteFlow === 'function'
+      ? getBuiltinSiteFlow(siteId)?.summarizeApiBody
+      : null;
+    const summarized = typeof summarize === 'function' && body && typeof body === 'object'
+      ? summarize(body)
+      : null;
+    if (summarized) {
+      return summarized;
     }
     return { _truncated: true, jsonPreview: s.slice(0, 8000) + '…' };
   } catch (e) {
@@ -52,11 +35,11 @@ function summarizeBodyForOptionsLog(body, siteId) {
 }
 
 /**
- * @param {{ siteId: string, url: string, mockMode: boolean, localMode: boolean, body: unknown }} params
+ * @param {{ siteId: string, url: string, mockMode: boolean, localMode: boolean, idempotencyKey?: string, requestId?: string, body: unknown }} params
  * @returns {Promise<void>}
  */
 async function appendOptionsApiRequestLog(params) {
-  const { siteId, url, mockMode, localMode, body } = params;
+  const { siteId, url, mockMode, localMode, idempotencyKey, requestId, body } = params;
   const entry = {
     at: Date.now(),
     siteId,
@@ -64,6 +47,8 @@ async function appendOptionsApiRequestLog(params) {
     localMode,
     method: 'POST',
     url,
+    ...(idempotencyKey ? { idempotencyKey } : {}),
+    ...(requestId ? { requestId } : {}),
     body: summarizeBodyForOptionsLog(body, siteId)
   };
 
@@ -0,0 +1,218 @@
+/**
+ * 外部 API 送信の送信待ち（アウトボックス。IndexedDB `periodic-site-watcher` / store `outbox`）
+ *
+ * - Service Worker は収集した送信内容を先にここへ積み（moneyforward はバッチごとに1行）、API が受け付けたら消す
+ * - 送れなかった行は Service Worker の起床ごと・outbox-retry アラームでバックオフしながら再送する
+ * - OUTBOX_MAX_ATTEMPTS 回失敗したか、送り直しても通らない応答（400 等）なら dead（送信を諦めた）にして残す
+ * - 認証エラー（401/403）は資格情報を直すまで通らないため、失敗回数を数えずに最長間隔で待たせる
+ * - オプション画面が listOutbox で送信待ち・dead を表示し、再送・削除する
+ * - 行: `{ id, siteId, sink, body, localMode, idempotencyKey, requestId, createdAt, status: 'pending'|'dead',
+ *   attempts, nextAttemptAt, lastAttemptAt?, lastError?, deadAt? }`
+ *   - idempotencyKey / requestId は再送しても変えない（POST の Idempotency-Key / X-Request-Id ヘッダー）
+ * - run-history.js（openRunHistoryDb / openRunHistoryStore）の後に読み込む
+ */
+
+/** これだけ失敗したら dead にする */
+const OUTBOX_MAX_ATTEMPTS = 10;
+
+/** 再送間隔（1回目の失敗後 1分、以降倍々で最大1時間） */
+const OUTBOX_RETRY_INITIAL_MS = 60 * 1000;
+const OUTBOX_RETRY_MAX_MS = 60 * 60 * 1000;
+
+/** 送り直しても通らない応答（リクエスト自体の誤り） */
+const OUTBOX_PERMANENT_STATUSES = Object.freeze([400, 404, 405, 410, 413, 422]);
+
+/** 資格情報の誤り。直せば通るため dead にはしないが、失敗回数も数えない */
+const OUTBOX_AUTH_STATUSES = Object.freeze([401, 403]);
+
+/** dead の保持件数（古いものから消す） */
+const OUTBOX_DEAD_MAX_ROWS = 100;
+
+/** lastError の保存文字数 */
+const OUTBOX_ERROR_MAX_LENGTH = 500;
+
+/**
+ * @param {number} attempts - 失敗回数（1以上）
+ * @returns {number}
+ */
+function computeOutboxRetryDelayMs(attempts) {
+  return Math.min(OUTBOX_RETRY_INITIAL_MS * 2 ** Math.max(0, attempts - 1), OUTBOX_RETRY_MAX_MS);
+}
+
+/**
+ * @param {Error & { status?: number }} error - 送信関数が投げたエラー（HTTP エラーなら status 付き）
+ * @returns {boolean}
+ */
+function isPermanentOutboxError(error) {
+  return OUTBOX_PERMANENT_STATUSES.includes(error?.status);
+}
+
+/**
+ * @param {Error & { status?: number }} error
+ * @returns {boolean}
+ */
+function isAuthOutboxError(error) {
+  return OUTBOX_AUTH_STATUSES.includes(error?.status);
+}
+
+/**
+ * 送信内容を積む（同じ sink・idempotencyKey の行が既にあれば積まずにその id を返す）
+ *
+ * @param {Array<{ siteId: string, sink: string, body: Object, localMode: boolean, idempotencyKey: string }>} entries
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<number[]>} entries と同じ順の id
+ */
+async function enqueueOutbox(entries, now = Date.now()) {
+  const db = await openRunHistoryDb();
+  const { store, done } = openRunHistoryStore(db, 'readwrite', RUN_OUTBOX_STORE);
+  const existing = await awaitRunHistoryRequest(store.getAll());
+  // 同じボディを複数のシンクへ送るため、idempotencyKey はシンクをまたいで重なる
+  const keyOf = (row) => `${row.sink}\n${row.idempotencyKey}`;
+  const idsByKey = new Map(existing.map((row) => [keyOf(row), row.id]));
+  const ids = [];
+  for (const entry of entries) {
+    if (idsByKey.has(keyOf(entry))) {
+      ids.push(idsByKey.get(keyOf(entry)));
+      continue;
+    }
+    ids.push(await awaitRunHistoryRequest(store.add({
+      ...entry,
+      requestId: crypto.randomUUID(),
+      createdAt: now,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now
+    })));
+  }
+  await done;
+  return ids;
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {'pending'|'dead'} [filter.status]
+ * @returns {Promise<Object[]>} 古い順
+ */
+async function listOutbox(filter = {}) {
+  const db = await openRunHistoryDb();
+  const { store, done } = openRunHistoryStore(db, 'readonly', RUN_OUTBOX_STORE);
+  const rows = await awaitRunHistoryRequest(store.getAll());
+  await done;
+  return filter.status ? rows.filter((row) => row.status === filter.status) : rows;
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|undefined>}
+ */
+async function getOutboxEntry(id) {
+  const db = await openRunHistoryDb();
+  const { store, done } = openRunHistoryStore(db, 'readonly', RUN_OUTBOX_STORE);
+  const row = await awaitRunHistoryRequest(store.get(id));
+  await done;
+  return row;
+}
+
+/**
+ * @param {number} id
+ * @param {(row: Object) => Object|null} update - null を返したら行を消す
+ * @returns {Promise<Object|null>} 更新後の行（消した・無かったときは null）
+ */
+async function updateOutboxEntry(id, update) {
+  const db = await openRunHistoryDb();
+  const { store, done } = openRunHistoryStore(db, 'readwrite', RUN_OUTBOX_STORE);
+  const row = await awaitRunHistoryRequest(store.get(id));
+  let next = null;
+  if (row) {
+    next = update(row);
+    if (next) {
+      store.put(next);
+    } else {
+      store.delete(id);
+    }
+  }
+  await done;
+  return next;
+}
+
+/**
+ * API が受け付けた行を消す
+ *
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function markOutboxDelivered(id) {
+  await updateOutboxEntry(id, () => null);
+}
+
+/**
+ * 送信失敗を記録し、次の再送時刻を決める（上限到達・再送しても通らない応答なら dead。認証エラーは数えない）
+ *
+ * @param {number} id
+ * @param {Error & { status?: number }} error
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Object|null>} 更新後の行
+ */
+async function markOutboxFailed(id, error, now = Date.now()) {
+  const next = await updateOutboxEntry(id, (row) => {
+    const lastError = String(error?.message || error).substring(0, OUTBOX_ERROR_MAX_LENGTH);
+    if (isAuthOutboxError(error)) {
+      return { ...row, lastAttemptAt: now, lastError, nextAttemptAt: now + OUTBOX_RETRY_MAX_MS };
+    }
+    const attempts = (row.attempts || 0) + 1;
+    const dead = attempts >= OUTBOX_MAX_ATTEMPTS || isPermanentOutboxError(error);
+    return {
+      ...row,
+      attempts,
+      lastAttemptAt: now,
+      lastError,
+      status: dead ? 'dead' : 'pending',
+      nextAttemptAt: dead ? null : now + computeOutboxRetryDelayMs(attempts),
+      ...(dead ? { deadAt: now } : {})
+    };
+  });
+  if (next?.status === 'dead') {
+    await pruneDeadOutbox();
+  }
+  return next;
+}
+
+/**
+ * すぐ再送する（dead は失敗回数を戻して送信待ちに戻す）
+ *
+ * @param {number} id
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Object|null>}
+ */
+async function requeueOutboxEntry(id, now = Date.now()) {
+  return updateOutboxEntry(id, (row) => {
+    const { deadAt, ...rest } = row;
+    return {
+      ...rest,
+      status: 'pending',
+      attempts: row.status === 'dead' ? 0 : row.attempts,
+      nextAttemptAt: now
+    };
+  });
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function deleteOutboxEntry(id) {
+  await updateOutboxEntry(id, () => null);
+}
+
+/**
+ * dead が OUTBOX_DEAD_MAX_ROWS を超えたら古いものから消す
+ *
+ * @returns {Promise<void>}
+ */
+async function pruneDeadOutbox() {
+  const dead = await listOutbox({ status: 'dead' });
+  // id は採番順なので古いものが先頭
+  for (const row of dead.slice(0, Math.max(0, dead.length - OUTBOX_DEAD_MAX_ROWS))) {
+    await deleteOutboxEntry(row.id);
+  }
+}
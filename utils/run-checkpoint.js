@@ -0,0 +1,137 @@
+/**
+ * 実行中チェックポイント（Service Worker が実行の途中で終了しても、次の起動で再開・後始末できるようにする）
+ *
+ * - 進捗は chrome.storage.local.runCheckpoints[siteId] に保存する（ブラウザ再起動でも残す）
+ *   `{ runId, instanceId, invokedBy, mockMode, localMode, startedAt, updatedAt, resumeCount, ...進捗 }`
+ *   - rakutenMonths: `{ pages, items, nextMonthUrl }`（取得済みの月と、次に開く前月の URL）
+ *   - chatgptInFlight: `{ tweetId, startedAt, submitted, submittedAt? }`（ChatGPT へ送信中のポスト）
+ *   - send: `{ payload, key, outboxIds }`（収集済みの送信内容、Idempotency-Key の元、積んだ送信待ちの id）
+ * - 開いたタブは chrome.storage.session.runCheckpointTabs[siteId] に置く
+ *   （tabId はブラウザ再起動で振り直されるため、同じブラウザセッションの間だけ残す）
+ * - runSite の開始時に作り、終了時（成功・失敗・中断）に消す。instanceId が今の起動と違うものは、
+ *   前回の起動で終了しきれなかった実行
+ * - run-lock.js（RUN_LOCK_INSTANCE_ID）の後に読み込む
+ */
+
+const RUN_CHECKPOINT_STORAGE_KEY = 'runCheckpoints';
+const RUN_CHECKPOINT_TABS_STORAGE_KEY = 'runCheckpointTabs';
+
+/** runCheckpoints / runCheckpointTabs の読み書きを直列化する */
+let runCheckpointMutation = Promise.resolve();
+
+/**
+ * @template T
+ * @param {(checkpoints: Object, tabs: Object) => { checkpoints?: Object, tabs?: Object, result: T }} mutate
+ * @returns {Promise<T>}
+ */
+function mutateRunCheckpoints(mutate) {
+  const next = runCheckpointMutation.then(async () => {
+    const local = await chrome.storage.local.get(RUN_CHECKPOINT_STORAGE_KEY);
+    const session = await chrome.storage.session.get(RUN_CHECKPOINT_TABS_STORAGE_KEY);
+    const out = mutate(
+      { ...(local[RUN_CHECKPOINT_STORAGE_KEY] || {}) },
+      { ...(session[RUN_CHECKPOINT_TABS_STORAGE_KEY] || {}) }
+    );
+    if (out.checkpoints) {
+      await chrome.storage.local.set({ [RUN_CHECKPOINT_STORAGE_KEY]: out.checkpoints });
+    }
+    if (out.tabs) {
+      await chrome.storage.session.set({ [RUN_CHECKPOINT_TABS_STORAGE_KEY]: out.tabs });
+    }
+    return out.result;
+  });
+  runCheckpointMutation = next.catch(() => {});
+  return next;
+}
+
+/**
+ * 実行開始時にチェックポイントを作る（同じサイトの古いチェックポイントは置き換える）
+ *
+ * @param {string} siteId
+ * @param {Object} checkpoint - runId / invokedBy / mockMode / localMode / startedAt / resumeCount と引き継ぐ進捗
+ * @returns {Promise<void>}
+ */
+async function startRunCheckpoint(siteId, checkpoint) {
+  await mutateRunCheckpoints((checkpoints, tabs) => {
+    delete tabs[siteId];
+    return {
+      checkpoints: {
+        ...checkpoints,
+        [siteId]: { ...checkpoint, instanceId: RUN_LOCK_INSTANCE_ID, updatedAt: Date.now() }
+      },
+      tabs,
+      result: null
+    };
+  });
+}
+
+/**
+ * この起動で実行中のチェックポイントに進捗を書き足す（無ければ何もしない）
+ *
+ * @param {string} siteId
+ * @param {Object|((checkpoint: Object) => Object)} patch
+ * @returns {Promise<void>}
+ */
+async function patchRunCheckpoint(siteId, patch) {
+  await mutateRunCheckpoints((checkpoints) => {
+    const current = checkpoints[siteId];
+    if (!current || current.instanceId !== RUN_LOCK_INSTANCE_ID) {
+      return { result: null };
+    }
+    const resolved = typeof patch === 'function' ? patch(current) : patch;
+    checkpoints[siteId] = { ...current, ...resolved, updatedAt: Date.now() };
+    return { checkpoints, result: null };
+  });
+}
+
+/**
+ * @param {string} siteId
+ * @returns {Promise<Object|null>}
+ */
+async function getRunCheckpoint(siteId) {
+  const got = await chrome.storage.local.get(RUN_CHECKPOINT_STORAGE_KEY);
+  return got[RUN_CHECKPOINT_STORAGE_KEY]?.[siteId] || null;
+}
+
+/**
+ * @param {string} siteId
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+async function addRunCheckpointTab(siteId, tabId) {
+  await mutateRunCheckpoints((checkpoints, tabs) => ({
+    tabs: { ...tabs, [siteId]: [...(tabs[siteId] || []), tabId] },
+    result: null
+  }));
+}
+
+/**
+ * 実行終了時にチェックポイントを消す
+ *
+ * @param {string} siteId
+ * @param {string} [runId] - 指定時はその実行のチェックポイントのときだけ消す
+ * @returns {Promise<void>}
+ */
+async function clearRunCheckpoint(siteId, runId) {
+  await mutateRunCheckpoints((checkpoints, tabs) => {
+    if (!checkpoints[siteId] || (runId && checkpoints[siteId].runId !== runId)) {
+      return { result: null };
+    }
+    delete checkpoints[siteId];
+    delete tabs[siteId];
+    return { checkpoints, tabs, result: null };
+  });
+}
+
+/**
+ * 前回までの起動で終了しきれなかった実行を返す
+ *
+ * @returns {Promise<Array<{ siteId: string, checkpoint: Object, tabIds: number[] }>>}
+ */
+async function listInterruptedRunCheckpoints() {
+  return mutateRunCheckpoints((checkpoints, tabs) => ({
+    result: Object.entries(checkpoints)
+      .filter(([, checkpoint]) => checkpoint.instanceId !== RUN_LOCK_INSTANCE_ID)
+      .map(([siteId, checkpoint]) => ({ siteId, checkpoint, tabIds: tabs[siteId] || [] }))
+  }));
+}
@@ -0,0 +1,255 @@
+/**
+ * 実行履歴（IndexedDB。1回の runSite につき1行）
+ *
+ * - Service Worker が runSite の終了時に appendRunHistory で追記し、保持設定に従って古い行を削除する
+ * - オプション画面が listRunHistory で絞り込み表示する（同じ拡張機能オリジンの DB を共有）
+ * - 行: `{ id, siteId, invokedBy, mockMode, localMode, startedAt, endedAt, status, recordCount, error, endpoints }`
+ *   - status: 'ok' | 'fail' | 'cancelled'
+ *   - endpoints: 実際に送信した API（`[{ api, at, items?, batches?, delivered?, pending?, dead? }]`。モック実行では空。
+ *     delivered / pending / dead は送信待ちを経由した送信の内訳）
+ *   - evidenceIds: 失敗時に保存した証跡（evidence ストアの id）
+ * - 保持設定は settings.runHistory（`{ maxDays, maxRows }`）
+ * - 失敗時の証跡（スクリーンショット・サニタイズ済み HTML）は容量が大きいため別ストアに置き、
+ *   新しいものから RUN_EVIDENCE_MAX_ROWS 件だけ残す
+ */
+
+const RUN_HISTORY_DB_NAME = 'periodic-site-watcher';
+const RUN_HISTORY_DB_VERSION = 3;
+const RUN_HISTORY_STORE = 'runs';
+const RUN_EVIDENCE_STORE = 'evidence';
+/** 外部 API 送信の送信待ち（読み書きは utils/outbox.js） */
+const RUN_OUTBOX_STORE = 'outbox';
+
+/** 証跡の保持件数（1件で数 MB になりうる） */
+const RUN_EVIDENCE_MAX_ROWS = 30;
+
+/** @readonly 保持設定の既定値 */
+const DEFAULT_RUN_HISTORY_RETENTION = Object.freeze({
+  maxDays: 90,
+  maxRows: 2000
+});
+
+const RUN_HISTORY_MAX_DAYS_LIMIT = 3650;
+const RUN_HISTORY_MAX_ROWS_LIMIT = 100000;
+
+/** エラー全文の保存上限（state.lastError の100文字より長く残す） */
+const RUN_HISTORY_ERROR_MAX_LENGTH = 2000;
+
+/** @type {Promise<IDBDatabase>|null} */
+let runHistoryDbPromise = null;
+
+/**
+ * @param {Object} [retention] - settings.runHistory
+ * @returns {{ maxDays: number, maxRows: number }}
+ */
+function normalizeRunHistoryRetention(retention) {
+  const pick = (value, fallback, max) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 1 && n <= max ? n : fallback;
+  };
+  return {
+    maxDays: pick(retention?.maxDays, DEFAULT_RUN_HISTORY_RETENTION.maxDays, RUN_HISTORY_MAX_DAYS_LIMIT),
+    maxRows: pick(retention?.maxRows, DEFAULT_RUN_HISTORY_RETENTION.maxRows, RUN_HISTORY_MAX_ROWS_LIMIT)
+  };
+}
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function awaitRunHistoryRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function openRunHistoryDb() {
+  if (!runHistoryDbPromise) {
+    runHistoryDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(RUN_HISTORY_DB_NAME, RUN_HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RUN_HISTORY_STORE)) {
+          const store = db.createObjectStore(RUN_HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('startedAt', 'startedAt');
+          store.createIndex('siteId', 'siteId');
+        }
+        if (!db.objectStoreNames.contains(RUN_EVIDENCE_STORE)) {
+          db.createObjectStore(RUN_EVIDENCE_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(RUN_OUTBOX_STORE)) {
+          db.createObjectStore(RUN_OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // 別コンテキスト（SW / オプション画面）が新しい版で開くときは閉じて譲る
+        db.onversionchange = () => {
+          db.close();
+          runHistoryDbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+    runHistoryDbPromise.catch(() => {
+      runHistoryDbPromise = null;
+    });
+  }
+  return runHistoryDbPromise;
+}
+
+/**
+ * @param {IDBDatabase} db
+ * @param {IDBTransactionMode} mode
+ * @param {string} [storeName=RUN_HISTORY_STORE]
+ * @returns {{ store: IDBObjectStore, done: Promise<void> }}
+ */
+function openRunHistoryStore(db, mode, storeName = RUN_HISTORY_STORE) {
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Run history transaction aborted'));
+  });
+  return { store: tx.objectStore(storeName), done };
+}
+
+/**
+ * 1行追記する
+ *
+ * @param {Object} row - id 以外の列
+ * @returns {Promise<number>} 採番された id
+ */
+async function appendRunHistory(row) {
+  const db = await openRunHistoryDb();
+  const { store, done } = openRunHistoryStore(db, 'readwrite');
+  const id = await awaitRunHistoryRequest(store.add({
+    ...row,
+    error: row.error ? String(row.error).substring(0, RUN_HISTORY_ERROR_MAX_LENGTH) : ''
+  }));
+  await done;
+  return id;
+}
+
+/**
+ * 新しい順に絞り込んで返す
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.siteId]
+ * @param {string} [filter.status]
+ * @param {boolean} [filter.sentOnly] - 送信先が1件以上ある行だけ
+ * @param {number} [filter.limit=200]
+ * @returns {Promise<Object[]>}
+ */
+async function listRunHistory(filter = {}) {
+  const limit = Number.isInteger(filter.limit) && filter.limit > 0 ? filter.limit : 200;
+  const db = await openRunHistoryDb();
+  const { store, done } = openRunHistoryStore(db, 'readonly');
+  const rows = [];
+  await new Promise((resolve, reject) => {
+    const request = store.index('startedAt').openCursor(null, 'prev');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || rows.length >= limit) {
+        resolve();
+        return;
+      }
+      const row = cursor.value;
+      if (
+        (!filter.siteId || row.siteId === filter.siteId) &&
+        (!filter.status || row.status === filter.status) &&
+        (!filter.sentOnly || (Array.isArray(row.endpoints) && row.endpoints.length > 0))
+      ) {
+        rows.push(row);
+      }
+      cursor.continue();
+    };
+  });
+  await done;
+  return rows;
+}
+
+/**
+ * 保持設定を超えた古い行を削除する
+ *
+ * @param {Object} [retention] - settings.runHistory
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<number>} 削除した行数
+ */
+async function pruneRunHistory(retention, now = Date.now()) {
+  const { maxDays, maxRows } = normalizeRunHistoryRetention(retention);
+  const cutoff = now - maxDays * 24 * 60 * 60 * 1000;
+  const db = await openRunHistoryDb();
+  const { store, done } = openRunHistoryStore(db, 'readwrite');
+  const total = await awaitRunHistoryRequest(store.count());
+  let excess = Math.max(0, total - maxRows);
+  let deleted = 0;
+  await new Promise((resolve, reject) => {
+    // 古い順に、期限切れまたは件数超過の分だけ消す
+    const request = store.index('startedAt').openCursor(null, 'next');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || (excess <= 0 && cursor.value.startedAt >= cutoff)) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      deleted += 1;
+      excess -= 1;
+      cursor.continue();
+    };
+  });
+  await done;
+  return deleted;
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+async function clearRunHistory() {
+  const db = await openRunHistoryDb();
+  for (const storeName of [RUN_HISTORY_STORE, RUN_EVIDENCE_STORE]) {
+    const { store, done } = openRunHistoryStore(db, 'readwrite', storeName);
+    store.clear();
+    await done;
+  }
+}
+
+/**
+ * 失敗時の証跡を保存し、保持件数を超えた古い証跡を削除する
+ *
+ * @param {{ siteId: string, capturedAt: number, url: string, title: string, error: string, screenshot: string|null, html: string }} evidence
+ * @returns {Promise<number>} 採番された id
+ */
+async function appendRunEvidence(evidence) {
+  const db = await openRunHistoryDb();
+  const { store, done } = openRunHistoryStore(db, 'readwrite', RUN_EVIDENCE_STORE);
+  const id = await awaitRunHistoryRequest(store.add(evidence));
+  const keys = await awaitRunHistoryRequest(store.getAllKeys());
+  // id は採番順なので古いものが先頭
+  for (const key of keys.slice(0, Math.max(0, keys.length - RUN_EVIDENCE_MAX_ROWS))) {
+    store.delete(key);
+  }
+  await done;
+  return id;
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|undefined>} 保持件数を超えて削除済みなら undefined
+ */
+async function getRunEvidence(id) {
+  const db = await openRunHistoryDb();
+  const { store, done } = openRunHistoryStore(db, 'readonly', RUN_EVIDENCE_STORE);
+  const evidence = await awaitRunHistoryRequest(store.get(id));
+  await done;
+  return evidence;
+}
@@ -0,0 +1,158 @@
+/**
+ * サイト実行のグローバルロックと待ち行列
+ *
+ * - 同時に実行できるサイトは1つだけ（スケジュール・手動・連動のすべて）
+ * - ロックは chrome.storage.local.runLock に保存し、保持中は heartbeatAt を定期更新する
+ *   （Service Worker が落ちて heartbeat が途絶えたロックは RUN_LOCK_STALE_MS 後に引き継ぐ）
+ * - 待ちは chrome.storage.local.runQueue に到着順で並べ、オプション画面が順番を表示する
+ * - 起動経路の表示名（INVOKED_BY_LABELS）も Service Worker のログとオプション画面の表示で共有する
+ */
+
+/** 起動経路の表示名（dependency は上流サイトに連動した実行） */
+const INVOKED_BY_LABELS = Object.freeze({
+  schedule: 'スケジュール',
+  manual: '手動',
+  dependency: '依存',
+  'catch-up': '取りこぼし'
+});
+
+const RUN_LOCK_STORAGE_KEY = 'runLock';
+const RUN_QUEUE_STORAGE_KEY = 'runQueue';
+const RUN_LOCK_HEARTBEAT_MS = 20 * 1000;
+/** heartbeat がこれ以上途絶えたロックは放棄されたとみなす */
+const RUN_LOCK_STALE_MS = 2 * 60 * 1000;
+const RUN_LOCK_POLL_MS = 1000;
+
+/** この Service Worker 起動の識別子（前回起動の待ち行列を掃除するため） */
+const RUN_LOCK_INSTANCE_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/** runLock / runQueue の読み書きを直列化する（storage には CAS が無いため） */
+let runLockMutation = Promise.resolve();
+
+/**
+ * @template T
+ * @param {(lock: Object|null, queue: Object[]) => { lock?: Object|null, queue?: Object[], result: T }} mutate
+ * @returns {Promise<T>}
+ */
+function mutateRunLockStorage(mutate) {
+  const next = runLockMutation.then(async () => {
+    const got = await chrome.storage.local.get([RUN_LOCK_STORAGE_KEY, RUN_QUEUE_STORAGE_KEY]);
+    const lock = got[RUN_LOCK_STORAGE_KEY] || null;
+    const queue = Array.isArray(got[RUN_QUEUE_STORAGE_KEY]) ? got[RUN_QUEUE_STORAGE_KEY] : [];
+    const out = mutate(lock, queue);
+    const updates = {};
+    if (Object.prototype.hasOwnProperty.call(out, 'lock')) {
+      updates[RUN_LOCK_STORAGE_KEY] = out.lock;
+    }
+    if (Object.prototype.hasOwnProperty.call(out, 'queue')) {
+      updates[RUN_QUEUE_STORAGE_KEY] = out.queue;
+    }
+    if (Object.keys(updates).length > 0) {
+      await chrome.storage.local.set(updates);
+    }
+    return out.result;
+  });
+  runLockMutation = next.catch(() => {});
+  return next;
+}
+
+/**
+ * @param {Object|null} lock
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function isRunLockStale(lock, now = Date.now()) {
+  return !!lock && (typeof lock.heartbeatAt !== 'number' || now - lock.heartbeatAt > RUN_LOCK_STALE_MS);
+}
+
+/**
+ * ロックを取得してから task を実行する（取得まで runQueue に並んで待つ）
+ *
+ * @template T
+ * @param {{ siteId: string, invokedBy: string }} entry
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+async function withRunLock(entry, task) {
+  const owner = `${RUN_LOCK_INSTANCE_ID}:${Date.now().toString(36)}:${Math.random().toString(36).slice(2, 8)}`;
+  const ticket = {
+    owner,
+    instanceId: RUN_LOCK_INSTANCE_ID,
+    siteId: entry.siteId,
+    invokedBy: entry.invokedBy,
+    requestedAt: Date.now()
+  };
+
+  await mutateRunLockStorage((lock, queue) => ({
+    // 前回起動の待ちは応答先が無いため捨てる
+    queue: [...queue.filter((q) => q.instanceId === RUN_LOCK_INSTANCE_ID), ticket],
+    result: null
+  }));
+
+  for (;;) {
+    const acquired = await mutateRunLockStorage((lock, queue) => {
+      const now = Date.now();
+      const live = queue.filter((q) => q.instanceId === RUN_LOCK_INSTANCE_ID);
+      if (live[0]?.owner !== owner || (lock && !isRunLockStale(lock, now))) {
+        // 待つだけの間は書き込まない（storage.onChanged でオプション画面が毎秒描き直さないため）
+        return live.length === queue.length ? { result: false } : { queue: live, result: false };
+      }
+      if (lock) {
+        console.warn(`[RunLock] 放棄されたロックを引き継ぎます（${lock.siteId} / 最終 heartbeat: ${new Date(lock.heartbeatAt).toLocaleString('ja-JP')}）`);
+      }
+      return {
+        lock: { ...ticket, acquiredAt: now, heartbeatAt: now },
+        queue: live.slice(1),
+        result: true
+      };
+    });
+    if (acquired) break;
+    await new Promise((resolve) => setTimeout(resolve, RUN_LOCK_POLL_MS));
+  }
+
+  const heartbeatId = setInterval(() => {
+    mutateRunLockStorage((lock) =>
+      lock?.owner === owner
+        ? { lock: { ...lock, heartbeatAt: Date.now() }, result: null }
+        : { result: null }
+    ).catch(() => {});
+  }, RUN_LOCK_HEARTBEAT_MS);
+
+  try {
+    return await task();
+  } finally {
+    clearInterval(heartbeatId);
+    await mutateRunLockStorage((lock) =>
+      lock?.owner === owner ? { lock: null, result: null } : { result: null }
+    );
+  }
+}
+
+/**
+ * 前回の Service Worker 起動が持ったまま終了したロックを解放する
+ * （同時に動く Service Worker は1つだけなので、heartbeat の途絶を待たずに引き継げる）
+ *
+ * @returns {Promise<Object|null>} 解放したロック
+ */
+async function releaseOrphanedRunLock() {
+  return mutateRunLockStorage((lock) =>
+    lock && lock.instanceId !== RUN_LOCK_INSTANCE_ID
+      ? { lock: null, result: lock }
+      : { result: null }
+  );
+}
+
+/**
+ * 実行中ロックに収集の進捗を書き込む（オプション画面の「実行状況」に表示）
+ *
+ * @param {string} siteId - ロックを持っているはずのサイト
+ * @param {{ collectSiteId: string, step: string, detail: Object, at: number }} progress
+ * @returns {Promise<void>}
+ */
+async function updateRunLockProgress(siteId, progress) {
+  await mutateRunLockStorage((lock) =>
+    lock?.siteId === siteId && lock.instanceId === RUN_LOCK_INSTANCE_ID
+      ? { lock: { ...lock, progress }, result: null }
+      : { result: null }
+  );
+}
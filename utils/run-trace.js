@@ -0,0 +1,94 @@
+/**
+ * 1回の実行の手順トレース（どの手順で何秒かかり、どこで止まったかを残す）
+ *
+ * - Service Worker が runSite ごとに createRunTrace で作り、各手順を trace.step で囲む
+ * - 実行後に state.bySite[siteId].lastTrace へ保存し、オプション画面が表で表示する
+ * - 手順: `{ name, startedAt, endedAt, outcome: 'ok'|'fail'|'cancelled', detail?, error? }`
+ */
+
+/** 1回の実行で保存する手順数の上限（x-bookmarks はポスト数に比例して増えるため） */
+const RUN_TRACE_MAX_STEPS = 100;
+
+/** 手順エラーの保存文字数 */
+const RUN_TRACE_ERROR_MAX_LENGTH = 200;
+
+/**
+ * @param {AbortSignal} [signal] - 中断時に失敗ではなく cancelled として記録するため（上限超過の abort は fail）
+ * @returns {{
+ *   startedAt: number,
+ *   steps: Object[],
+ *   droppedSteps: number,
+ *   step: <T>(name: string, fn: () => Promise<T>, detail?: Object|((result: T) => Object)) => Promise<T>,
+ *   finish: (outcome: string) => Object
+ * }}
+ */
+function createRunTrace(signal) {
+  const trace = {
+    startedAt: Date.now(),
+    steps: [],
+    droppedSteps: 0,
+    /**
+     * fn を1手順として計測する（例外はそのまま投げ直す）
+     */
+    async step(name, fn, detail) {
+      const entry = { name, startedAt: Date.now(), endedAt: null, outcome: null };
+      if (trace.steps.length < RUN_TRACE_MAX_STEPS) {
+        trace.steps.push(entry);
+      } else {
+        trace.droppedSteps += 1;
+      }
+      try {
+        const result = await fn();
+        const resolved = typeof detail === 'function' ? detail(result) : detail;
+        if (resolved && Object.keys(resolved).length > 0) {
+          entry.detail = resolved;
+        }
+        entry.outcome = 'ok';
+        return result;
+      } catch (error) {
+        // 実行全体の上限超過（reason.runDeadline）による abort・中断後に起きた別のエラーは中断ではなく失敗
+        entry.outcome =
+          signal?.aborted && signal.reason?.runDeadline !== true && error?.runCancelled === true ? 'cancelled' : 'fail';
+        entry.error = String(error?.message || error).substring(0, RUN_TRACE_ERROR_MAX_LENGTH);
+        if (detail && typeof detail === 'object') {
+          entry.detail = detail;
+        }
+        throw error;
+      } finally {
+        entry.endedAt = Date.now();
+      }
+    },
+    /**
+     * state 保存用（未完了の手順は実行終了時刻で閉じる）
+     */
+    finish(outcome) {
+      const endedAt = Date.now();
+      return {
+        startedAt: trace.startedAt,
+        endedAt,
+        outcome,
+        steps: trace.steps.map((s) => (s.endedAt === null ? { ...s, endedAt, outcome } : s)),
+        ...(trace.droppedSteps > 0 ? { droppedSteps: trace.droppedSteps } : {})
+      };
+    }
+  };
+  return trace;
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} 例: `820ms` / `12.3秒` / `2分05秒`
+ */
+function formatRunTraceDuration(ms) {
+  if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) {
+    return '—';
+  }
+  if (ms < 1000) {
+    return `${ms}ms`;
+  }
+  if (ms < 60 * 1000) {
+    return `${(ms / 1000).toFixed(1)}秒`;
+  }
+  const sec = Math.round(ms / 1000);
+  return `${Math.floor(sec / 60)}分${String(sec % 60).padStart(2, '0')}秒`;
+}
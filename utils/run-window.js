@@ -0,0 +1,193 @@
+/**
+ * 実行許可時間帯（allowedWindows）と停止期間（blackouts）
+ *
+ * - site.allowedWindows: 実行してよい時間帯。空なら常に許可
+ * - site.blackouts: 実行しない時間帯（allowedWindows より優先）
+ * - どちらも `{ days?: number[], start?: 'HH:MM', end?: 'HH:MM' }` の配列（ローカル時刻）
+ *   - days: 日（1-31）の指定。省略時は毎日
+ *   - start/end: 省略時は終日。start > end は日付またぎ（23:30-06:00 は翌 06:00 まで）で、
+ *     days は開始側の日付で判定する
+ * - オプション画面では1行1ルールのテキスト（例: `23:30-06:00` / `day=1` / `day=1 00:00-06:00`）で編集する
+ */
+
+/** 次の許可時刻を探す上限（日） */
+const RUN_WINDOW_SEARCH_MAX_DAYS = 62;
+
+const RUN_WINDOW_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * @param {string} hhmm
+ * @returns {number} 0:00 からの分
+ */
+function parseWindowMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * 1行分のルールを解釈する
+ *
+ * @param {string} line - 例: `23:30-06:00` / `day=1` / `day=1,15 00:00-06:00`
+ * @returns {{ rule?: Object, error?: string }}
+ */
+function parseRunWindowRule(line) {
+  const tokens = String(line || '').trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0 || tokens.length > 2) {
+    return { error: `「${line}」は解釈できません` };
+  }
+  const rule = {};
+  for (const token of tokens) {
+    if (token.startsWith('day=')) {
+      if (rule.days) {
+        return { error: `「${line}」で day= が重複しています` };
+      }
+      const days = token.slice(4).split(',').map((v) => parseInt(v, 10));
+      if (days.length === 0 || days.some((d) => !Number.isInteger(d) || d < 1 || d > 31)) {
+        return { error: `「${line}」の day= は 1〜31 のカンマ区切りで指定してください` };
+      }
+      rule.days = Array.from(new Set(days)).sort((a, b) => a - b);
+    } else {
+      if (rule.start) {
+        return { error: `「${line}」で時間帯が重複しています` };
+      }
+      const [start, end] = token.split('-');
+      if (!RUN_WINDOW_TIME_PATTERN.test(start || '') || !RUN_WINDOW_TIME_PATTERN.test(end || '')) {
+        return { error: `「${line}」の時間帯は HH:MM-HH:MM で指定してください` };
+      }
+      rule.start = start;
+      rule.end = end;
+    }
+  }
+  return { rule };
+}
+
+/**
+ * 複数行テキストをルール配列にする（空行・`#` で始まる行は無視）
+ *
+ * @param {string} text
+ * @returns {{ rules?: Object[], error?: string }}
+ */
+function parseRunWindowRules(text) {
+  const rules = [];
+  for (const raw of String(text || '').split('\n')) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const parsed = parseRunWindowRule(line);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    rules.push(parsed.rule);
+  }
+  return { rules };
+}
+
+/**
+ * @param {Object[]|undefined} rules
+ * @returns {string} 1行1ルールのテキスト
+ */
+function formatRunWindowRules(rules) {
+  return (Array.isArray(rules) ? rules : [])
+    .map((rule) => {
+      const parts = [];
+      if (Array.isArray(rule.days) && rule.days.length > 0) {
+        parts.push(`day=${rule.days.join(',')}`);
+      }
+      if (rule.start && rule.end) {
+        parts.push(`${rule.start}-${rule.end}`);
+      }
+      return parts.join(' ');
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * @param {Object} rule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function runWindowRuleMatches(rule, date) {
+  const dayMatches = (d) => !Array.isArray(rule.days) || rule.days.length === 0 || rule.days.includes(d.getDate());
+  if (!rule.start || !rule.end || rule.start === rule.end) {
+    return dayMatches(date);
+  }
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = parseWindowMinutes(rule.start);
+  const end = parseWindowMinutes(rule.end);
+  if (start < end) {
+    return dayMatches(date) && minutes >= start && minutes < end;
+  }
+  if (minutes >= start) {
+    return dayMatches(date);
+  }
+  if (minutes < end) {
+    const previousDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+    return dayMatches(previousDay);
+  }
+  return false;
+}
+
+/**
+ * 指定時刻にサイトを実行してよいか
+ *
+ * @param {number} time
+ * @param {{ allowedWindows?: Object[], blackouts?: Object[] }} site
+ * @returns {boolean}
+ */
+function isWithinRunWindow(time, site) {
+  const date = new Date(time);
+  const allowed = Array.isArray(site?.allowedWindows) ? site.allowedWindows : [];
+  const blackouts = Array.isArray(site?.blackouts) ? site.blackouts : [];
+  if (allowed.length > 0 && !allowed.some((rule) => runWindowRuleMatches(rule, date))) {
+    return false;
+  }
+  return !blackouts.some((rule) => runWindowRuleMatches(rule, date));
+}
+
+/**
+ * 許可・停止が切り替わりうる時刻（0:00 からの分。日付が変わる 0:00 と各ルールの start/end）
+ *
+ * @param {{ allowedWindows?: Object[], blackouts?: Object[] }} site
+ * @returns {number[]} 昇順
+ */
+function listRunWindowBoundaryMinutes(site) {
+  const minutes = new Set([0]);
+  for (const rule of [...(site?.allowedWindows || []), ...(site?.blackouts || [])]) {
+    if (rule?.start && rule?.end) {
+      minutes.add(parseWindowMinutes(rule.start));
+      minutes.add(parseWindowMinutes(rule.end));
+    }
+  }
+  return Array.from(minutes).sort((a, b) => a - b);
+}
+
+/**
+ * from 以降で最初に実行が許可される時刻（分単位）
+ *
+ * 許可されるかどうかは切り替わりの時刻（listRunWindowBoundaryMinutes）の間では変わらないため、
+ * 1分ずつではなく切り替わりの時刻だけを調べる。
+ *
+ * @param {number} from
+ * @param {{ allowedWindows?: Object[], blackouts?: Object[] }} site
+ * @returns {number|null} 上限日数内に無ければ null
+ */
+function computeNextAllowedRunTime(from, site) {
+  if (isWithinRunWindow(from, site)) {
+    return from;
+  }
+  const boundaries = listRunWindowBoundaryMinutes(site);
+  const day = new Date(from);
+  const limit = from + RUN_WINDOW_SEARCH_MAX_DAYS * 24 * 60 * 60 * 1000;
+  for (let i = 0; i <= RUN_WINDOW_SEARCH_MAX_DAYS; i++) {
+    for (const minutes of boundaries) {
+      const t = new Date(day.getFullYear(), day.getMonth(), day.getDate() + i, 0, minutes).getTime();
+      if (t > limit) {
+        return null;
+      }
+      if (t > from && isWithinRunWindow(t, site)) {
+        return t;
+      }
+    }
+  }
+  return null;
+}
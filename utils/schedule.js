@@ -17,16 +17,220 @@ function normalizeScheduleEvery(schedule) {
   return e;
 }
 
+/** cron 各フィールドの範囲（分 時 日 月 曜日）。曜日の 7 は日曜として 0 に寄せる */
+const CRON_FIELD_RANGES = Object.freeze([
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+]);
+
+/** 次回 cron 時刻の探索上限（日数）。一致しない式は解析時に弾くが、無限ループしないための保険 */
+const CRON_SEARCH_MAX_DAYS = 366 * 5;
+
+/** 月ごとの最大日数（2月はうるう年の 29） */
+const CRON_MONTH_MAX_DAYS = Object.freeze([31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]);
+
 /**
- * refTime 以降の最初のスロット（every=1 相当）
+ * cron の1フィールド（例: "1-5", "0,30", "*\/15", "8-18/2"）を値の配列に展開する
+ *
+ * @param {string} field
+ * @param {{ name: string, min: number, max: number }} range
+ * @returns {number[]}
+ * @throws {Error} 形式・範囲が不正な場合
+ */
+function parseCronField(field, range) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`cron の ${range.name} が不正です: ${part}`);
+    }
+    let start;
+    let end;
+    if (match[1] === '*') {
+      start = range.min;
+      end = range.max;
+    } else {
+      const [a, b] = match[1].split('-').map(Number);
+      start = a;
+      end = b === undefined ? (match[2] ? range.max : a) : b;
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+    if (start < range.min || end > range.max || start > end || step < 1) {
+      throw new Error(`cron の ${range.name} が範囲外です: ${part}`);
+    }
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+  return Array.from(values).sort((x, y) => x - y);
+}
+
+/**
+ * 5 フィールドの cron 式（分 時 日 月 曜日）を解析する
+ *
+ * 日と曜日の両方が "*" 以外のときは一般的な cron と同じく「どちらかに一致」で判定する。
+ * 一致する日が無い式（例: "0 0 30 2 *"）は形式が正しくても不正とする。
+ *
+ * @param {string} expression - 例: "30 7,19 * * 1-5"
+ * @returns {{ minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>, months: Set<number>, daysOfWeek: Set<number>, domRestricted: boolean, dowRestricted: boolean }}
+ * @throws {Error} 形式が不正な場合・一致する日が無い場合
+ */
+function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5 || fields[0] === '') {
+    throw new Error('cron 式は「分 時 日 月 曜日」の5フィールドで指定してください');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((f, i) =>
+    parseCronField(f, CRON_FIELD_RANGES[i])
+  );
+  // 曜日で絞る式はどの月にも一致する日がある。日だけで絞る式は、指定した月にその日が無いと永遠に一致しない
+  const dowRestricted = fields[4] !== '*';
+  if (!dowRestricted && !months.some((m) => daysOfMonth[0] <= CRON_MONTH_MAX_DAYS[m - 1])) {
+    throw new Error('cron 式に一致する日がありません（指定した月にその日がありません）');
+  }
+  return {
+    minutes: new Set(minutes),
+    hours: new Set(hours),
+    daysOfMonth: new Set(daysOfMonth),
+    months: new Set(months),
+    daysOfWeek: new Set(daysOfWeek.map((d) => (d === 7 ? 0 : d))),
+    domRestricted: fields[2] !== '*',
+    dowRestricted
+  };
+}
+
+/**
+ * @param {string} expression
+ * @returns {boolean}
+ */
+function isValidCronExpression(expression) {
+  try {
+    parseCronExpression(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {ReturnType<typeof parseCronExpression>} cron
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function cronMatchesDay(cron, date) {
+  const domOk = cron.daysOfMonth.has(date.getDate());
+  const dowOk = cron.daysOfWeek.has(date.getDay());
+  if (cron.domRestricted && cron.dowRestricted) {
+    return domOk || dowOk;
+  }
+  return domOk && dowOk;
+}
+
+/**
+ * refTime より後で cron 式に一致する最初の時刻
+ *
+ * 月→日→時→分の順に一致しない単位をまとめて飛ばすため、探索は日数オーダーで終わる。
  *
  * @param {number} refTime
+ * @param {string} expression
+ * @returns {number|null} 不正な式・一致する時刻が見つからない場合は null（スケジュールしない）
+ */
+function computeNextCronTime(refTime, expression) {
+  let cron;
+  try {
+    cron = parseCronExpression(expression);
+  } catch {
+    return null;
+  }
+
+  const date = new Date(refTime);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = refTime + CRON_SEARCH_MAX_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronMatchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date.getTime();
+  }
+  return null;
+}
+
+/**
+ * cron 式の次回以降 count 件の実行時刻（オプション画面のプレビュー用）
+ *
+ * @param {string} expression
+ * @param {number} [count=5]
+ * @param {number} [from=Date.now()]
+ * @returns {number[]} 不正な式の場合は空配列
+ */
+function listNextCronTimes(expression, count = 5, from = Date.now()) {
+  if (!isValidCronExpression(expression)) {
+    return [];
+  }
+  const times = [];
+  let t = from;
+  for (let i = 0; i < count; i++) {
+    t = computeNextCronTime(t, expression);
+    if (t === null) break;
+    times.push(t);
+  }
+  return times;
+}
+
+/**
+ * 指定年月における monthly スロット時刻
+ *
+ * dayOfMonth がその月の日数を超える場合（例: 31日指定の4月）は月末日に丸める。
+ *
+ * @param {number} year
+ * @param {number} month - 0-11（Date#getMonth と同じ）
  * @param {Object} schedule
  * @returns {number}
  */
+function monthlySlotIn(year, month, schedule) {
+  const [hours, minutes] = (schedule.at || '00:00').split(':').map(Number);
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  const day =
+    schedule.dayOfMonth === 'last'
+      ? lastDay
+      : Math.min(Math.max(1, Number(schedule.dayOfMonth) || 1), lastDay);
+  return new Date(year, month, day, hours, minutes, 0, 0).getTime();
+}
+
+/**
+ * refTime 以降の最初のスロット（every=1 相当）
+ *
+ * @param {number} refTime
+ * @param {Object} schedule
+ * @returns {number|null} cron が不正・一致しない場合は null
+ */
 function computeNextSlotFrom(refTime, schedule) {
   const date = new Date(refTime);
 
+  if (schedule.type === 'cron') {
+    return computeNextCronTime(refTime, schedule.cron);
+  }
+
   if (schedule.type === 'hourly') {
     date.setMinutes(schedule.minute ?? 0, 0, 0);
     date.setSeconds(0, 0);
@@ -45,6 +249,14 @@ function computeNextSlotFrom(refTime, schedule) {
     return date.getTime();
   }
 
+  if (schedule.type === 'monthly') {
+    const slot = monthlySlotIn(date.getFullYear(), date.getMonth(), schedule);
+    if (slot > refTime) {
+      return slot;
+    }
+    return monthlySlotIn(date.getFullYear(), date.getMonth() + 1, schedule);
+  }
+
   if (schedule.type === 'weekly') {
     const [hours, minutes] = (schedule.at || '00:00').split(':').map(Number);
     const currentDay = date.getDay();
@@ -68,11 +280,19 @@ function computeNextSlotFrom(refTime, schedule) {
  * @param {number} slotTime
  * @param {Object} schedule
  * @param {number} every
- * @returns {number}
+ * @returns {number|null} cron が不正・一致しない場合は null
  */
 function advanceSlotBy(slotTime, schedule, every) {
   const date = new Date(slotTime);
 
+  if (schedule.type === 'cron') {
+    let t = slotTime;
+    for (let i = 0; i < every && t !== null; i++) {
+      t = computeNextCronTime(t, schedule.cron);
+    }
+    return t;
+  }
+
   if (schedule.type === 'hourly') {
     date.setHours(date.getHours() + every);
     return date.getTime();
@@ -88,33 +308,202 @@ function advanceSlotBy(slotTime, schedule, every) {
     return date.getTime();
   }
 
+  // 丸めた日付（例: 2/28）から月を足すと日がずれるため、年月だけ進めてスロットを組み直す
+  if (schedule.type === 'monthly') {
+    return monthlySlotIn(date.getFullYear(), date.getMonth() + every, schedule);
+  }
+
   return slotTime + every * 60 * 60 * 1000;
 }
 
+/** @readonly 営業日のみ実行する場合の、非営業日スロットの扱い */
+const BUSINESS_DAY_SHIFT_POLICIES = Object.freeze(['skip', 'next', 'previous']);
+
+/**
+ * @readonly 'previous' を使えるスケジュール種別。
+ * 周期が前営業日までのずれより短い hourly・daily・cron では、ずらした先が前の実行より前（過去）や
+ * 別のスロットと同じ時刻になるため使えない
+ */
+const BUSINESS_DAY_PREVIOUS_SCHEDULE_TYPES = Object.freeze(['weekly', 'monthly']);
+
+/** 営業日調整でスロットを探す上限回数（hourly で大型連休をまたいでも足りる値） */
+const BUSINESS_DAY_MAX_SLOT_SEARCH = 2000;
+
+/** 非営業日をたどる上限日数（年末年始＋連休でも足りる値） */
+const BUSINESS_DAY_MAX_SHIFT_DAYS = 14;
+
+/**
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isScheduleBusinessDay(date) {
+  if (typeof isJpBusinessDay === 'function') {
+    return isJpBusinessDay(date);
+  }
+  const dow = date.getDay();
+  return dow !== 0 && dow !== 6;
+}
+
+/**
+ * スロット時刻に営業日ポリシーを適用する
+ *
+ * - skip: 非営業日のスロットは実行しない（null）
+ * - next: 同時刻のまま翌営業日へずらす
+ * - previous: 同時刻のまま前営業日へずらす（weekly・monthly のみ。ほかの種別では skip として扱う）
+ *
+ * @param {number} slotTime
+ * @param {Object} schedule
+ * @returns {number|null} 実行時刻。skip で実行しない場合は null
+ */
+function applyBusinessDayPolicy(slotTime, schedule) {
+  if (schedule?.businessDaysOnly !== true) {
+    return slotTime;
+  }
+  const date = new Date(slotTime);
+  if (isScheduleBusinessDay(date)) {
+    return slotTime;
+  }
+  let policy = BUSINESS_DAY_SHIFT_POLICIES.includes(schedule.businessDayShift)
+    ? schedule.businessDayShift
+    : 'skip';
+  if (policy === 'previous' && !BUSINESS_DAY_PREVIOUS_SCHEDULE_TYPES.includes(schedule.type)) {
+    policy = 'skip';
+  }
+  if (policy === 'skip') {
+    return null;
+  }
+  const step = policy === 'next' ? 1 : -1;
+  for (let i = 0; i < BUSINESS_DAY_MAX_SHIFT_DAYS; i++) {
+    date.setDate(date.getDate() + step);
+    if (isScheduleBusinessDay(date)) {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+/** 開始時刻の揺らぎ（site.jitterMinutes）の上限（分） */
+const JITTER_MAX_MINUTES = 60;
+
+/**
+ * @param {*} value - site.jitterMinutes
+ * @returns {number} 0〜JITTER_MAX_MINUTES の整数
+ */
+function normalizeJitterMinutes(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) return 0;
+  return Math.min(n, JITTER_MAX_MINUTES);
+}
+
+/**
+ * スロットごとに決まる揺らぎ（0〜jitterMinutes 分、秒単位）
+ *
+ * 同じサイト・同じスロットなら何度計算しても同じ値になる（再計算で実行時刻が動かない）。
+ *
+ * @param {number} slot
+ * @param {number} jitterMinutes
+ * @param {string} [jitterKey=''] - サイトごとに揺らぎをばらすためのキー（siteId）
+ * @returns {number} ミリ秒
+ */
+function computeSlotJitterMs(slot, jitterMinutes, jitterKey = '') {
+  const minutes = normalizeJitterMinutes(jitterMinutes);
+  if (minutes === 0) return 0;
+  // FNV-1a（32bit）
+  let hash = 0x811c9dc5;
+  const input = `${jitterKey}:${slot}`;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return Math.floor((hash / 0x100000000) * (minutes * 60 + 1)) * 1000;
+}
+
+/**
+ * computeNextScheduledRun 等の context に渡す揺らぎ設定
+ *
+ * @param {Object} site - settings.sites[siteId]
+ * @param {string} siteId
+ * @returns {{ jitterMinutes: number, jitterKey: string }}
+ */
+function getScheduleJitterContext(site, siteId) {
+  return { jitterMinutes: normalizeJitterMinutes(site?.jitterMinutes), jitterKey: siteId };
+}
+
+/**
+ * slot から every 周期ずつ進め、営業日ポリシー適用後に now より後となる最初のスロットを返す
+ *
+ * スロットの選択は揺らぎ前の時刻で行い、nextRun にだけ揺らぎを足す。
+ *
+ * @param {number} slot - 候補の先頭スロット
+ * @param {number} now
+ * @param {Object} schedule
+ * @param {number} every
+ * @param {{ jitterMinutes?: number, jitterKey?: string }} [jitter]
+ * @returns {{ slot: number|null, nextRun: number|null }} スロットが無い（cron が不正・一致しない）場合は null
+ */
+function resolveScheduledSlot(slot, now, schedule, every, jitter = {}) {
+  let candidate = slot;
+  for (let i = 0; i < BUSINESS_DAY_MAX_SLOT_SEARCH; i++) {
+    if (candidate === null) {
+      return { slot: null, nextRun: null };
+    }
+    const runAt = applyBusinessDayPolicy(candidate, schedule);
+    if (runAt !== null && runAt > now) {
+      return {
+        slot: candidate,
+        nextRun: runAt + computeSlotJitterMs(candidate, jitter.jitterMinutes, jitter.jitterKey)
+      };
+    }
+    candidate = advanceSlotBy(candidate, schedule, every);
+  }
+  return { slot: candidate, nextRun: candidate };
+}
+
 /**
- * 成功時の次回実行時刻を計算する
+ * 成功時の次回スロットと実行時刻を計算する
  *
  * 設計書の「not-before」方式に従い、指定されたスケジュールに基づいて
  * 「この時刻以降なら実行してよい」という時刻を返す。
  * PCスリープ等で遅れても、次回起床で実行可能になるように設計されている。
  *
+ * slot はスケジュール本来の時刻、nextRun は営業日調整後の実行時刻。
+ * 次回計算のアンカーには slot を使う（ずらした日付から周期を進めると形が崩れるため）。
+ *
  * @param {number} now - 現在時刻（epoch ms）
  * @param {Object} schedule - スケジュール設定
- * @param {string} schedule.type - 'hourly' | 'daily' | 'weekly'
- * @param {number} [schedule.every] - 実行間隔（1-23、省略時 1）
+ * @param {string} schedule.type - 'hourly' | 'daily' | 'weekly' | 'monthly' | 'cron'
+ * @param {number} [schedule.every] - 実行間隔（1-23、省略時 1。cron は一致 every 回ごと）
  * @param {number} [schedule.minute] - hourlyの場合の分（0-59）
- * @param {string} [schedule.at] - daily/weeklyの場合の時刻（'HH:MM'）
+ * @param {string} [schedule.at] - daily/weekly/monthlyの場合の時刻（'HH:MM'）
  * @param {number} [schedule.dow] - weeklyの場合の曜日（0=日曜）
+ * @param {number|'last'} [schedule.dayOfMonth] - monthlyの場合の日（1-31、短い月は月末に丸める。'last' は常に月末）
+ * @param {string} [schedule.cron] - cronの場合の5フィールド式（例: '30 7,19 * * 1-5'）
+ * @param {boolean} [schedule.businessDaysOnly] - 営業日（土日祝・年末年始以外）のみ実行する
+ * @param {'skip'|'next'|'previous'} [schedule.businessDayShift='skip'] - 非営業日スロットの扱い
  * @param {Object} [context]
  * @param {'initial'|'after-success'} [context.mode='after-success']
  * @param {number} [context.previousNextRun] - 実行前の state.nextRun
- * @param {'schedule'|'manual'} [context.invokedBy='schedule']
+ * @param {number} [context.previousSlot] - 実行前の state.nextSlot（無ければ previousNextRun）
+ * @param {'schedule'|'manual'|'dependency'|'catch-up'} [context.invokedBy='schedule'] - dependency は上流サイトに連動した実行、catch-up は取りこぼし分の追加実行
  * @param {boolean} [context.resyncSlot=false] - 失敗リトライ成功後に slot 基準へ戻す
- * @returns {number} 次回実行時刻（epoch ms）
+ * @param {number} [context.jitterMinutes=0] - nextRun に足す揺らぎの上限（分。スロットごとに決定的）
+ * @param {string} [context.jitterKey] - 揺らぎをサイトごとにばらすキー（getScheduleJitterContext を参照）
+ * @returns {{ slot: number|null, nextRun: number|null }} cron が不正・一致しない場合は null（スケジュールしない）
  */
-function computeNextRunAfterSuccess(now, schedule, context = {}) {
+function computeNextScheduledRun(now, schedule, context = {}) {
+  // 上流に連動して前倒しで実行した場合・取りこぼし分の追加実行は、自サイトのスケジュールを進めない
+  if (
+    context.mode !== 'initial' &&
+    (context.invokedBy === 'dependency' || context.invokedBy === 'catch-up') &&
+    typeof context.previousNextRun === 'number' &&
+    context.previousNextRun > now
+  ) {
+    const slot = typeof context.previousSlot === 'number' ? context.previousSlot : context.previousNextRun;
+    return { slot, nextRun: context.previousNextRun };
+  }
+
   if (context.mode === 'initial' || context.resyncSlot) {
-    return computeNextSlotFrom(now, schedule);
+    return resolveScheduledSlot(computeNextSlotFrom(now, schedule), now, schedule, 1, context);
   }
 
   const every = normalizeScheduleEvery(schedule);
@@ -124,28 +513,288 @@ function computeNextRunAfterSuccess(now, schedule, context = {}) {
   if (invokedBy === 'manual') {
     anchor = computeNextSlotFrom(now, schedule);
   } else {
-    anchor = context.previousNextRun;
+    anchor = context.previousSlot;
+    if (typeof anchor !== 'number' || !Number.isFinite(anchor)) {
+      anchor = context.previousNextRun;
+    }
     if (typeof anchor !== 'number' || !Number.isFinite(anchor)) {
       anchor = computeNextSlotFrom(now, schedule);
     }
   }
 
-  let next = advanceSlotBy(anchor, schedule, every);
-  while (next <= now) {
-    next = advanceSlotBy(next, schedule, every);
+  return resolveScheduledSlot(advanceSlotBy(anchor, schedule, every), now, schedule, every, context);
+}
+
+/**
+ * 成功時の次回実行時刻を計算する（computeNextScheduledRun の nextRun）
+ *
+ * @param {number} now - 現在時刻（epoch ms）
+ * @param {Object} schedule - スケジュール設定（computeNextScheduledRun を参照）
+ * @param {Object} [context] - computeNextScheduledRun を参照
+ * @returns {number|null} 次回実行時刻（epoch ms）
+ */
+function computeNextRunAfterSuccess(now, schedule, context = {}) {
+  return computeNextScheduledRun(now, schedule, context).nextRun;
+}
+
+/** @readonly 取りこぼし（スリープ・ブラウザ停止中に過ぎたスロット）の扱い */
+const CATCH_UP_POLICIES = Object.freeze(['skip', 'run-once', 'run-each-missed-slot']);
+
+/** @readonly 取りこぼし設定の既定値（従来どおり1回だけ実行して残りは飛ばす） */
+const DEFAULT_CATCH_UP = Object.freeze({
+  policy: 'run-once',
+  maxRuns: 3
+});
+
+/** 実行時刻からこの時間以内の遅れは取りこぼしとみなさない */
+const CATCH_UP_GRACE_MS = 10 * 60 * 1000;
+
+/** 過ぎたスロットの列挙上限（hourly で長期間停止していた場合の保険） */
+const CATCH_UP_MAX_SLOT_SCAN = 1000;
+
+/**
+ * @param {Object|undefined} catchUp
+ * @returns {{ policy: string, maxRuns: number }}
+ */
+function normalizeCatchUp(catchUp) {
+  const policy = CATCH_UP_POLICIES.includes(catchUp?.policy) ? catchUp.policy : DEFAULT_CATCH_UP.policy;
+  const maxRuns = Number(catchUp?.maxRuns);
+  return {
+    policy,
+    maxRuns: Number.isInteger(maxRuns) && maxRuns >= 1 && maxRuns <= 24 ? maxRuns : DEFAULT_CATCH_UP.maxRuns
+  };
+}
+
+/**
+ * fromSlot から now までに実行時刻を迎えたスロット（営業日ポリシーで実行しないもの・実行時間帯外のものは除く）
+ *
+ * 実行時間帯外（停止期間中）のスロットは取りこぼしではなく、onAlarm が次の許可時刻へ延期した実行に含まれる。
+ *
+ * @param {number} fromSlot - 実行待ちだったスロット（state.nextSlot）
+ * @param {number} now
+ * @param {Object} schedule
+ * @param {{ allowedWindows?: Object[], blackouts?: Object[] }} [site] - 実行時間帯（run-window.js が読み込まれていれば判定する）
+ * @returns {number[]} スロット時刻（古い順）
+ */
+function listDueSlots(fromSlot, now, schedule, site) {
+  const every = normalizeScheduleEvery(schedule);
+  const slots = [];
+  let slot = fromSlot;
+  for (let i = 0; i < CATCH_UP_MAX_SLOT_SCAN && slot !== null && slot <= now; i++) {
+    const runAt = applyBusinessDayPolicy(slot, schedule);
+    const inRunWindow = !site || typeof isWithinRunWindow !== 'function' || isWithinRunWindow(runAt, site);
+    if (runAt !== null && runAt <= now && inRunWindow) {
+      slots.push(slot);
+    }
+    slot = advanceSlotBy(slot, schedule, every);
+  }
+  return slots;
+}
+
+/**
+ * 期限を過ぎたスケジュール実行の取りこぼし計画を立てる
+ *
+ * - skip: 遅れて起床した場合は実行せず、過ぎたスロットはすべて取りこぼし
+ * - run-once: 1回だけ実行（最新スロット扱い）し、それ以前は取りこぼし
+ * - run-each-missed-slot: 過ぎたスロットの数だけ実行（maxRuns まで）し、超えた古い分は取りこぼし
+ *
+ * @param {number} now
+ * @param {Object} schedule
+ * @param {{ nextRun?: number, nextSlot?: number }} siteState
+ * @param {Object} [catchUp] - site.catchUp
+ * @param {Object} [site] - 実行時間帯外のスロットを数えないため（listDueSlots を参照）
+ * @returns {{ runs: number, missedSlots: number[], late: boolean }}
+ */
+function planCatchUp(now, schedule, siteState, catchUp, site) {
+  const { policy, maxRuns } = normalizeCatchUp(catchUp);
+  const fromSlot = typeof siteState?.nextSlot === 'number' ? siteState.nextSlot : siteState?.nextRun;
+  if (typeof fromSlot !== 'number' || !Number.isFinite(fromSlot)) {
+    return { runs: 1, missedSlots: [], late: false };
+  }
+  const due = listDueSlots(fromSlot, now, schedule, site);
+  const late = due.length > 1 || now - (siteState.nextRun ?? fromSlot) > CATCH_UP_GRACE_MS;
+  if (!late || due.length === 0) {
+    return { runs: 1, missedSlots: [], late };
   }
-  return next;
+  if (policy === 'skip') {
+    return { runs: 0, missedSlots: due, late };
+  }
+  if (policy === 'run-each-missed-slot') {
+    const runs = Math.min(due.length, maxRuns);
+    return { runs, missedSlots: due.slice(0, due.length - runs), late };
+  }
+  return { runs: 1, missedSlots: due.slice(0, -1), late };
+}
+
+/** @readonly 失敗時リトライの既定値（設計書の「1時間後に再試行」を既定に保つ） */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  initialDelayMinutes: 60,
+  backoffMultiplier: 1,
+  maxDelayMinutes: 24 * 60,
+  maxAttempts: 0,
+  pauseAfterFailures: 0
+});
+
+/**
+ * リトライ設定を既定値で補い、範囲外の値を丸める
+ *
+ * @param {Object} [policy]
+ * @param {number} [policy.initialDelayMinutes] - 1回目のリトライまでの分（1-1440）
+ * @param {number} [policy.backoffMultiplier] - 連続失敗ごとの倍率（1-10。1 なら固定間隔）
+ * @param {number} [policy.maxDelayMinutes] - リトライ間隔の上限（分）
+ * @param {number} [policy.maxAttempts] - 連続失敗がこの回数に達したらリトライをやめ、次の通常スロットを待つ（0 は無制限）
+ * @param {number} [policy.pauseAfterFailures] - 連続失敗がこの回数に達したら自動停止する（0 は停止しない）
+ * @returns {{ initialDelayMinutes: number, backoffMultiplier: number, maxDelayMinutes: number, maxAttempts: number, pauseAfterFailures: number }}
+ */
+function normalizeRetryPolicy(policy) {
+  const p = policy && typeof policy === 'object' ? policy : {};
+  const int = (v, min, max, fallback) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= min && n <= max ? n : fallback;
+  };
+  const multiplier = Number(p.backoffMultiplier);
+  const initialDelayMinutes = int(p.initialDelayMinutes, 1, 1440, DEFAULT_RETRY_POLICY.initialDelayMinutes);
+  return {
+    initialDelayMinutes,
+    backoffMultiplier:
+      Number.isFinite(multiplier) && multiplier >= 1 && multiplier <= 10
+        ? multiplier
+        : DEFAULT_RETRY_POLICY.backoffMultiplier,
+    maxDelayMinutes: Math.max(
+      initialDelayMinutes,
+      int(p.maxDelayMinutes, 1, 7 * 1440, DEFAULT_RETRY_POLICY.maxDelayMinutes)
+    ),
+    maxAttempts: int(p.maxAttempts, 0, 100, DEFAULT_RETRY_POLICY.maxAttempts),
+    pauseAfterFailures: int(p.pauseAfterFailures, 0, 100, DEFAULT_RETRY_POLICY.pauseAfterFailures)
+  };
+}
+
+/**
+ * 連続失敗回数が自動停止のしきい値に達したか
+ *
+ * @param {Object} [retryPolicy]
+ * @param {number} failCount - 今回の失敗を含む連続失敗回数
+ * @returns {boolean}
+ */
+function shouldAutoPauseAfterFail(retryPolicy, failCount) {
+  const policy = normalizeRetryPolicy(retryPolicy);
+  return policy.pauseAfterFailures > 0 && failCount >= policy.pauseAfterFailures;
 }
 
 /**
  * 失敗時の次回実行時刻を計算する
  *
- * 設計書に従い、失敗時は常に1時間後に再試行する。
- * retryに分単位設定を持たないことで、誤解と複雑化を避けている。
+ * 連続失敗ごとに initialDelayMinutes × backoffMultiplier^(failCount-1) 分後（上限 maxDelayMinutes）に再試行する。
+ * 連続失敗が maxAttempts に達したらリトライを打ち切り、スケジュール上の次スロットまで待つ。
+ * retryPolicy 省略時は設計書どおり「1時間後」。
  *
  * @param {number} now - 現在時刻（epoch ms）
- * @returns {number} 次回実行時刻（now + 1時間）
+ * @param {Object} [retryPolicy] - site.retry（normalizeRetryPolicy を参照）
+ * @param {Object} [context]
+ * @param {number} [context.failCount=1] - 今回の失敗を含む連続失敗回数
+ * @param {Object} [context.schedule] - リトライ打ち切り時に次スロットを求めるスケジュール
+ * @param {number} [context.jitterMinutes] - 次スロットに足す揺らぎ（computeNextScheduledRun を参照）
+ * @param {string} [context.jitterKey]
+ * @returns {number|null} 次回実行時刻（epoch ms。打ち切り後の次スロットが無ければ null）
  */
-function computeNextRunAfterFail(now) {
-  return now + 60 * 60 * 1000;
+function computeNextRunAfterFail(now, retryPolicy, context = {}) {
+  const policy = normalizeRetryPolicy(retryPolicy);
+  const failCount = Math.max(1, context.failCount || 1);
+
+  if (policy.maxAttempts > 0 && failCount >= policy.maxAttempts && context.schedule) {
+    return computeNextScheduledRun(now, context.schedule, {
+      mode: 'initial',
+      jitterMinutes: context.jitterMinutes,
+      jitterKey: context.jitterKey
+    }).nextRun;
+  }
+
+  const delayMinutes = Math.min(
+    policy.initialDelayMinutes * Math.pow(policy.backoffMultiplier, failCount - 1),
+    policy.maxDelayMinutes
+  );
+  return now + Math.round(delayMinutes * 60 * 1000);
+}
+
+/** シミュレーションで返す実行回数の上限（誤設定で巨大な配列を作らないため） */
+const SCHEDULE_SIMULATION_MAX_RUNS = 200;
+
+/**
+ * スケジュールの今後の実行をシミュレーションする（副作用なし）
+ *
+ * Service Worker と同じ computeNextScheduledRun（computeNextRunAfterSuccess の本体）と
+ * computeNextRunAfterFail で次回時刻を進める。outcomes で i 回目の実行結果を指定でき、
+ * 指定が尽きた以降は成功とみなす。自動停止に達した時点で打ち切る。
+ * run-window.js が読み込まれていれば、実行時間帯外の時刻は onAlarm と同様に次の許可時刻へ延期する。
+ *
+ * @param {Object} options
+ * @param {number} [options.now=Date.now()]
+ * @param {Object} options.schedule - site.schedule
+ * @param {Object} [options.retry] - site.retry
+ * @param {Object} [options.site] - site 設定（jitterMinutes / allowedWindows / blackouts を参照）
+ * @param {string} [options.siteId] - 揺らぎのキー
+ * @param {{ nextRun?: number, nextSlot?: number, failCount?: number, lastStatus?: string }} [options.siteState] - 開始時の state（省略時は初回スロットから）
+ * @param {Array<'ok'|'fail'>} [options.outcomes=[]] - 各実行の結果（先頭から順に適用）
+ * @param {number} [options.count=10] - 返す実行回数
+ * @returns {{ runs: Array<{ runAt: number, slot: number|null, outcome: 'ok'|'fail', failCount: number, retry: boolean, deferredFrom: number|null }>, autoPausedAt: number|null }}
+ */
+function simulateScheduleRuns(options) {
+  const now = options.now ?? Date.now();
+  const schedule = options.schedule;
+  const site = options.site || {};
+  const jitter = getScheduleJitterContext(site, options.siteId || '');
+  const outcomes = Array.isArray(options.outcomes) ? options.outcomes : [];
+  const count = Math.min(Math.max(1, options.count || 10), SCHEDULE_SIMULATION_MAX_RUNS);
+
+  let nextRun = options.siteState?.nextRun;
+  let nextSlot = options.siteState?.nextSlot;
+  let failCount = options.siteState?.failCount || 0;
+  let lastStatus = options.siteState?.lastStatus;
+  if (typeof nextRun !== 'number') {
+    const initial = computeNextScheduledRun(now, schedule, { mode: 'initial', ...jitter });
+    nextRun = initial.nextRun;
+    nextSlot = initial.slot;
+  }
+
+  const runs = [];
+  for (let i = 0; i < count; i++) {
+    // cron が一致しない等でスロットが無ければ以降は実行されない
+    if (typeof nextRun !== 'number') break;
+    let runAt = Math.max(nextRun, now);
+    let deferredFrom = null;
+    if (typeof computeNextAllowedRunTime === 'function') {
+      const allowedAt = computeNextAllowedRunTime(runAt, site);
+      if (allowedAt == null) break;
+      if (allowedAt !== runAt) {
+        deferredFrom = runAt;
+        runAt = allowedAt;
+      }
+    }
+
+    const outcome = outcomes[i] === 'fail' ? 'fail' : 'ok';
+    const retry = lastStatus === 'fail';
+    if (outcome === 'ok') {
+      const next = computeNextScheduledRun(runAt, schedule, {
+        mode: 'after-success',
+        previousNextRun: nextRun,
+        previousSlot: nextSlot,
+        invokedBy: 'schedule',
+        resyncSlot: retry,
+        ...jitter
+      });
+      runs.push({ runAt, slot: retry ? null : nextSlot ?? null, outcome, failCount: 0, retry, deferredFrom });
+      nextRun = next.nextRun;
+      nextSlot = next.slot;
+      failCount = 0;
+    } else {
+      failCount += 1;
+      runs.push({ runAt, slot: retry ? null : nextSlot ?? null, outcome, failCount, retry, deferredFrom });
+      if (shouldAutoPauseAfterFail(options.retry, failCount)) {
+        return { runs, autoPausedAt: runAt };
+      }
+      nextRun = computeNextRunAfterFail(runAt, options.retry, { failCount, schedule, ...jitter });
+    }
+    lastStatus = outcome;
+  }
+  return { runs, autoPausedAt: null };
 }
@@ -1,7 +1,7 @@
 /**
  * Slack 通知ユーティリティ
  *
- * 失敗時・記録0件の注意喚起時に Webhook へ送る。
+ * 失敗時・自動停止時・記録0件の注意喚起時に Webhook へ送る。
  * 成功時の heartbeat は settings.slackSuccessWebhookUrl（オプション画面で設定）。
  */
 
@@ -49,6 +49,74 @@ async function notifySlackOnFailure(webhookUrl, { siteId, error, failCount }) {
   }
 }
 
+/**
+ * 連続失敗でサイトを自動停止したときに Slack へエスカレーションする
+ *
+ * @param {string} webhookUrl - Slack Incoming Webhook URL
+ * @param {Object} options - 通知オプション
+ * @param {string} options.siteId - サイトID
+ * @param {Error|string} options.error - 最後のエラー
+ * @param {number} options.failCount - 連続失敗回数
+ * @returns {Promise<void>}
+ */
+async function notifySlackOnAutoPause(webhookUrl, { siteId, error, failCount }) {
+  if (!webhookUrl || !webhookUrl.trim()) {
+    return;
+  }
+
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  const timestamp = new Date().toLocaleString('ja-JP');
+
+  const text =
+    `🛑 サイト巡回を自動停止しました（要対応）\n` +
+    `サイト: ${siteId}\n` +
+    `連続失敗: ${failCount}回\n` +
+    `最後のエラー: ${errorMessage}\n` +
+    `時刻: ${timestamp}\n` +
+    `オプション画面で原因を確認し「再開」を押すまでスケジュール実行しません。`;
+
+  try {
+    await postSlackWebhook(webhookUrl, text);
+  } catch (err) {
+    console.error('Slack通知の送信でエラーが発生しました:', err);
+  }
+}
+
+/**
+ * 送信待ちの送信を諦めた（dead になった）ときに Webhook へ送る
+ *
+ * @param {string} webhookUrl - Slack Incoming Webhook URL
+ * @param {Object} options - 通知オプション
+ * @param {string} options.siteId - サイトID
+ * @param {string} options.sink - 送信先シンク名（http-sinks.js）
+ * @param {number} options.attempts - 送信を試みた回数
+ * @param {Error|string} options.error - 最後のエラー
+ * @returns {Promise<void>}
+ */
+async function notifySlackOnOutboxDeadLetter(webhookUrl, { siteId, sink, attempts, error }) {
+  if (!webhookUrl || !webhookUrl.trim()) {
+    return;
+  }
+
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  const timestamp = new Date().toLocaleString('ja-JP');
+
+  const text =
+    `📮 外部 API への送信を諦めました（要対応）\n` +
+    `サイト: ${siteId}\n` +
+    `送信先: ${sink}\n` +
+    `試行: ${attempts}回\n` +
+    `最後のエラー: ${errorMessage}\n` +
+    `時刻: ${timestamp}\n` +
+    `オプション画面の「送信待ち」から再送または削除してください。`;
+
+  try {
+    await postSlackWebhook(webhookUrl, text);
+  } catch (err) {
+    console.error('Slack通知の送信でエラーが発生しました:', err);
+  }
+}
+
 /**
  * ペイロード上の記録件数が 0 のとき（成功完了だが中身が空）に Webhook へ送る
  *